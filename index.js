@@ -6,6 +6,45 @@ class ArtifactAnalyzer {
     constructor() {
         this.artifacts = [];
         this.map = null;
+        this.markerLayer = null;
+        // Main map display: individual markers, grid clusters or a density heatmap
+        this.mapMode = 'clusters';
+        this.markerColorMode = 'none'; // 'none', 'era', 'quality', 'license' or 'playability'
+        this.mapClusterCellSize = 60;
+        this.heatmapLayer = null;
+        this.choroplethLayer = null;
+        this.choroplethCounts = new Map();
+        // Data sources: the list to load (?data=<url> overrides the default)
+        // and how foreign field names map onto the artifact schema
+        this.defaultDataUrl = 'artifactList.json';
+        this.dataSourceParam = 'data';
+        this.dataSource = null;
+        this.analysisStarted = false;
+        this.artifactSchemaFields = ['title', 'image', 'lat', 'lng', 'year', 'description', 'author', 'authorLink', 'license', 'isPlayable'];
+        this.requiredSchemaFields = ['title', 'image'];
+        this.fieldAliases = {
+            title: ['name', 'label', 'artifact', 'object'],
+            image: ['imageurl', 'img', 'picture', 'photo', 'thumbnail', 'media'],
+            lat: ['latitude', 'y'],
+            lng: ['lon', 'long', 'longitude', 'x'],
+            year: ['date', 'dated', 'created', 'datecreated'],
+            description: ['desc', 'summary', 'caption', 'text'],
+            author: ['creator', 'photographer', 'artist', 'credit', 'attribution'],
+            authorLink: ['authorurl', 'creatorurl', 'creatorlink', 'profile', 'profileurl'],
+            license: ['licence', 'licensename', 'rights'],
+            isPlayable: ['playable', 'enabled', 'active']
+        };
+        // Offline country/continent lookup against a bundled low-resolution boundaries file
+        this.worldBoundariesUrl = 'worldBoundaries.geojson';
+        this.worldBoundaries = null;
+        this.regionSnapDistance = 1.5; // degrees
+        this.countryStats = [];
+        this.continentStats = [];
+        this.heatmapSettings = { radius: 14, blur: 10, maxOpacity: 0.8 };
+        // Timeline slider: equal width per timeframe era, optional era playback
+        this.timelineStepsPerEra = 100;
+        this.timelinePlayInterval = 1500;
+        this.timelinePlayTimer = null;
         this.timeframeBoundaries = [-5000000, -500000, -100000, -10000, -1000, 0, 500, 1000, 1250, 1500, 1750, 1900, 2025];
         this.displayedArtifacts = 0;
         this.artifactsPerPage = 12;
@@ -16,17 +55,243 @@ class ArtifactAnalyzer {
         this.isLoading = false;
         this.chartInstances = {};
         this.imageQualityCache = new Map();
+        // Persisted image quality results (IndexedDB), invalidated when scoring changes
+        this.imageQualityScoringVersion = 3;
+        this.imageQualityCacheMaxAge = 30 * 24 * 60 * 60 * 1000; // 30 days
+        this.qualityCacheDb = null;
+        // Concurrent analysis queue with retry for timeouts
+        this.imageAnalysisConcurrency = 4;
+        this.imageAnalysisMaxRetries = 2;
+        this.imageAnalysisRetryDelay = 1000;
+        this.imageAnalysisQueue = null;
+        this.visibleArtifactIds = new Set();
+        this.cardVisibilityObserver = null;
         this.imageAnalysisInProgress = false;
         this.imageAnalysisProgress = { current: 0, total: 0 };
         this.imageModal = null;
         
         // Enhanced image quality tracking
-        this.imageQualityMode = 'overall'; // 'overall', 'aspect-ratio', 'pixel-size'
+        this.imageQualityMode = 'overall'; // 'overall' or any key of imageQualityModeNames
+        this.imageQualityModeNames = {
+            'overall': 'Overall Quality',
+            'aspect-ratio': 'Aspect Ratio',
+            'pixel-size': 'Pixel Size',
+            'sharpness': 'Sharpness',
+            'exposure': 'Exposure & Contrast',
+            'border': 'Border-Free Framing',
+            'blockiness': 'Compression Cleanliness'
+        };
+        // Scoring profiles: ideal ratio range, resolution breakpoints, component
+        // weights and label thresholds, saved locally and selectable in the UI
+        this.qualityProfileStorageKey = 'originGuessrAnalyzer.qualityProfiles';
+        this.qualityProfiles = this.getBuiltInQualityProfiles();
+        this.activeQualityProfileId = 'landscape';
+        this.loadQualityProfiles();
+
+        // Game difficulty estimate (0-100, higher is harder) and its labels
+        this.difficultyWeights = { isolation: 35, eraRarity: 20, obscurity: 25, imageQuality: 20 };
+        this.difficultyIsolationMaxKm = 2000;
+        this.difficultyLevels = [
+            { min: 65, label: 'Very Hard', className: 'difficulty-very-hard' },
+            { min: 50, label: 'Hard', className: 'difficulty-hard' },
+            { min: 35, label: 'Medium', className: 'difficulty-medium' },
+            { min: 0, label: 'Easy', className: 'difficulty-easy' }
+        ];
+        this.fameKeywords = [
+            'egypt', 'pharaoh', 'tutankhamun', 'roman', 'greek', 'maya', 'aztec', 'inca', 'viking',
+            'dynasty', 'emperor', 'pyramid', 'famous', 'iconic', 'renowned', 'best-known', 'world\'s'
+        ];
+
+        // Description text analytics: place names and dates in a description
+        // can give the answer away before the player has looked at the image
+        this.knownPlaceNames = [
+            'Africa', 'Asia', 'Europe', 'North America', 'South America', 'Central America', 'Oceania',
+            'Antarctica', 'Middle East', 'Mesoamerica', 'Mesopotamia', 'Scandinavia', 'Siberia', 'Anatolia',
+            'Balkans', 'Caribbean', 'Mediterranean', 'Persia', 'Britain', 'England', 'Scotland', 'Wales',
+            'Turkey', 'Holland', 'America', 'Babylon', 'Rome', 'Athens', 'Constantinople', 'Istanbul',
+            'Jerusalem', 'Mecca', 'Cairo', 'Thebes', 'Giza', 'Alexandria', 'Troy', 'Pompeii', 'Carthage',
+            'London', 'Paris', 'Beijing', 'Kyoto', 'Tokyo', 'Delhi', 'Baghdad', 'Damascus', 'Venice',
+            'Florence', 'Vienna', 'Moscow', 'Cuzco', 'Tenochtitlan', 'Crete', 'Sicily', 'Hawaii', 'Tibet'
+        ];
+        this.placeDemonyms = {
+            'Chinese': 'China', 'Egyptian': 'Egypt', 'Greek': 'Greece', 'Roman': 'Rome', 'Japanese': 'Japan',
+            'Korean': 'Korea', 'Indian': 'India', 'Persian': 'Persia', 'Mesopotamian': 'Mesopotamia',
+            'Babylonian': 'Babylon', 'Assyrian': 'Mesopotamia', 'Sumerian': 'Mesopotamia', 'Maya': 'Mesoamerica',
+            'Mayan': 'Mesoamerica', 'Aztec': 'Mexico', 'Olmec': 'Mexico', 'Inca': 'Peru', 'Viking': 'Scandinavia',
+            'Norse': 'Scandinavia', 'Celtic': 'Europe', 'Etruscan': 'Italy', 'Minoan': 'Crete', 'Mycenaean': 'Greece',
+            'Phoenician': 'Lebanon', 'Byzantine': 'Constantinople', 'Ottoman': 'Turkey', 'Mughal': 'India',
+            'Khmer': 'Cambodia', 'Nubian': 'Sudan', 'Ethiopian': 'Ethiopia', 'British': 'Britain', 'English': 'England',
+            'Scottish': 'Scotland', 'Irish': 'Ireland', 'French': 'France', 'German': 'Germany', 'Dutch': 'Netherlands',
+            'Italian': 'Italy', 'Spanish': 'Spain', 'Portuguese': 'Portugal', 'Russian': 'Russia', 'Danish': 'Denmark',
+            'Swedish': 'Sweden', 'Norwegian': 'Norway', 'American': 'America', 'Mexican': 'Mexico', 'Peruvian': 'Peru',
+            'Hawaiian': 'Hawaii', 'Maori': 'New Zealand', 'Aboriginal': 'Australia', 'Tibetan': 'Tibet'
+        };
+        this.keywordStopwords = new Set([
+            'the', 'and', 'for', 'are', 'was', 'were', 'with', 'that', 'this', 'from', 'its', 'his', 'her', 'their',
+            'they', 'them', 'has', 'had', 'have', 'been', 'being', 'which', 'who', 'whom', 'what', 'when', 'where',
+            'while', 'also', 'into', 'onto', 'over', 'under', 'than', 'then', 'there', 'these', 'those', 'one', 'two',
+            'about', 'after', 'before', 'during', 'between', 'through', 'such', 'only', 'other', 'some', 'most',
+            'more', 'many', 'much', 'very', 'can', 'could', 'would', 'should', 'may', 'might', 'will', 'not', 'but',
+            'all', 'any', 'each', 'both', 'either', 'our', 'out', 'now', 'used', 'made', 'known', 'called', 'it\'s'
+        ]);
+        this.keywordLimit = 40;
+        this.spoilerRiskLevels = [
+            { key: 'high', label: 'High' },
+            { key: 'medium', label: 'Medium' },
+            { key: 'low', label: 'Low' }
+        ];
+        // A date counts as giving the year away when it lands this close to it
+        this.spoilerYearTolerance = 50;
+        this.descriptionKeywords = [];
+        this.placeGazetteer = null;
+        this.spoilerRiskFilter = 'all';
+
+        // Description vs. data consistency: rough locations for the named
+        // places (radius in km for regions) and how far the data may drift
+        this.knownPlaceLocations = {
+            'Middle East': { lat: 29, lng: 42, radiusKm: 1500 },
+            'Mesoamerica': { lat: 17, lng: -92, radiusKm: 800 },
+            'Central America': { lat: 13, lng: -86, radiusKm: 700 },
+            'Mesopotamia': { lat: 33, lng: 44, radiusKm: 500 },
+            'Scandinavia': { lat: 63, lng: 15, radiusKm: 800 },
+            'Siberia': { lat: 62, lng: 100, radiusKm: 2500 },
+            'Anatolia': { lat: 39, lng: 33, radiusKm: 600 },
+            'Balkans': { lat: 43, lng: 21, radiusKm: 500 },
+            'Caribbean': { lat: 17, lng: -72, radiusKm: 1200 },
+            'Mediterranean': { lat: 37, lng: 15, radiusKm: 1800 },
+            'Persia': { lat: 32, lng: 53, radiusKm: 900 },
+            'Britain': { lat: 54, lng: -2, radiusKm: 500 },
+            'England': { lat: 52.5, lng: -1.5, radiusKm: 350 },
+            'Scotland': { lat: 57, lng: -4, radiusKm: 250 },
+            'Wales': { lat: 52.3, lng: -3.7, radiusKm: 120 },
+            'Turkey': { lat: 39, lng: 35, radiusKm: 800 },
+            'Holland': { lat: 52.3, lng: 4.9, radiusKm: 150 },
+            'Crete': { lat: 35.24, lng: 24.9, radiusKm: 150 },
+            'Sicily': { lat: 37.6, lng: 14, radiusKm: 150 },
+            'Hawaii': { lat: 20.8, lng: -156.3, radiusKm: 400 },
+            'Tibet': { lat: 31, lng: 88, radiusKm: 800 },
+            'Babylon': { lat: 32.54, lng: 44.42, radiusKm: 0 },
+            'Rome': { lat: 41.9, lng: 12.5, radiusKm: 0 },
+            'Athens': { lat: 37.98, lng: 23.73, radiusKm: 0 },
+            'Constantinople': { lat: 41.01, lng: 28.98, radiusKm: 0 },
+            'Istanbul': { lat: 41.01, lng: 28.98, radiusKm: 0 },
+            'Jerusalem': { lat: 31.78, lng: 35.22, radiusKm: 0 },
+            'Mecca': { lat: 21.42, lng: 39.83, radiusKm: 0 },
+            'Cairo': { lat: 30.04, lng: 31.24, radiusKm: 0 },
+            'Thebes': { lat: 25.7, lng: 32.64, radiusKm: 0 },
+            'Giza': { lat: 29.98, lng: 31.13, radiusKm: 0 },
+            'Alexandria': { lat: 31.2, lng: 29.92, radiusKm: 0 },
+            'Troy': { lat: 39.96, lng: 26.24, radiusKm: 0 },
+            'Pompeii': { lat: 40.75, lng: 14.49, radiusKm: 0 },
+            'Carthage': { lat: 36.85, lng: 10.32, radiusKm: 0 },
+            'London': { lat: 51.51, lng: -0.13, radiusKm: 0 },
+            'Paris': { lat: 48.86, lng: 2.35, radiusKm: 0 },
+            'Beijing': { lat: 39.9, lng: 116.4, radiusKm: 0 },
+            'Kyoto': { lat: 35.01, lng: 135.77, radiusKm: 0 },
+            'Tokyo': { lat: 35.68, lng: 139.69, radiusKm: 0 },
+            'Delhi': { lat: 28.61, lng: 77.21, radiusKm: 0 },
+            'Baghdad': { lat: 33.31, lng: 44.36, radiusKm: 0 },
+            'Damascus': { lat: 33.51, lng: 36.29, radiusKm: 0 },
+            'Venice': { lat: 45.44, lng: 12.32, radiusKm: 0 },
+            'Florence': { lat: 43.77, lng: 11.26, radiusKm: 0 },
+            'Vienna': { lat: 48.21, lng: 16.37, radiusKm: 0 },
+            'Moscow': { lat: 55.76, lng: 37.62, radiusKm: 0 },
+            'Cuzco': { lat: -13.53, lng: -71.97, radiusKm: 0 },
+            'Tenochtitlan': { lat: 19.43, lng: -99.13, radiusKm: 0 }
+        };
+        // Continent names as they appear in the world boundaries file
+        this.continentNames = ['Africa', 'Asia', 'Europe', 'North America', 'South America', 'Oceania', 'Antarctica'];
+        this.consistencyYearTolerance = 50;
+        this.consistencyMaxDistanceKm = 300;
+        // Cultures found far beyond their homeland say little about a find spot
+        this.widespreadCultures = ['Roman', 'Greek', 'Viking', 'Norse', 'Celtic', 'Byzantine', 'Persian', 'Ottoman', 'Phoenician', 'British', 'English', 'Mughal'];
+        this.consistencyIssues = [];
+        this.consistencySeverityFilter = 'all';
         
-        // Track which artifacts have been analyzed
-        this.analyzedArtifacts = new Set();
+        // Second version of the artifact list, loaded for a side-by-side diff
+        this.comparisonDataset = null;
+        this.datasetDiff = null;
+        this.compareView = 'all';
+
+        // Track which artifacts should be analyzed first
         this.priorityArtifacts = new Set();
         
+        // Search and facet filters for the complete collection
+        this.filters = this.getDefaultFilters();
+        
+        // Data validation results, graded by severity
+        this.validationIssues = [];
+        this.validationSeverityFilter = 'all';
+        
+        // Likely duplicate detection signals and their thresholds
+        this.duplicateSettings = {
+            signals: { image: true, title: true, location: true, hash: true },
+            titleSimilarity: 0.9,
+            maxDistanceKm: 1,
+            maxHashDistance: 6
+        };
+        
+        // Artifact editor state: untouched copy of the loaded data plus undo stack
+        this.originalArtifacts = [];
+        this.editableFields = ['title', 'description', 'year', 'license', 'author', 'authorLink', 'isPlayable', 'lat', 'lng'];
+        this.editHistory = [];
+        this.editMaps = new Map();
+        
+        // License families for the grouped view; members come from getLicenseInfo()
+        this.licenseFamilies = [
+            { key: 'pd', label: 'Public Domain / CC0' },
+            { key: 'by', label: 'Attribution (BY)' },
+            { key: 'by-sa', label: 'Attribution-ShareAlike (BY-SA)' },
+            { key: 'other', label: 'Other' },
+            { key: 'none', label: 'No License' }
+        ];
+        this.licenseFamilyStats = [];
+        this.licenseInfoCache = new Map();
+        
+        // Author names that stand in for a missing credit
+        this.authorPlaceholderNames = ['unknown author', 'unknown', 'anonymous', 'public domain', 'various', 'n/a', 'none'];
+        this.selectedAuthor = null;
+        this.authorProfileMap = null;
+        
+        // License compliance issues found by checkLicenseCompliance()
+        this.licenseComplianceIssues = [];
+        this.complianceSeverityFilter = 'all';
+        
+        // Per-artifact outcome of the last link test, keyed by artifact id
+        this.linkTestResults = new Map();
+        this.linkCheckConcurrency = 6;
+        this.linkCheckTimeout = 8000;
+        this.linkCheckController = null;
+        this.linkStatusLabels = {
+            ok: 'OK',
+            redirect: 'Redirect',
+            'not-found': 'Not found',
+            timeout: 'Timeout',
+            opaque: 'Unverifiable',
+            error: 'Error'
+        };
+        
+        // Saved link test runs, newest first, kept per data source once it is known
+        this.linkTestHistoryStorageKey = 'originGuessrAnalyzer.linkTestHistory';
+        this.linkTestHistoryLimit = 20;
+        this.linkTestHistory = [];
+        // Start time of the saved run the current results belong to, so re-tests can update it
+        this.linkTestResultsRun = null;
+        
+        // Guess scoring simulator: configurable curve plus one hypothetical guess
+        this.scoringCurveStorageKey = 'originGuessrAnalyzer.scoringCurve';
+        this.scoringCurve = this.getDefaultScoringCurve();
+        this.simulatorGuess = { lat: 54.5, lng: 15.3, year: 1500 };
+        this.simulatorArtifactId = null;
+        this.simulatorMap = null;
+        this.simulatorLayer = null;
+        this.loadScoringCurve();
+        
+        // Last generated round set and its preview map
+        this.roundSet = null;
+        this.roundSetMap = null;
+        this.roundSetLayer = null;
+        
         // Bind methods to preserve context
         this.handleImageError = this.handleImageError.bind(this);
         this.handleSortChange = this.handleSortChange.bind(this);
@@ -35,6 +300,8 @@ class ArtifactAnalyzer {
         this.handleImageClick = this.handleImageClick.bind(this);
         this.handleModalClose = this.handleModalClose.bind(this);
         this.handleImageQualityModeChange = this.handleImageQualityModeChange.bind(this);
+        this.handleFilterChange = this.handleFilterChange.bind(this);
+        this.handleClearFilters = this.handleClearFilters.bind(this);
         
         this.init();
     }
@@ -43,25 +310,49 @@ class ArtifactAnalyzer {
         try {
             this.showLoadingStates();
             this.setupImageModal();
+            // Wired before the first load so another list can still be opened if it fails
+            this.setupDataSourceControls();
             await this.loadArtifacts();
-            this.analyzeArtifacts();
-            this.displayStatistics();
-            this.displayLists();
-            this.displayLicenses();
-            this.displayNonPlayableArtifacts();
-            this.initMap();
-            this.drawCharts();
-            this.setupEventListeners();
-            this.applySorting('year-newest');
-            
-            // Start image quality analysis in the background with priority
-            this.startImageQualityAnalysis();
+            await this.startAnalysis();
         } catch (error) {
             console.error('Error initializing analyzer:', error);
             this.showError();
         }
     }
 
+    async startAnalysis() {
+        this.loadLinkTestHistory();
+        // Validate before analysis, which coerces bad values away
+        this.validateArtifacts();
+        this.analyzeArtifacts();
+        this.displayStatistics();
+        this.displayLists();
+        this.displayLicenses();
+        this.checkLicenseCompliance();
+        this.displayLicenseCompliance();
+        this.displayAuthors();
+        this.displayTextAnalytics();
+        this.displayNonPlayableArtifacts();
+        this.checkDescriptionConsistency();
+        this.displayConsistencyIssues();
+        this.displayDatasetDiff();
+        this.displayValidationIssues();
+        this.displayDuplicates();
+        this.initMap();
+        this.drawCharts();
+        this.setupEventListeners();
+        this.analysisStarted = true;
+        this.applySorting('year-newest');
+        
+        // Region lookup runs alongside image analysis; it only enriches the views
+        this.loadGeographicCoverage();
+        
+        // Start image quality analysis in the background with priority,
+        // reusing results persisted by earlier sessions
+        await this.loadPersistedImageQualities();
+        this.startImageQualityAnalysis();
+    }
+
     setupImageModal() {
         this.imageModal = document.getElementById('imageModal');
         const closeBtn = this.imageModal?.querySelector('.image-modal-close');
@@ -136,26 +427,500 @@ class ArtifactAnalyzer {
 
     async loadArtifacts() {
         try {
-            const response = await fetch('artifactlist.json');
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            const data = await response.json();
+            const source = await this.fetchDataSource(this.getDataSourceUrl());
+            this.artifacts = await this.resolveArtifactMapping(source);
+            this.originalArtifacts = this.artifacts.map(artifact => ({ ...artifact }));
+            this.dataSource = { name: source.name, format: source.format };
+            this.displayDataSourceStatus();
             
-            if (!data || !Array.isArray(data.artifacts)) {
+        } catch (error) {
+            console.error('Error loading artifacts:', error);
+            this.setDataSourceStatus(`Could not load ${this.getDataSourceUrl()}: ${error.message}`, true);
+            throw new Error(`Failed to load artifact data: ${error.message}`);
+        }
+    }
+
+    getDataSourceUrl() {
+        // ?data=<url> loads another list without editing the page
+        try {
+            return new URLSearchParams(window.location.search).get(this.dataSourceParam) || this.defaultDataUrl;
+        } catch (error) {
+            return this.defaultDataUrl;
+        }
+    }
+
+    async fetchDataSource(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        return this.parseDataSource(await response.text(), url, response.headers.get('content-type'));
+    }
+
+    async readDataSourceFile(file) {
+        return this.parseDataSource(await file.text(), file.name, file.type);
+    }
+
+    detectDataSourceFormat(text, name, contentType) {
+        const extension = (name || '').split(/[?#]/)[0].split('.').pop().toLowerCase();
+        const byExtension = { json: 'json', geojson: 'json', csv: 'csv', tsv: 'csv', ndjson: 'ndjson', jsonl: 'ndjson' }[extension];
+        if (byExtension) return byExtension;
+
+        const type = (contentType || '').toLowerCase();
+        if (type.includes('ndjson') || type.includes('jsonl')) return 'ndjson';
+        if (type.includes('csv') || type.includes('tab-separated')) return 'csv';
+        if (type.includes('json')) return 'json';
+
+        // Unknown extension and type: look at the content itself
+        const trimmed = text.trim();
+        if (trimmed.startsWith('[')) return 'json';
+        if (trimmed.startsWith('{')) {
+            try {
+                JSON.parse(trimmed);
+                return 'json';
+            } catch (error) {
+                return 'ndjson';
+            }
+        }
+        return 'csv';
+    }
+
+    parseDataSource(text, name, contentType = '') {
+        // Editors like to prepend a byte order mark to CSV exports
+        const content = text.replace(/^\uFEFF/, '');
+        let format = this.detectDataSourceFormat(content, name, contentType);
+        let records;
+        let decimalComma = false;
+
+        if (format === 'csv') {
+            const delimiter = this.detectCsvDelimiter(content);
+            records = this.parseCsvRecords(content, delimiter);
+            // Semicolon-separated files come from locales that write 1,5 for 1.5
+            decimalComma = delimiter === ';';
+        } else if (format === 'ndjson') {
+            records = content.split(/\r?\n/)
+                .map(line => line.trim())
+                .filter(line => line)
+                .map((line, index) => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (error) {
+                        throw new Error(`Line ${index + 1} is not valid JSON: ${error.message}`);
+                    }
+                });
+        } else {
+            const data = JSON.parse(content);
+            if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+                format = 'geojson';
+                records = this.geoJsonToRecords(data);
+            } else if (Array.isArray(data)) {
+                records = data;
+            } else if (data && Array.isArray(data.artifacts)) {
+                records = data.artifacts;
+            } else {
                 throw new Error('Invalid data format: Expected array of artifacts');
             }
-            
-            this.artifacts = data.artifacts;
-            
-            if (this.artifacts.length === 0) {
-                throw new Error('No artifacts found in data file');
+        }
+
+        records = records.filter(record => record && typeof record === 'object' && !Array.isArray(record));
+        if (records.length === 0) {
+            throw new Error('No artifacts found in data file');
+        }
+
+        const fields = [];
+        records.forEach(record => {
+            Object.keys(record).forEach(field => {
+                if (!fields.includes(field)) fields.push(field);
+            });
+        });
+
+        return { name, format, records, fields, decimalComma };
+    }
+
+    detectCsvDelimiter(text) {
+        // Pick the delimiter that splits the header row the most
+        const headerLine = text.split(/\r?\n/, 1)[0];
+        return [',', ';', '\t']
+            .map(candidate => ({ candidate, count: headerLine.split(candidate).length }))
+            .sort((a, b) => b.count - a.count)[0].candidate;
+    }
+
+    parseCsvRecords(text, delimiter = this.detectCsvDelimiter(text)) {
+        const rows = [];
+        let row = [];
+        let value = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
             }
-            
+        }
+        if (value !== '' || row.length > 0) {
+            row.push(value);
+            rows.push(row);
+        }
+
+        const [headers, ...dataRows] = rows;
+        if (!headers) return [];
+
+        const names = headers.map(header => header.trim());
+        return dataRows
+            .filter(cells => cells.some(cell => cell.trim() !== ''))
+            .map(cells => names.reduce((record, header, index) => {
+                if (header) {
+                    record[header] = cells[index] === undefined ? '' : cells[index].trim();
+                }
+                return record;
+            }, {}));
+    }
+
+    geoJsonToRecords(data) {
+        return data.features.map(feature => {
+            const record = { ...(feature.properties || {}) };
+            const point = this.getGeometryPoint(feature.geometry);
+            // The geometry is the authoritative location in GeoJSON
+            if (point) {
+                record.lng = point[0];
+                record.lat = point[1];
+            }
+            return record;
+        });
+    }
+
+    getGeometryPoint(geometry) {
+        if (!geometry) return null;
+        if (geometry.type === 'Point') return geometry.coordinates;
+
+        // Anything larger is reduced to the centre of its bounding box
+        const positions = [];
+        const collect = coordinates => {
+            if (typeof coordinates[0] === 'number') {
+                positions.push(coordinates);
+            } else {
+                coordinates.forEach(collect);
+            }
+        };
+        if (geometry.type === 'GeometryCollection') {
+            geometry.geometries.forEach(part => {
+                const point = this.getGeometryPoint(part);
+                if (point) positions.push(point);
+            });
+        } else if (Array.isArray(geometry.coordinates)) {
+            collect(geometry.coordinates);
+        }
+        if (positions.length === 0) return null;
+
+        const lngs = positions.map(([lng]) => lng);
+        const lats = positions.map(([, lat]) => lat);
+        return [(Math.min(...lngs) + Math.max(...lngs)) / 2, (Math.min(...lats) + Math.max(...lats)) / 2];
+    }
+
+    guessFieldMapping(fields) {
+        const normalize = name => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const used = new Set();
+        const mapping = {};
+
+        this.artifactSchemaFields.forEach(target => {
+            const aliases = [target, ...(this.fieldAliases[target] || [])].map(normalize);
+            // Earlier aliases are stronger matches
+            const match = aliases
+                .map(alias => fields.find(field => !used.has(field) && normalize(field) === alias))
+                .find(field => field !== undefined);
+            mapping[target] = match || null;
+            if (match) used.add(match);
+        });
+
+        return mapping;
+    }
+
+    isIdentityMapping(mapping) {
+        return Object.entries(mapping).every(([target, source]) => source === null || source === target);
+    }
+
+    applyFieldMapping(records, mapping, decimalComma = false) {
+        return records.map(record => {
+            const artifact = {};
+            this.artifactSchemaFields.forEach(target => {
+                const source = mapping[target];
+                if (source) {
+                    artifact[target] = this.coerceFieldValue(target, record[source], decimalComma);
+                }
+            });
+            return artifact;
+        });
+    }
+
+    coerceFieldValue(field, value, decimalComma = false) {
+        if (value === undefined || value === null) return null;
+        if (typeof value === 'string') {
+            value = value.trim();
+            if (value === '') return null;
+        }
+
+        // Leave values that do not convert as they are, so validation reports them
+        if (field === 'lat' || field === 'lng') {
+            if (typeof value === 'number') return value;
+            const text = String(value);
+            const number = Number(decimalComma && /^-?\d*,\d+$/.test(text) ? text.replace(',', '.') : text);
+            return isNaN(number) ? value : number;
+        }
+        if (field === 'year') {
+            if (typeof value === 'number') return value;
+            const match = String(value).match(/^(-?\d+)\s*(BCE|BC|CE|AD)?$/i);
+            if (!match) return value;
+            const year = parseInt(match[1], 10);
+            return match[2] && /^B/i.test(match[2]) ? -Math.abs(year) : year;
+        }
+        if (field === 'isPlayable') {
+            if (typeof value === 'boolean') return value;
+            const text = String(value).toLowerCase();
+            if (['true', 'yes', 'y', '1'].includes(text)) return true;
+            if (['false', 'no', 'n', '0'].includes(text)) return false;
+            return value;
+        }
+        return typeof value === 'string' ? value : String(value);
+    }
+
+    getArtifactsFromSource(source) {
+        // Lists already in the artifact schema keep their extra fields, but values are still coerced
+        const mapping = this.guessFieldMapping(source.fields);
+        if (this.isIdentityMapping(mapping) && source.format !== 'csv') {
+            return source.records.map(record => {
+                const artifact = { ...record };
+                this.artifactSchemaFields.forEach(field => {
+                    if (field in record) {
+                        artifact[field] = this.coerceFieldValue(field, record[field]);
+                    }
+                });
+                return artifact;
+            });
+        }
+        return this.applyFieldMapping(source.records, mapping, source.decimalComma);
+    }
+
+    resolveArtifactMapping(source, cancellable = false) {
+        const mapping = this.guessFieldMapping(source.fields);
+        const form = document.getElementById('fieldMappingForm');
+        if (!form || (this.isIdentityMapping(mapping) && source.format !== 'csv')) {
+            return Promise.resolve(this.getArtifactsFromSource(source));
+        }
+
+        // Anything else goes through the mapping step before it is analyzed
+        return new Promise((resolve, reject) => {
+            this.displayFieldMapping(source, mapping, cancellable, resolve, reject);
+        });
+    }
+
+    displayFieldMapping(source, mapping, cancellable, resolve, reject) {
+        const form = document.getElementById('fieldMappingForm');
+        const sample = source.records[0];
+        const formatSample = field => {
+            if (!field || sample[field] === undefined || sample[field] === null) return '';
+            const text = typeof sample[field] === 'object' ? JSON.stringify(sample[field]) : String(sample[field]);
+            return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+        };
+
+        form.hidden = false;
+        form.innerHTML = `
+            <h4 class="quality-weights-heading">Map the fields of ${this.escapeHtml(source.name)}</h4>
+            <p class="quality-weights-hint">${source.records.length} records read as ${source.format.toUpperCase()}. Pick the column that holds each artifact field; title and image are required.</p>
+            <div class="quality-weights-grid field-mapping-grid">
+                ${this.artifactSchemaFields.map(target => `
+                    <label class="filter-label" for="fieldMap-${target}">${target}${this.requiredSchemaFields.includes(target) ? ' *' : ''}</label>
+                    <select id="fieldMap-${target}" class="sorting-select field-mapping-select" data-target="${target}">
+                        <option value="">— not in this file —</option>
+                        ${source.fields.map(field => `<option value="${this.escapeHtml(field)}"${mapping[target] === field ? ' selected' : ''}>${this.escapeHtml(field)}</option>`).join('')}
+                    </select>
+                    <span class="field-mapping-sample">${this.escapeHtml(formatSample(mapping[target]))}</span>
+                `).join('')}
+            </div>
+            <div class="validation-toolbar">
+                <button type="button" class="sort-reset-btn" id="applyFieldMappingBtn">Load Artifacts</button>
+                ${cancellable ? '<button type="button" class="sort-reset-btn" id="cancelFieldMappingBtn">Cancel</button>' : ''}
+            </div>
+        `;
+
+        const applyBtn = form.querySelector('#applyFieldMappingBtn');
+        const readMapping = () => {
+            form.querySelectorAll('.field-mapping-select').forEach(select => {
+                mapping[select.dataset.target] = select.value || null;
+                select.nextElementSibling.textContent = formatSample(mapping[select.dataset.target]);
+            });
+            applyBtn.disabled = this.requiredSchemaFields.some(target => !mapping[target]);
+        };
+        readMapping();
+
+        form.querySelectorAll('.field-mapping-select').forEach(select => {
+            select.addEventListener('change', readMapping);
+        });
+        applyBtn.addEventListener('click', () => {
+            form.hidden = true;
+            form.innerHTML = '';
+            resolve(this.applyFieldMapping(source.records, mapping, source.decimalComma));
+        });
+        form.querySelector('#cancelFieldMappingBtn')?.addEventListener('click', () => {
+            form.hidden = true;
+            form.innerHTML = '';
+            reject(new Error('Field mapping cancelled'));
+        });
+    }
+
+    setupDataSourceControls() {
+        const fileInput = document.getElementById('dataSourceFileInput');
+        const dropZone = document.getElementById('dataSourceDropZone');
+        const urlInput = document.getElementById('dataSourceUrlInput');
+        const loadUrlBtn = document.getElementById('dataSourceLoadBtn');
+
+        if (fileInput) {
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files.length > 0) {
+                    this.loadDataSource(() => this.readDataSourceFile(fileInput.files[0]), fileInput.files[0].name);
+                }
+                fileInput.value = '';
+            });
+        }
+
+        if (dropZone) {
+            dropZone.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                dropZone.classList.add('is-dragging');
+            });
+            dropZone.addEventListener('dragleave', () => dropZone.classList.remove('is-dragging'));
+            dropZone.addEventListener('drop', (e) => {
+                e.preventDefault();
+                dropZone.classList.remove('is-dragging');
+                const file = e.dataTransfer.files[0];
+                if (file) {
+                    this.loadDataSource(() => this.readDataSourceFile(file), file.name);
+                }
+            });
+        }
+
+        if (loadUrlBtn && urlInput) {
+            const loadFromInput = () => {
+                const url = urlInput.value.trim();
+                if (!url) return;
+                this.loadDataSource(() => this.fetchDataSource(url), url).then(loaded => {
+                    // Keep the address shareable: reloading the page loads the same list
+                    if (loaded) {
+                        const pageUrl = new URL(window.location.href);
+                        pageUrl.searchParams.set(this.dataSourceParam, url);
+                        window.history.replaceState(null, '', pageUrl);
+                    }
+                });
+            };
+            loadUrlBtn.addEventListener('click', loadFromInput);
+            urlInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') loadFromInput();
+            });
+        }
+    }
+
+    async loadDataSource(readSource, name) {
+        this.setDataSourceStatus(`Reading ${name}...`);
+        try {
+            const source = await readSource();
+            const artifacts = await this.resolveArtifactMapping(source, true);
+            this.dataSource = { name: source.name, format: source.format };
+            await this.replaceArtifacts(artifacts);
+            return true;
         } catch (error) {
-            console.error('Error loading artifacts:', error);
-            throw new Error(`Failed to load artifact data: ${error.message}`);
+            console.error('Error loading data source:', error);
+            if (error.message === 'Field mapping cancelled') {
+                this.displayDataSourceStatus();
+            } else {
+                this.setDataSourceStatus(`Could not load ${name}: ${error.message}`, true);
+            }
+            return false;
+        }
+    }
+
+    setDataSourceStatus(message, isError = false) {
+        const status = document.getElementById('dataSourceStatus');
+        if (!status) return;
+
+        status.textContent = message;
+        status.classList.toggle('compare-status-error', isError);
+    }
+
+    displayDataSourceStatus() {
+        if (!this.dataSource) return;
+        this.setDataSourceStatus(`${this.artifacts.length} artifacts from ${this.dataSource.name} (${this.dataSource.format.toUpperCase()})`);
+    }
+
+    async replaceArtifacts(artifacts) {
+        if (!this.analysisStarted) {
+            // The first list failed to load, so nothing has been set up yet
+            const errorMessage = document.getElementById('errorMessage');
+            if (errorMessage) {
+                errorMessage.style.display = 'none';
+            }
+            this.artifacts = artifacts;
+            this.originalArtifacts = artifacts.map(artifact => ({ ...artifact }));
+            this.showLoadingStates();
+            await this.startAnalysis();
+            this.displayDataSourceStatus();
+            return;
+        }
+
+        // Stop background work that still points at the old list
+        this.cancelImageAnalysis();
+        while (this.imageAnalysisInProgress) {
+            await this.delay(50);
+        }
+        if (this.linkCheckController) {
+            this.linkCheckController.abort();
+        }
+
+        this.artifacts = artifacts;
+        this.originalArtifacts = artifacts.map(artifact => ({ ...artifact }));
+        this.editHistory = [];
+        this.linkTestResults.clear();
+        this.linkTestResultsRun = null;
+        this.selectedAuthor = null;
+        this.comparisonDataset = null;
+        this.datasetDiff = null;
+        this.roundSet = null;
+        this.imageAnalysisProgress.current = 0;
+        this.loadLinkTestHistory();
+
+        this.validateArtifacts();
+        this.analyzeArtifacts();
+        this.assignArtifactRegions(this.artifacts);
+        this.refreshAfterEdit([]);
+        this.displayDatasetDiff();
+        this.displayRoundSet();
+        this.displayLinkTestHistory();
+        this.displayDataSourceStatus();
+        const testResults = document.getElementById('testResults');
+        if (testResults) {
+            testResults.innerHTML = '';
         }
+        // Filters refer to licenses and authors of the old list
+        this.handleClearFilters();
+
+        this.startImageQualityAnalysis();
     }
 
     analyzeArtifacts() {
@@ -173,6 +938,12 @@ class ArtifactAnalyzer {
             artifact.aspectRatio = null;
             artifact.pixelSize = null;
             
+            // Pixel-content metrics (0-100, null when pixels cannot be read)
+            artifact.sharpnessScore = null;
+            artifact.exposureScore = null;
+            artifact.borderScore = null;
+            artifact.blockinessScore = null;
+            
             // Validate and normalize data
             if (typeof artifact.year === 'string') {
                 artifact.year = parseInt(artifact.year, 10);
@@ -189,6 +960,8 @@ class ArtifactAnalyzer {
         this.calculatePlayabilityStats();
         this.calculateYearRange();
         this.createSortedArrays();
+        this.calculateDifficultyScores();
+        this.calculateTextStats();
     }
 
     getStringLength(str) {
@@ -219,7 +992,7 @@ class ArtifactAnalyzer {
         }
         
         // Add top artifacts for each quality metric
-        const modes = ['overall', 'aspect-ratio', 'pixel-size'];
+        const modes = Object.keys(this.imageQualityModeNames);
         modes.forEach(mode => {
             const topArtifacts = this.getTopArtifactsByMode(mode, 5);
             const bottomArtifacts = this.getBottomArtifactsByMode(mode, 5);
@@ -251,6 +1024,14 @@ class ArtifactAnalyzer {
             case 'pixel-size':
                 // Double the score since pixel size alone is out of 50, but we want 0-100 scale
                 return Math.min(100, artifact.pixelSizeScore * 2);
+            case 'sharpness':
+                return artifact.sharpnessScore || 0;
+            case 'exposure':
+                return artifact.exposureScore || 0;
+            case 'border':
+                return artifact.borderScore || 0;
+            case 'blockiness':
+                return artifact.blockinessScore || 0;
             default:
                 return artifact.imageQualityScore;
         }
@@ -259,6 +1040,7 @@ class ArtifactAnalyzer {
     async startImageQualityAnalysis() {
         if (this.imageAnalysisInProgress) return;
         this.imageAnalysisInProgress = true;
+        this.updateQualityCacheStatus();
 
         // Initialize progress tracking
         this.imageAnalysisProgress.current = 0;
@@ -290,14 +1072,36 @@ class ArtifactAnalyzer {
             // Update priority artifacts based on current sort
             this.updatePriorityArtifacts();
             
-            await this.analyzeAllImageQualities();
+            const completed = await this.analyzeAllImageQualities();
             this.updateImageQualityStats();
-            
+
+            // Quality bands are only known now, so refresh the facet counts
+            // and re-filter if the collection is narrowed or sorted by quality
+            this.updateFacetCounts();
+            if (this.filters.qualityBand !== 'all' || this.currentSort.startsWith('difficulty-')) {
+                this.applySorting(this.currentSort);
+            }
+
+            // Perceptual hashes and author quality averages are only known now as well
+            this.displayDuplicates();
+            this.displayAuthors();
+            if (this.comparisonDataset) {
+                this.calculateDatasetDiff();
+                this.displayDatasetDiff();
+            }
+            if (this.markerColorMode === 'quality') {
+                this.renderMapMarkers();
+            }
+            this.drawDifficultyChart();
+
             // Update display after analysis is complete
+            const statusText = completed
+                ? 'Complete'
+                : `Cancelled at ${this.imageAnalysisProgress.current}/${this.imageAnalysisProgress.total}`;
             if (avgElement) {
                 avgElement.innerHTML = `
                     <span class="main-text">${Math.round(this.averageImageQuality)}/100</span>
-                    <span class="progress-text">Complete</span>
+                    <span class="progress-text">${statusText}</span>
                 `;
                 avgElement.removeAttribute('aria-busy');
             }
@@ -305,7 +1109,9 @@ class ArtifactAnalyzer {
             // Clear progress displays
             Object.values(progressElements).forEach(el => {
                 if (el) {
-                    el.textContent = `${this.imageAnalysisProgress.total}/${this.imageAnalysisProgress.total} Complete`;
+                    el.textContent = completed
+                        ? `${this.imageAnalysisProgress.total}/${this.imageAnalysisProgress.total} Complete`
+                        : statusText;
                 }
             });
 
@@ -320,167 +1126,568 @@ class ArtifactAnalyzer {
             }
         } finally {
             this.imageAnalysisInProgress = false;
+            this.updateQualityCacheStatus();
+            this.updateAnalysisQueueControls();
         }
     }
 
     async analyzeAllImageQualities() {
-        const progressElements = {
-            main: document.getElementById('imageQualityProgress'),
-            highest: document.getElementById('highestQualityProgress'),
-            lowest: document.getElementById('lowestQualityProgress')
+        const queue = {
+            pending: [...this.artifacts],
+            completed: 0,
+            workers: 0,
+            paused: false,
+            cancelled: false,
+            resumeWaiters: [],
+            onIdle: null
         };
-
-        // Sort artifacts by priority - priority artifacts first
-        const artifactsToAnalyze = [...this.artifacts].sort((a, b) => {
-            const aPriority = this.priorityArtifacts.has(a.id) ? 1 : 0;
-            const bPriority = this.priorityArtifacts.has(b.id) ? 1 : 0;
-            return bPriority - aPriority;
+        this.imageAnalysisQueue = queue;
+        this.updateAnalysisQueueControls();
+
+        // Workers pull the most urgent artifact each time they become free,
+        // so sort changes and scrolling re-prioritize the remaining work
+        await new Promise(resolve => {
+            queue.onIdle = resolve;
+            this.spawnAnalysisWorkers();
+            if (queue.workers === 0) resolve();
         });
 
-        // Process artifacts one by one to show progress
-        for (let i = 0; i < artifactsToAnalyze.length; i++) {
-            await this.analyzeImageQuality(artifactsToAnalyze[i]);
-            
-            this.imageAnalysisProgress.current = i + 1;
-            
-            // Update progress displays
-            const progressText = `${this.imageAnalysisProgress.current}/${this.imageAnalysisProgress.total}`;
-            Object.values(progressElements).forEach(el => {
-                if (el) {
-                    el.textContent = progressText;
-                }
-            });
-
-            // Update main quality display with running average
-            const avgElement = document.getElementById('avgImageQuality');
-            if (avgElement) {
-                const validScores = this.artifacts
-                    .filter(a => a.imageQualityScore > 0)
-                    .map(a => a.imageQualityScore);
-                
-                const currentAvg = validScores.length > 0 
-                    ? validScores.reduce((sum, score) => sum + score, 0) / validScores.length 
-                    : 0;
-                
-                avgElement.innerHTML = `
-                    <span class="main-text">${Math.round(currentAvg)}/100</span>
-                    <span class="progress-text">${progressText}</span>
-                `;
-            }
-            
-            // Update quality lists progressively every 5 analyses
-            if (i % 5 === 0 || this.priorityArtifacts.has(artifactsToAnalyze[i].id)) {
-                this.updateImageQualityListsProgressive();
-                
-                // Update visible artifact cards if they've been analyzed
-                this.updateVisibleArtifactCards();
-            }
-            
-            // Small delay between analyses to prevent UI blocking
-            if (i % 10 === 0) {
-                await this.delay(50);
-            }
-        }
+        this.imageAnalysisQueue = null;
+        this.updateAnalysisQueueControls();
         
         // Final update of all lists
         this.updateImageQualityListsProgressive();
         this.updateVisibleArtifactCards();
+
+        return !queue.cancelled;
     }
 
-    updateImageQualityListsProgressive() {
-        const analyzedArtifacts = this.artifacts.filter(a => a.imageQualityScore > 0);
-        
-        if (analyzedArtifacts.length === 0) return;
-        
-        const highestQuality = this.getTopArtifactsByMode(this.imageQualityMode, 5);
-        const lowestQuality = this.getBottomArtifactsByMode(this.imageQualityMode, 5);
-        
-        this.displayArtifactList('highestImageQualityList', highestQuality, 'imageQuality');
-        this.displayArtifactList('lowestImageQualityList', lowestQuality, 'imageQuality');
+    spawnAnalysisWorkers() {
+        const queue = this.imageAnalysisQueue;
+        if (!queue) return;
+
+        while (queue.workers < this.imageAnalysisConcurrency && queue.pending.length > 0 && !queue.cancelled) {
+            queue.workers++;
+            this.runAnalysisWorker(queue);
+        }
     }
 
-    updateVisibleArtifactCards() {
-        // Update the image quality display in visible artifact cards
-        const visibleCards = document.querySelectorAll('.full-artifact-card');
-        visibleCards.forEach(card => {
-            const artifactTitle = card.querySelector('.full-artifact-title')?.textContent;
-            if (artifactTitle) {
-                const artifact = this.artifacts.find(a => a.title === artifactTitle);
-                if (artifact && artifact.imageQualityScore > 0) {
-                    const qualityElement = card.querySelector('.meta-row:last-child span:last-child');
-                    if (qualityElement && qualityElement.textContent.includes('Analyzing...')) {
-                        qualityElement.textContent = `Overall: ${artifact.imageQualityScore}/100, AR: ${artifact.aspectRatioScore}/100, Pixels: ${artifact.pixelSizeScore}/100`;
-                    }
-                    
-                    // Update the badge
-                    const badge = card.querySelector('.image-quality-badge');
-                    if (badge && badge.classList.contains('quality-loading')) {
-                        badge.className = `image-quality-badge ${this.getQualityClass(artifact.imageQualityScore)}`;
-                        badge.textContent = `Quality: ${artifact.imageQualityScore}/100`;
-                    }
-                }
+    async runAnalysisWorker(queue) {
+        // Workers beyond the configured concurrency retire after their current image
+        while (!queue.cancelled && queue.pending.length > 0 && queue.workers <= this.imageAnalysisConcurrency) {
+            if (queue.paused) {
+                await new Promise(resolve => queue.resumeWaiters.push(resolve));
+                continue;
             }
-        });
-    }
 
-    getQualityClass(score) {
-        if (score >= 80) return 'quality-high';
-        if (score >= 45) return 'quality-medium';
-        return 'quality-low';
-    }
+            const artifact = this.takeNextAnalysisArtifact(queue);
+            await this.analyzeImageQuality(artifact);
+            queue.completed++;
+            this.reportAnalysisProgress(queue, artifact);
 
-    async analyzeImageQuality(artifact) {
-        if (!artifact.image) {
-            artifact.imageQualityScore = 0;
-            artifact.imageQuality = 'No Image';
-            artifact.aspectRatioScore = 0;
-            artifact.pixelSizeScore = 0;
-            return;
+            // Cached results resolve immediately, so yield to keep the UI responsive
+            if (queue.completed % 10 === 0) {
+                await this.delay(0);
+            }
+        }
+
+        queue.workers--;
+        if (queue.workers === 0 && queue.onIdle) {
+            queue.onIdle();
+        }
+    }
+
+    takeNextAnalysisArtifact(queue) {
+        // Cards on screen first, then the priority set, then collection order
+        let index = queue.pending.findIndex(artifact => this.visibleArtifactIds.has(artifact.id));
+        if (index === -1) {
+            index = queue.pending.findIndex(artifact => this.priorityArtifacts.has(artifact.id));
+        }
+        if (index === -1) {
+            index = 0;
+        }
+        return queue.pending.splice(index, 1)[0];
+    }
+
+    reportAnalysisProgress(queue, artifact) {
+        this.imageAnalysisProgress.current = queue.completed;
+
+        // Update progress displays
+        const progressText = `${this.imageAnalysisProgress.current}/${this.imageAnalysisProgress.total}`;
+        ['imageQualityProgress', 'highestQualityProgress', 'lowestQualityProgress'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) {
+                el.textContent = progressText;
+            }
+        });
+
+        // Update main quality display with running average
+        const avgElement = document.getElementById('avgImageQuality');
+        if (avgElement) {
+            const validScores = this.artifacts
+                .filter(a => a.imageQualityScore > 0)
+                .map(a => a.imageQualityScore);
+            
+            const currentAvg = validScores.length > 0 
+                ? validScores.reduce((sum, score) => sum + score, 0) / validScores.length 
+                : 0;
+            
+            avgElement.innerHTML = `
+                <span class="main-text">${Math.round(currentAvg)}/100</span>
+                <span class="progress-text">${progressText}${queue.paused ? ' (paused)' : ''}</span>
+            `;
+        }
+        
+        // Update quality lists progressively every 5 analyses
+        if (queue.completed % 5 === 0 || this.priorityArtifacts.has(artifact.id) || this.visibleArtifactIds.has(artifact.id)) {
+            this.updateImageQualityListsProgressive();
+            
+            // Update visible artifact cards if they've been analyzed
+            this.updateVisibleArtifactCards();
+        }
+    }
+
+    setupAnalysisQueueControls() {
+        const concurrencySelect = document.getElementById('analysisConcurrencySelect');
+        const pauseBtn = document.getElementById('pauseAnalysisBtn');
+        const cancelBtn = document.getElementById('cancelAnalysisBtn');
+
+        if (concurrencySelect) {
+            concurrencySelect.value = String(this.imageAnalysisConcurrency);
+            concurrencySelect.addEventListener('change', (e) => {
+                this.imageAnalysisConcurrency = parseInt(e.target.value, 10) || 1;
+                this.spawnAnalysisWorkers();
+            });
+        }
+
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', () => {
+                const queue = this.imageAnalysisQueue;
+                if (!queue) {
+                    this.startImageQualityAnalysis();
+                } else if (queue.paused) {
+                    this.resumeImageAnalysis();
+                } else {
+                    queue.paused = true;
+                    this.updateAnalysisQueueControls();
+                }
+            });
+        }
+
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.cancelImageAnalysis());
+        }
+
+        // Cards scrolled into view jump to the front of the analysis queue
+        if ('IntersectionObserver' in window) {
+            this.cardVisibilityObserver = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    const id = entry.target.dataset.artifactId;
+                    if (entry.isIntersecting) {
+                        this.visibleArtifactIds.add(id);
+                    } else {
+                        this.visibleArtifactIds.delete(id);
+                    }
+                });
+            });
+        }
+
+        this.updateAnalysisQueueControls();
+    }
+
+    resumeImageAnalysis() {
+        const queue = this.imageAnalysisQueue;
+        if (!queue) return;
+
+        queue.paused = false;
+        queue.resumeWaiters.splice(0).forEach(resolve => resolve());
+        this.updateAnalysisQueueControls();
+    }
+
+    cancelImageAnalysis() {
+        const queue = this.imageAnalysisQueue;
+        if (!queue) return;
+
+        queue.cancelled = true;
+        queue.paused = false;
+        queue.resumeWaiters.splice(0).forEach(resolve => resolve());
+        this.updateAnalysisQueueControls();
+    }
+
+    updateAnalysisQueueControls() {
+        const pauseBtn = document.getElementById('pauseAnalysisBtn');
+        const cancelBtn = document.getElementById('cancelAnalysisBtn');
+        const queue = this.imageAnalysisQueue;
+
+        if (pauseBtn) {
+            if (!queue) {
+                pauseBtn.textContent = 'Start Analysis';
+                pauseBtn.disabled = this.imageAnalysisInProgress;
+            } else {
+                pauseBtn.textContent = queue.paused ? 'Resume' : 'Pause';
+                pauseBtn.disabled = queue.cancelled;
+            }
+        }
+        if (cancelBtn) {
+            cancelBtn.disabled = !queue || queue.cancelled;
+        }
+    }
+
+    async loadImageDataWithRetry(imageUrl) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.loadImageData(imageUrl);
+            } catch (error) {
+                // Only timeouts are worth retrying; broken URLs fail the same way every time
+                const cancelled = this.imageAnalysisQueue && this.imageAnalysisQueue.cancelled;
+                if (error.message !== 'Image load timeout' || attempt >= this.imageAnalysisMaxRetries || cancelled) {
+                    throw error;
+                }
+                await this.delay(this.imageAnalysisRetryDelay * 2 ** attempt);
+            }
+        }
+    }
+
+    updateImageQualityListsProgressive() {
+        const analyzedArtifacts = this.artifacts.filter(a => a.imageQualityScore > 0);
+        
+        if (analyzedArtifacts.length === 0) return;
+        
+        const highestQuality = this.getTopArtifactsByMode(this.imageQualityMode, 5);
+        const lowestQuality = this.getBottomArtifactsByMode(this.imageQualityMode, 5);
+        
+        this.displayArtifactList('highestImageQualityList', highestQuality, 'imageQuality');
+        this.displayArtifactList('lowestImageQualityList', lowestQuality, 'imageQuality');
+    }
+
+    updateVisibleArtifactCards(force = false) {
+        // Update the image quality display in visible artifact cards
+        const visibleCards = document.querySelectorAll('.full-artifact-card');
+        visibleCards.forEach(card => {
+            const artifactTitle = card.querySelector('.full-artifact-title')?.textContent;
+            if (artifactTitle) {
+                const artifact = this.artifacts.find(a => a.title === artifactTitle);
+                if (artifact && artifact.imageQualityScore > 0) {
+                    const qualityElement = card.querySelector('.meta-row:last-child span:last-child');
+                    if (qualityElement && (force || qualityElement.textContent.includes('Analyzing...'))) {
+                        qualityElement.textContent = this.formatQualityBreakdown(artifact);
+                    }
+                    
+                    // Update the badge
+                    const badge = card.querySelector('.image-quality-badge');
+                    if (badge && (force || badge.classList.contains('quality-loading'))) {
+                        badge.className = `image-quality-badge ${this.getQualityClass(artifact.imageQualityScore)}`;
+                        badge.textContent = `Quality: ${artifact.imageQualityScore}/100`;
+                    }
+
+                    // Difficulty depends on image quality as well
+                    const difficultyBadge = card.querySelector('.difficulty-badge');
+                    if (difficultyBadge) {
+                        difficultyBadge.outerHTML = this.createDifficultyBadge(artifact);
+                    }
+                }
+            }
+        });
+    }
+
+    formatQualityBreakdown(artifact) {
+        const parts = [
+            `Overall: ${artifact.imageQualityScore}/100`,
+            `AR: ${artifact.aspectRatioScore}/100`,
+            `Pixels: ${artifact.pixelSizeScore}/100`
+        ];
+        if (artifact.sharpnessScore !== null && artifact.sharpnessScore !== undefined) {
+            parts.push(
+                `Sharpness: ${artifact.sharpnessScore}/100`,
+                `Exposure: ${artifact.exposureScore}/100`,
+                `Borders: ${artifact.borderScore}/100`,
+                `Compression: ${artifact.blockinessScore}/100`
+            );
+        }
+        return parts.join(', ');
+    }
+
+    getQualityClass(score) {
+        const { classThresholds } = this.getActiveQualityProfile();
+        if (score >= classThresholds.high) return 'quality-high';
+        if (score >= classThresholds.medium) return 'quality-medium';
+        return 'quality-low';
+    }
+
+    async analyzeImageQuality(artifact) {
+        if (!artifact.image) {
+            artifact.imageQualityScore = 0;
+            artifact.imageQuality = 'No Image';
+            artifact.aspectRatioScore = 0;
+            artifact.pixelSizeScore = 0;
+            return;
         }
 
         if (this.imageQualityCache.has(artifact.image)) {
-            const cached = this.imageQualityCache.get(artifact.image);
-            artifact.imageQualityScore = cached.overallScore;
-            artifact.imageQuality = cached.quality;
-            artifact.aspectRatioScore = cached.aspectRatioScore;
-            artifact.pixelSizeScore = cached.pixelSizeScore;
-            artifact.aspectRatio = cached.aspectRatio;
-            artifact.pixelSize = cached.pixelSize;
+            this.applyCachedImageQuality(artifact, this.imageQualityCache.get(artifact.image));
             return;
         }
 
         try {
-            const imageData = await this.loadImageData(artifact.image);
+            const imageData = await this.loadImageDataWithRetry(artifact.image);
             const scores = this.calculateEnhancedQualityScores(imageData);
             
-            artifact.imageQualityScore = scores.overall;
-            artifact.imageQuality = this.getQualityLabel(scores.overall);
-            artifact.aspectRatioScore = scores.aspectRatio;
-            artifact.pixelSizeScore = scores.pixelSize;
-            artifact.aspectRatio = imageData.aspectRatio;
-            artifact.pixelSize = imageData.pixelCount;
-            
             // Cache the result
-            this.imageQualityCache.set(artifact.image, {
+            const entry = this.cacheImageQuality(artifact.image, {
+                status: 'ok',
                 overallScore: scores.overall,
-                quality: artifact.imageQuality,
+                quality: this.getQualityLabel(scores.overall),
                 aspectRatioScore: scores.aspectRatio,
                 pixelSizeScore: scores.pixelSize,
+                sharpnessScore: scores.sharpness,
+                exposureScore: scores.exposure,
+                borderScore: scores.border,
+                blockinessScore: scores.blockiness,
+                pixelMetrics: imageData.pixelMetrics,
                 aspectRatio: imageData.aspectRatio,
-                pixelSize: imageData.pixelCount
+                pixelSize: imageData.pixelCount,
+                width: imageData.width,
+                height: imageData.height
             });
+            this.applyCachedImageQuality(artifact, entry);
         } catch (error) {
             console.warn(`Failed to analyze image quality for ${artifact.title}:`, error);
             artifact.imageQualityScore = 0;
             artifact.imageQuality = 'Analysis Failed';
             artifact.aspectRatioScore = 0;
             artifact.pixelSizeScore = 0;
+
+            // Remember failures too, so they can be retried selectively
+            this.cacheImageQuality(artifact.image, {
+                status: 'failed',
+                error: error.message,
+                overallScore: 0,
+                quality: 'Analysis Failed',
+                aspectRatioScore: 0,
+                pixelSizeScore: 0,
+                aspectRatio: null,
+                pixelSize: null
+            });
+        }
+    }
+
+    applyCachedImageQuality(artifact, cached) {
+        artifact.aspectRatioScore = cached.aspectRatioScore;
+        artifact.pixelSizeScore = cached.pixelSizeScore;
+        artifact.sharpnessScore = cached.sharpnessScore ?? null;
+        artifact.exposureScore = cached.exposureScore ?? null;
+        artifact.borderScore = cached.borderScore ?? null;
+        artifact.blockinessScore = cached.blockinessScore ?? null;
+        artifact.aspectRatio = cached.aspectRatio;
+        artifact.pixelSize = cached.pixelSize;
+        artifact.perceptualHash = cached.pixelMetrics?.perceptualHash ?? null;
+
+        if (cached.status === 'ok') {
+            // Dimension scores and the overall score depend on the active
+            // profile, so derive them fresh from the cached measurements
+            const dimensionScores = this.calculateDimensionScores(cached.aspectRatio, cached.pixelSize);
+            artifact.aspectRatioScore = dimensionScores.aspectRatio;
+            artifact.pixelSizeScore = dimensionScores.pixelSize;
+            artifact.imageQualityScore = this.calculateOverallQualityScore(this.getComponentScores(artifact));
+            artifact.imageQuality = this.getQualityLabel(artifact.imageQualityScore);
+        } else {
+            artifact.imageQualityScore = cached.overallScore;
+            artifact.imageQuality = cached.quality;
+        }
+        this.updateArtifactDifficulty(artifact);
+    }
+
+    cacheImageQuality(imageUrl, result) {
+        const entry = {
+            ...result,
+            url: imageUrl,
+            analyzedAt: Date.now(),
+            scoringVersion: this.imageQualityScoringVersion
+        };
+        this.imageQualityCache.set(imageUrl, entry);
+        this.persistImageQuality(entry);
+        return entry;
+    }
+
+    isStaleQualityEntry(entry) {
+        return entry.scoringVersion !== this.imageQualityScoringVersion ||
+               Date.now() - entry.analyzedAt > this.imageQualityCacheMaxAge;
+    }
+
+    openQualityCacheDb() {
+        if (this.qualityCacheDb) return this.qualityCacheDb;
+
+        this.qualityCacheDb = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open('originGuessrAnalyzer', 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('imageQuality')) {
+                    db.createObjectStore('imageQuality', { keyPath: 'url' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.qualityCacheDb;
+    }
+
+    async runQualityCacheRequest(mode, createRequest) {
+        const db = await this.openQualityCacheDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('imageQuality', mode);
+            const request = createRequest(transaction.objectStore('imageQuality'));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async loadPersistedImageQualities() {
+        try {
+            const entries = await this.runQualityCacheRequest('readonly', store => store.getAll());
+            entries.forEach(entry => {
+                // Results scored by an older algorithm are re-analyzed and overwritten
+                if (entry.scoringVersion === this.imageQualityScoringVersion) {
+                    this.imageQualityCache.set(entry.url, entry);
+                }
+            });
+        } catch (error) {
+            console.warn('Image quality cache unavailable, analyzing from scratch:', error);
+        }
+        this.updateQualityCacheStatus();
+    }
+
+    async persistImageQuality(entry) {
+        try {
+            await this.runQualityCacheRequest('readwrite', store => store.put(entry));
+        } catch (error) {
+            console.warn('Failed to persist image quality result:', error);
+        }
+    }
+
+    setupQualityCacheControls() {
+        const reanalyzeBtn = document.getElementById('reanalyzeStaleBtn');
+        const clearBtn = document.getElementById('clearQualityCacheBtn');
+
+        if (reanalyzeBtn) {
+            reanalyzeBtn.addEventListener('click', () => this.reanalyzeStaleImageQualities());
+        }
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => this.clearImageQualityCache());
+        }
+    }
+
+    async reanalyzeStaleImageQualities() {
+        if (this.imageAnalysisInProgress) return;
+
+        const urlsToRetry = new Set();
+        this.imageQualityCache.forEach((entry, url) => {
+            if (entry.status === 'failed' || this.isStaleQualityEntry(entry)) {
+                urlsToRetry.add(url);
+            }
+        });
+        if (urlsToRetry.size === 0) return;
+
+        urlsToRetry.forEach(url => this.imageQualityCache.delete(url));
+        this.artifacts
+            .filter(artifact => urlsToRetry.has(artifact.image))
+            .forEach(artifact => {
+                artifact.imageQualityScore = 0;
+                artifact.imageQuality = null;
+                artifact.aspectRatioScore = 0;
+                artifact.pixelSizeScore = 0;
+                artifact.aspectRatio = null;
+                artifact.pixelSize = null;
+            });
+
+        await this.startImageQualityAnalysis();
+    }
+
+    async clearImageQualityCache() {
+        if (!confirm('Clear all stored image quality results? Images will be downloaded and analyzed again on the next visit.')) {
+            return;
+        }
+
+        try {
+            await this.runQualityCacheRequest('readwrite', store => store.clear());
+        } catch (error) {
+            console.warn('Failed to clear image quality cache:', error);
+        }
+        this.imageQualityCache.clear();
+        this.updateQualityCacheStatus();
+    }
+
+    updateQualityCacheStatus() {
+        const status = document.getElementById('qualityCacheStatus');
+        const reanalyzeBtn = document.getElementById('reanalyzeStaleBtn');
+
+        let failed = 0;
+        let stale = 0;
+        this.imageQualityCache.forEach(entry => {
+            if (entry.status === 'failed') {
+                failed++;
+            } else if (this.isStaleQualityEntry(entry)) {
+                stale++;
+            }
+        });
+
+        if (status) {
+            status.textContent = this.imageQualityCache.size > 0
+                ? `${this.imageQualityCache.size} cached result${this.imageQualityCache.size !== 1 ? 's' : ''} · ${failed} failed · ${stale} stale`
+                : 'No cached results';
+        }
+        if (reanalyzeBtn) {
+            reanalyzeBtn.disabled = this.imageAnalysisInProgress || failed + stale === 0;
+        }
+    }
+
+    async loadImageData(imageUrl, timeout = 8000) {
+        let img;
+        let pixelsReadable = true;
+
+        try {
+            img = await this.loadImageElement(imageUrl, timeout, true);
+        } catch (error) {
+            if (error.message === 'Image load timeout') throw error;
+            // Hosts without CORS headers reject anonymous requests, so fall back
+            // to a plain load that only gives us the dimensions
+            img = await this.loadImageElement(imageUrl, timeout, false);
+            pixelsReadable = false;
+        }
+
+        const aspectRatio = img.naturalWidth / img.naturalHeight;
+        const pixelCount = img.naturalWidth * img.naturalHeight;
+
+        let pixelMetrics = null;
+        if (pixelsReadable) {
+            try {
+                pixelMetrics = this.analyzeImagePixels(img);
+            } catch (error) {
+                console.warn(`Could not read pixels of ${imageUrl}:`, error);
+            }
         }
+
+        return {
+            width: img.naturalWidth,
+            height: img.naturalHeight,
+            url: imageUrl,
+            aspectRatio: aspectRatio,
+            pixelCount: pixelCount,
+            pixelMetrics: pixelMetrics
+        };
     }
 
-    loadImageData(imageUrl, timeout = 8000) {
+    loadImageElement(imageUrl, timeout, anonymous) {
         return new Promise((resolve, reject) => {
             const img = new Image();
+            if (anonymous) {
+                img.crossOrigin = 'anonymous';
+            }
             
             // Set up timeout
             const timeoutId = setTimeout(() => {
@@ -489,16 +1696,7 @@ class ArtifactAnalyzer {
             
             img.onload = () => {
                 clearTimeout(timeoutId);
-                const aspectRatio = img.naturalWidth / img.naturalHeight;
-                const pixelCount = img.naturalWidth * img.naturalHeight;
-                
-                resolve({
-                    width: img.naturalWidth,
-                    height: img.naturalHeight,
-                    url: imageUrl,
-                    aspectRatio: aspectRatio,
-                    pixelCount: pixelCount
-                });
+                resolve(img);
             };
             
             img.onerror = () => {
@@ -510,966 +1708,5402 @@ class ArtifactAnalyzer {
         });
     }
 
-    calculateEnhancedQualityScores(imageData) {
-        const { width, height, aspectRatio, pixelCount } = imageData;
-        
-        // Aspect Ratio Score (0-50) - Prioritize 4:3 to 16:9 ratios
-        let aspectRatioScore = 0;
-        if (aspectRatio >= 1.33 && aspectRatio <= 1.78) { // 4:3 to 16:9 - ideal range
-            aspectRatioScore = 50;
-        } else if (aspectRatio >= 1.25 && aspectRatio < 1.33) { // 5:4 to 4:3
-            aspectRatioScore = 48 - ((1.33 - aspectRatio) / 0.08) * 3;
-        } else if (aspectRatio > 1.78 && aspectRatio <= 2.0) { // 16:9 to 2:1
-            aspectRatioScore = 48 - ((aspectRatio - 1.78) / 0.22) * 3;
-        } else if (aspectRatio >= 1.0 && aspectRatio < 1.25) { // 1:1 to 5:4
-            aspectRatioScore = 45 - ((1.25 - aspectRatio) / 0.25) * 10;
-        } else if (aspectRatio > 2.0 && aspectRatio <= 2.4) { // 2:1 to 2.4:1
-            aspectRatioScore = 45 - ((aspectRatio - 2.0) / 0.4) * 10;
-        } else if (aspectRatio >= 0.8 && aspectRatio < 1.0) { // 4:5 to 1:1
-            aspectRatioScore = 35 - ((1.0 - aspectRatio) / 0.2) * 10;
-        } else if (aspectRatio > 2.4 && aspectRatio <= 3.0) { // 2.4:1 to 3:1
-            aspectRatioScore = 35 - ((aspectRatio - 2.4) / 0.6) * 10;
-        } else if (aspectRatio >= 0.6 && aspectRatio < 0.8) { // 3:5 to 4:5
-            aspectRatioScore = 25 - ((0.8 - aspectRatio) / 0.2) * 8;
-        } else if (aspectRatio > 3.0 && aspectRatio <= 4.0) { // 3:1 to 4:1
-            aspectRatioScore = 25 - ((aspectRatio - 3.0) / 1.0) * 8;
-        } else if (aspectRatio >= 0.4 && aspectRatio < 0.6) { // 2:5 to 3:5
-            aspectRatioScore = 17 - ((0.6 - aspectRatio) / 0.2) * 5;
-        } else if (aspectRatio > 4.0 && aspectRatio <= 5.0) { // 4:1 to 5:1
-            aspectRatioScore = 17 - ((aspectRatio - 4.0) / 1.0) * 5;
-        } else if (aspectRatio >= 0.25 && aspectRatio < 0.4) { // 1:4 to 2:5
-            aspectRatioScore = 12 - ((0.4 - aspectRatio) / 0.15) * 4;
-        } else if (aspectRatio > 5.0 && aspectRatio <= 6.0) { // 5:1 to 6:1
-            aspectRatioScore = 12 - ((aspectRatio - 5.0) / 1.0) * 4;
-        } else if (aspectRatio >= 0.15 && aspectRatio < 0.25) { // 3:20 to 1:4
-            aspectRatioScore = 8 - ((0.25 - aspectRatio) / 0.1) * 3;
-        } else if (aspectRatio > 6.0 && aspectRatio <= 8.0) { // 6:1 to 8:1
-            aspectRatioScore = 8 - ((aspectRatio - 6.0) / 2.0) * 3;
-        } else { // Extreme ratios
-            aspectRatioScore = Math.max(0, 5 - Math.abs(Math.log(aspectRatio / 1.5)) * 2);
-        }
-        aspectRatioScore = Math.max(0, Math.min(50, Math.round(aspectRatioScore)));
-        
-        // Pixel Size Score (0-50) - Higher pixel count is better, with more granular scoring
-        let pixelSizeScore = 0;
-        if (pixelCount >= 16777216) { // 4K+ (4096x4096)
-            pixelSizeScore = 50;
-        } else if (pixelCount >= 8294400) { // 4K (3840x2160)
-            pixelSizeScore = 49 - ((16777216 - pixelCount) / 8482816) * 1;
-        } else if (pixelCount >= 6220800) { // 2880x2160
-            pixelSizeScore = 48 - ((8294400 - pixelCount) / 2073600) * 1;
-        } else if (pixelCount >= 4953600) { // 2560x1936
-            pixelSizeScore = 47 - ((6220800 - pixelCount) / 1267200) * 1;
-        } else if (pixelCount >= 3686400) { // 2048x1800
-            pixelSizeScore = 46 - ((4953600 - pixelCount) / 1267200) * 1;
-        } else if (pixelCount >= 2764800) { // 1920x1440
-            pixelSizeScore = 45 - ((3686400 - pixelCount) / 921600) * 1;
-        } else if (pixelCount >= 2073600) { // 1920x1080 - Full HD
-            pixelSizeScore = 44 - ((2764800 - pixelCount) / 691200) * 1;
-        } else if (pixelCount >= 1638400) { // 1600x1024
-            pixelSizeScore = 42 - ((2073600 - pixelCount) / 435200) * 2;
-        } else if (pixelCount >= 1382400) { // 1280x1080
-            pixelSizeScore = 40 - ((1638400 - pixelCount) / 256000) * 2;
-        } else if (pixelCount >= 1228800) { // 1440x853
-            pixelSizeScore = 38 - ((1382400 - pixelCount) / 153600) * 2;
-        } else if (pixelCount >= 1024000) { // 1280x800
-            pixelSizeScore = 36 - ((1228800 - pixelCount) / 204800) * 2;
-        } else if (pixelCount >= 921600) { // 1280x720 - HD
-            pixelSizeScore = 34 - ((1024000 - pixelCount) / 102400) * 2;
-        } else if (pixelCount >= 768000) { // 1024x750
-            pixelSizeScore = 32 - ((921600 - pixelCount) / 153600) * 2;
-        } else if (pixelCount >= 614400) { // 1024x600
-            pixelSizeScore = 30 - ((768000 - pixelCount) / 153600) * 2;
-        } else if (pixelCount >= 518400) { // 960x540
-            pixelSizeScore = 28 - ((614400 - pixelCount) / 96000) * 2;
-        } else if (pixelCount >= 480000) { // 800x600
-            pixelSizeScore = 26 - ((518400 - pixelCount) / 38400) * 2;
-        } else if (pixelCount >= 409600) { // 800x512
-            pixelSizeScore = 24 - ((480000 - pixelCount) / 70400) * 2;
-        } else if (pixelCount >= 345600) { // 720x480
-            pixelSizeScore = 22 - ((409600 - pixelCount) / 64000) * 2;
-        } else if (pixelCount >= 307200) { // 640x480 - VGA
-            pixelSizeScore = 20 - ((345600 - pixelCount) / 38400) * 2;
-        } else if (pixelCount >= 256000) { // 640x400
-            pixelSizeScore = 18 - ((307200 - pixelCount) / 51200) * 2;
-        } else if (pixelCount >= 230400) { // 640x360
-            pixelSizeScore = 16 - ((256000 - pixelCount) / 25600) * 2;
-        } else if (pixelCount >= 192000) { // 640x300
-            pixelSizeScore = 14 - ((230400 - pixelCount) / 38400) * 2;
-        } else if (pixelCount >= 153600) { // 480x320
-            pixelSizeScore = 12 - ((192000 - pixelCount) / 38400) * 2;
-        } else if (pixelCount >= 120000) { // 400x300
-            pixelSizeScore = 10 - ((153600 - pixelCount) / 33600) * 2;
-        } else if (pixelCount >= 76800) { // 320x240
-            pixelSizeScore = 8 - ((120000 - pixelCount) / 43200) * 2;
-        } else if (pixelCount >= 50000) { // 250x200
-            pixelSizeScore = 6 - ((76800 - pixelCount) / 26800) * 2;
-        } else if (pixelCount >= 32400) { // 180x180
-            pixelSizeScore = 4 - ((50000 - pixelCount) / 17600) * 2;
-        } else if (pixelCount >= 16000) { // 160x100
-            pixelSizeScore = 2 - ((32400 - pixelCount) / 16400) * 2;
-        } else {
-            pixelSizeScore = Math.max(0, 1 - ((16000 - pixelCount) / 16000));
+    getImageLuminance(img, sx, sy, sw, sh, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(img, sx, sy, sw, sh, 0, 0, width, height);
+
+        // Throws a SecurityError if the canvas is tainted
+        const { data } = ctx.getImageData(0, 0, width, height);
+        const luma = new Float32Array(width * height);
+        for (let i = 0, p = 0; i < luma.length; i++, p += 4) {
+            luma[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
         }
-        pixelSizeScore = Math.max(0, Math.min(50, Math.round(pixelSizeScore)));
-        
-        // Overall Score - Simple sum of the two components (max 100)
-        const overallScore = aspectRatioScore + pixelSizeScore;
-        
+        return { luma, width, height };
+    }
+
+    analyzeImagePixels(img) {
+        const { naturalWidth: width, naturalHeight: height } = img;
+
+        // Whole image scaled down for the histogram and border scan
+        const overviewScale = Math.min(1, 256 / Math.max(width, height));
+        const overview = this.getImageLuminance(img, 0, 0, width, height,
+            Math.max(1, Math.round(width * overviewScale)),
+            Math.max(1, Math.round(height * overviewScale)));
+
+        // Native-resolution centre crop, aligned to the 8px JPEG grid, for
+        // sharpness and blockiness, which downscaling would hide
+        const cropWidth = Math.min(width, 256);
+        const cropHeight = Math.min(height, 256);
+        const cropX = Math.floor((width - cropWidth) / 16) * 8;
+        const cropY = Math.floor((height - cropHeight) / 16) * 8;
+        const detail = this.getImageLuminance(img, cropX, cropY, cropWidth, cropHeight, cropWidth, cropHeight);
+
         return {
-            overall: Math.max(0, Math.min(100, overallScore)),
-            aspectRatio: Math.round(aspectRatioScore),
-            pixelSize: Math.round(pixelSizeScore)
+            laplacianVariance: this.calculateLaplacianVariance(detail),
+            ...this.calculateExposureStats(overview),
+            borderFraction: this.calculateBorderFraction(overview),
+            blockinessRatio: this.calculateBlockinessRatio(detail),
+            perceptualHash: this.calculatePerceptualHash(img)
         };
     }
 
-    getQualityLabel(score) {
-        if (score >= 85) return 'Excellent';
-        if (score >= 70) return 'Good';
-        if (score >= 50) return 'Average';
-        if (score >= 30) return 'Poor';
-        return 'Very Poor';
+    calculateLaplacianVariance({ luma, width, height }) {
+        if (width < 3 || height < 3) return 0;
+
+        let sum = 0;
+        let sumSquares = 0;
+        let count = 0;
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const laplacian = luma[i - 1] + luma[i + 1] + luma[i - width] + luma[i + width] - 4 * luma[i];
+                sum += laplacian;
+                sumSquares += laplacian * laplacian;
+                count++;
+            }
+        }
+        const mean = sum / count;
+        return sumSquares / count - mean * mean;
     }
 
-    updateImageQualityStats() {
-        const validScores = this.artifacts
-            .filter(a => a.imageQualityScore > 0)
-            .map(a => a.imageQualityScore);
-        
-        if (validScores.length > 0) {
-            this.averageImageQuality = validScores.reduce((sum, score) => sum + score, 0) / validScores.length;
-        } else {
-            this.averageImageQuality = 0;
-        }
+    calculateExposureStats({ luma }) {
+        const histogram = new Array(256).fill(0);
+        let sum = 0;
+        luma.forEach(value => {
+            histogram[Math.min(255, Math.round(value))]++;
+            sum += value;
+        });
+
+        const mean = sum / luma.length;
+        const variance = luma.reduce((acc, value) => acc + (value - mean) ** 2, 0) / luma.length;
+        const shadows = histogram.slice(0, 6).reduce((a, b) => a + b, 0) / luma.length;
+        const highlights = histogram.slice(250).reduce((a, b) => a + b, 0) / luma.length;
+
+        return {
+            meanLuminance: mean,
+            contrast: Math.sqrt(variance),
+            clippedShadows: shadows,
+            clippedHighlights: highlights
+        };
     }
 
-    handleImageQualityModeChange(e) {
-        this.imageQualityMode = e.target.value;
-        this.updateImageQualityListsProgressive();
-        this.updateImageQualityHeaders();
+    calculatePerceptualHash(img) {
+        // Difference hash: a 9x8 thumbnail gives one bit per horizontal
+        // neighbour comparison, packed into 16 hex digits
+        const { luma } = this.getImageLuminance(img, 0, 0, img.naturalWidth, img.naturalHeight, 9, 8);
+        let hash = '';
+        let nibble = 0;
+        for (let y = 0; y < 8; y++) {
+            for (let x = 0; x < 8; x++) {
+                nibble = (nibble << 1) | (luma[y * 9 + x] > luma[y * 9 + x + 1] ? 1 : 0);
+                if (x % 4 === 3) {
+                    hash += nibble.toString(16);
+                    nibble = 0;
+                }
+            }
+        }
+        return hash;
     }
 
-    updateImageQualityHeaders() {
-        const highestHeader = document.querySelector('#highestImageQualitySection .section-title');
-        const lowestHeader = document.querySelector('#lowestImageQualitySection .section-title');
-        
-        const modeNames = {
-            'overall': 'Overall Quality',
-            'aspect-ratio': 'Aspect Ratio',
-            'pixel-size': 'Pixel Size'
+    calculateBorderFraction({ luma, width, height }) {
+        // A border line is near-uniform and matches the colour of the image edge
+        const lineStats = (start, step, length) => {
+            let sum = 0;
+            let sumSquares = 0;
+            for (let i = 0; i < length; i++) {
+                const value = luma[start + i * step];
+                sum += value;
+                sumSquares += value * value;
+            }
+            const mean = sum / length;
+            return { mean, stdDev: Math.sqrt(Math.max(0, sumSquares / length - mean * mean)) };
         };
-        
-        const currentModeName = modeNames[this.imageQualityMode];
-        
-        if (highestHeader) {
-            highestHeader.textContent = `Top 5 Highest ${currentModeName}`;
-        }
-        if (lowestHeader) {
-            lowestHeader.textContent = `Top 5 Lowest ${currentModeName}`;
-        }
+        const countUniformLines = (getLine, lineCount) => {
+            const edge = getLine(0);
+            let count = 0;
+            while (count < lineCount / 2) {
+                const line = getLine(count);
+                if (line.stdDev > 6 || Math.abs(line.mean - edge.mean) > 10) break;
+                count++;
+            }
+            return count;
+        };
+
+        const top = countUniformLines(i => lineStats(i * width, 1, width), height);
+        const bottom = countUniformLines(i => lineStats((height - 1 - i) * width, 1, width), height);
+        const left = countUniformLines(i => lineStats(i, width, height), width);
+        const right = countUniformLines(i => lineStats(width - 1 - i, width, height), width);
+
+        const contentWidth = Math.max(0, width - left - right);
+        const contentHeight = Math.max(0, height - top - bottom);
+        return 1 - (contentWidth * contentHeight) / (width * height);
     }
 
-    calculateAuthorStats() {
-        const authorMap = new Map();
-        
-        this.artifacts.forEach(artifact => {
-            const author = this.normalizeAuthor(artifact.author);
-            authorMap.set(author, (authorMap.get(author) || 0) + 1);
+    calculateBlockinessRatio({ luma, width, height }) {
+        // Compare luminance jumps across 8px block edges with jumps inside blocks;
+        // heavy JPEG compression makes the block edges stand out
+        let edgeSum = 0;
+        let edgeCount = 0;
+        let innerSum = 0;
+        let innerCount = 0;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 1; x < width; x++) {
+                const diff = Math.abs(luma[y * width + x] - luma[y * width + x - 1]);
+                if (x % 8 === 0) {
+                    edgeSum += diff;
+                    edgeCount++;
+                } else {
+                    innerSum += diff;
+                    innerCount++;
+                }
+            }
+        }
+        for (let y = 1; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const diff = Math.abs(luma[y * width + x] - luma[(y - 1) * width + x]);
+                if (y % 8 === 0) {
+                    edgeSum += diff;
+                    edgeCount++;
+                } else {
+                    innerSum += diff;
+                    innerCount++;
+                }
+            }
+        }
+
+        if (edgeCount === 0 || innerCount === 0) return 1;
+        return (edgeSum / edgeCount) / Math.max(innerSum / innerCount, 0.5);
+    }
+
+    calculatePixelMetricScores(pixelMetrics) {
+        if (!pixelMetrics) {
+            return { sharpness: null, exposure: null, border: null, blockiness: null };
+        }
+
+        const clamp = value => Math.max(0, Math.min(100, Math.round(value)));
+        const { laplacianVariance, meanLuminance, contrast, clippedShadows, clippedHighlights,
+                borderFraction, blockinessRatio } = pixelMetrics;
+
+        // Laplacian variance of ~10 is very blurry, ~1000 is crisp; score on a log scale
+        const sharpness = clamp(50 * Math.log10(Math.max(laplacianVariance, 1) / 10));
+
+        // Mid-tone brightness, a healthy spread and little clipping make a good exposure
+        const brightness = 100 - Math.abs(meanLuminance - 128) / 128 * 100;
+        const spread = Math.min(100, contrast / 55 * 100);
+        const clipping = 100 - Math.min(100, (clippedShadows + clippedHighlights) * 400);
+        const exposure = clamp(brightness * 0.35 + spread * 0.4 + clipping * 0.25);
+
+        // Losing a fifth of the frame to borders costs 50 points
+        const border = clamp(100 - borderFraction * 250);
+
+        const blockiness = clamp(100 - (blockinessRatio - 1) * 200);
+
+        return { sharpness, exposure, border, blockiness };
+    }
+
+    getComponentScores(artifact) {
+        return {
+            aspectRatio: this.getScoreByMode(artifact, 'aspect-ratio'),
+            pixelSize: this.getScoreByMode(artifact, 'pixel-size'),
+            sharpness: artifact.sharpnessScore,
+            exposure: artifact.exposureScore,
+            border: artifact.borderScore,
+            blockiness: artifact.blockinessScore
+        };
+    }
+
+    calculateOverallQualityScore(componentScores) {
+        // Weighted average over the components that could be measured
+        let total = 0;
+        let weightSum = 0;
+        Object.entries(this.getActiveQualityProfile().weights).forEach(([component, weight]) => {
+            const score = componentScores[component];
+            if (weight > 0 && score !== null && score !== undefined) {
+                total += score * weight;
+                weightSum += weight;
+            }
         });
-        
-        this.authorStats = Array.from(authorMap.entries())
-            .map(([author, count]) => ({ author, count }))
-            .sort((a, b) => b.count - a.count);
+        return weightSum > 0 ? Math.max(0, Math.min(100, Math.round(total / weightSum))) : 0;
     }
 
-    calculateLicenseStats() {
-        const licenseMap = new Map();
+    calculateEnhancedQualityScores(imageData) {
+        const { aspectRatio, pixelCount } = imageData;
+        const { aspectRatio: aspectRatioScore, pixelSize: pixelSizeScore } =
+            this.calculateDimensionScores(aspectRatio, pixelCount);
         
-        this.artifacts.forEach(artifact => {
-            const license = this.normalizeLicense(artifact.license, artifact.author);
-            licenseMap.set(license, (licenseMap.get(license) || 0) + 1);
+        const pixelScores = this.calculatePixelMetricScores(imageData.pixelMetrics);
+
+        // Overall Score - Weighted average of the components (max 100)
+        const overallScore = this.calculateOverallQualityScore({
+            aspectRatio: aspectRatioScore * 2,
+            pixelSize: pixelSizeScore * 2,
+            ...pixelScores
         });
         
-        this.licenseStats = Array.from(licenseMap.entries())
-            .map(([license, count]) => ({ license, count }))
-            .sort((a, b) => b.count - a.count);
+        return {
+            overall: overallScore,
+            aspectRatio: aspectRatioScore,
+            pixelSize: pixelSizeScore,
+            ...pixelScores
+        };
     }
 
-    calculatePlayabilityStats() {
-        this.playabilityStats = this.artifacts.reduce((stats, artifact) => {
-            if (artifact.isPlayable === true) {
-                stats.playableCount++;
-            } else if (artifact.isPlayable === false) {
-                stats.nonPlayableCount++;
+    calculateDimensionScores(aspectRatio, pixelCount) {
+        // Both scores are kept on their historical 0-50 scale
+        const profile = this.getActiveQualityProfile();
+        if (!aspectRatio || !pixelCount) {
+            return { aspectRatio: 0, pixelSize: 0 };
+        }
+
+        // Aspect Ratio Score - full marks inside the ideal range, then falling
+        // off with the log distance to the nearest end of it
+        const { idealMin, idealMax, falloff } = profile.aspectRatio;
+        let distance = 0;
+        if (aspectRatio < idealMin) {
+            distance = Math.log(idealMin / aspectRatio);
+        } else if (aspectRatio > idealMax) {
+            distance = Math.log(aspectRatio / idealMax);
+        }
+        const aspectRatioScore = this.interpolateScore(falloff, distance) / 2;
+
+        // Pixel Size Score - interpolated between the resolution breakpoints
+        const pixelSizeScore = this.interpolateScore(profile.pixelBreakpoints, pixelCount) / 2;
+
+        return {
+            aspectRatio: Math.max(0, Math.min(50, Math.round(aspectRatioScore))),
+            pixelSize: Math.max(0, Math.min(50, Math.round(pixelSizeScore)))
+        };
+    }
+
+    interpolateScore(points, value) {
+        // Piecewise-linear lookup over [x, score] pairs sorted by x
+        if (points.length === 0) return 0;
+        if (value <= points[0][0]) return points[0][1];
+        for (let i = 1; i < points.length; i++) {
+            const [x1, y1] = points[i];
+            if (value <= x1) {
+                const [x0, y0] = points[i - 1];
+                return x1 === x0 ? y1 : y0 + (y1 - y0) * ((value - x0) / (x1 - x0));
             }
-            return stats;
-        }, { playableCount: 0, nonPlayableCount: 0 });
+        }
+        return points[points.length - 1][1];
     }
 
-    calculateYearRange() {
-        const validYears = this.artifacts
-            .map(a => a.year)
-            .filter(y => y !== null && y !== undefined && !isNaN(y));
+    getQualityLabel(score) {
+        const { labelThresholds } = this.getActiveQualityProfile();
+        if (score >= labelThresholds.excellent) return 'Excellent';
+        if (score >= labelThresholds.good) return 'Good';
+        if (score >= labelThresholds.average) return 'Average';
+        if (score >= labelThresholds.poor) return 'Poor';
+        return 'Very Poor';
+    }
+
+    updateImageQualityStats() {
+        const validScores = this.artifacts
+            .filter(a => a.imageQualityScore > 0)
+            .map(a => a.imageQualityScore);
         
-        if (validYears.length > 0) {
-            const minYear = Math.min(...validYears);
-            const maxYear = Math.max(...validYears);
-            this.yearRange = `${this.formatYear(minYear)} - ${this.formatYear(maxYear)}`;
+        if (validScores.length > 0) {
+            this.averageImageQuality = validScores.reduce((sum, score) => sum + score, 0) / validScores.length;
         } else {
-            this.yearRange = "No date data available";
+            this.averageImageQuality = 0;
         }
     }
 
-    createSortedArrays() {
-        // Pre-sort arrays for quick display
-        this.artifactsByLength = [...this.artifacts]
-            .sort((a, b) => b.descriptionLength - a.descriptionLength);
-        this.artifactsByShortness = [...this.artifacts]
-            .sort((a, b) => a.descriptionLength - b.descriptionLength);
-        this.artifactsByTitleLength = [...this.artifacts]
-            .sort((a, b) => b.titleLength - a.titleLength);
-        this.artifactsByTitleShortness = [...this.artifacts]
-            .sort((a, b) => a.titleLength - b.titleLength);
+    getBuiltInQualityProfiles() {
+        // Falloff maps the log distance outside the ideal ratio range to a 0-100
+        // score; breakpoints map pixel counts (ascending) to a 0-100 score
+        const falloff = [[0, 100], [0.06, 90], [0.29, 70], [0.51, 50], [0.8, 34], [1.2, 24], [1.7, 16], [2.5, 0]];
+        const pixelBreakpoints = [
+            [16000, 0], [32400, 4], [50000, 8], [76800, 12], [120000, 16], [153600, 20],
+            [192000, 24], [230400, 28], [256000, 32], [307200, 36], [345600, 40], [409600, 44],
+            [480000, 48], [518400, 52], [614400, 56], [768000, 60], [921600, 64], [1024000, 68],
+            [1228800, 72], [1382400, 76], [1638400, 80], [2073600, 86], [2764800, 88], [3686400, 90],
+            [4953600, 92], [6220800, 94], [8294400, 96], [16777216, 100]
+        ];
+        const createProfile = (id, name, idealMin, idealMax) => ({
+            id,
+            name,
+            builtIn: true,
+            aspectRatio: { idealMin, idealMax, falloff: falloff.map(point => [...point]) },
+            pixelBreakpoints: pixelBreakpoints.map(point => [...point]),
+            // Relative weight of each component (all on a 0-100 scale) in the overall score
+            weights: { aspectRatio: 35, pixelSize: 35, sharpness: 15, exposure: 5, border: 5, blockiness: 5 },
+            labelThresholds: { excellent: 85, good: 70, average: 50, poor: 30 },
+            classThresholds: { high: 80, medium: 45 }
+        });
+
+        return [
+            createProfile('landscape', 'Landscape (4:3 to 16:9)', 1.33, 1.78),
+            createProfile('portrait', 'Portrait (9:16 to 4:5)', 0.56, 0.8)
+        ];
     }
 
-    normalizeAuthor(author) {
-        return author && typeof author === 'string' && author.trim() ? 
-               author.trim() : 'Unknown Author';
+    isValidQualityProfile(profile) {
+        return Boolean(profile) &&
+            typeof profile.id === 'string' &&
+            typeof profile.name === 'string' &&
+            Array.isArray(profile.aspectRatio?.falloff) &&
+            Array.isArray(profile.pixelBreakpoints) &&
+            typeof profile.weights === 'object' &&
+            typeof profile.labelThresholds === 'object' &&
+            typeof profile.classThresholds === 'object';
     }
 
-    normalizeLicense(license, author) {
-        // Check if license is null/empty but author is "Public Domain"
-        if ((!license || typeof license !== 'string' || !license.trim()) && 
-            author && typeof author === 'string' && author.trim().toLowerCase() === 'public domain') {
-            return 'Public Domain';
+    loadQualityProfiles() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.qualityProfileStorageKey));
+            if (!saved || !Array.isArray(saved.profiles)) return;
+
+            saved.profiles.filter(profile => this.isValidQualityProfile(profile)).forEach(profile => {
+                // Saved copies of built-in profiles override the defaults
+                const index = this.qualityProfiles.findIndex(p => p.id === profile.id);
+                if (index >= 0) {
+                    this.qualityProfiles[index] = { ...profile, builtIn: true };
+                } else {
+                    this.qualityProfiles.push({ ...profile, builtIn: false });
+                }
+            });
+
+            if (this.qualityProfiles.some(p => p.id === saved.activeProfileId)) {
+                this.activeQualityProfileId = saved.activeProfileId;
+            }
+        } catch (error) {
+            console.warn('Failed to load quality scoring profiles:', error);
         }
-        
-        return license && typeof license === 'string' && license.trim() ? 
-               license.trim() : 'No License';
     }
 
-    formatYear(year) {
-        if (year === null || year === undefined || isNaN(year)) {
-            return 'Unknown';
+    saveQualityProfiles() {
+        try {
+            localStorage.setItem(this.qualityProfileStorageKey, JSON.stringify({
+                activeProfileId: this.activeQualityProfileId,
+                profiles: this.qualityProfiles
+            }));
+        } catch (error) {
+            console.warn('Failed to save quality scoring profiles:', error);
         }
-        return year < 0 ? `${Math.abs(year)} BCE` : `${year} CE`;
     }
 
-    displayStatistics() {
-        // Remove loading states and display actual data
-        const updates = [
-            ['totalCount', this.totalCount.toLocaleString()],
-            ['avgTitleLength', `${Math.round(this.averageTitleLength)} chars`],
-            ['avgLength', `${Math.round(this.averageLength)} chars`],
-            ['avgImageQuality', 'Analyzing...'], // Will be updated after image analysis
-            ['uniqueLicenses', this.licenseStats.length.toString()],
-            ['yearRange', this.yearRange],
-            ['playableCount', this.playabilityStats.playableCount.toString()],
-            ['nonPlayableCount', this.playabilityStats.nonPlayableCount.toString()]
-        ];
+    getActiveQualityProfile() {
+        return this.qualityProfiles.find(p => p.id === this.activeQualityProfileId) || this.qualityProfiles[0];
+    }
 
-        updates.forEach(([id, value]) => {
-            const element = document.getElementById(id);
-            if (element) {
-                if (id === 'avgImageQuality') {
-                    element.innerHTML = `
-                        <span class="main-text">Analyzing...</span>
-                        <span class="progress-text">0/${this.artifacts.length}</span>
-                    `;
-                } else {
-                    element.textContent = value;
-                    element.removeAttribute('aria-busy');
+    setupQualityProfileControls() {
+        const profileSelect = document.getElementById('qualityProfileSelect');
+        const newBtn = document.getElementById('newQualityProfileBtn');
+        const resetBtn = document.getElementById('resetQualityProfileBtn');
+        const deleteBtn = document.getElementById('deleteQualityProfileBtn');
+        const breakpointsInput = document.getElementById('qualityBreakpointsInput');
+
+        if (profileSelect) {
+            profileSelect.addEventListener('change', () => {
+                this.activeQualityProfileId = profileSelect.value;
+                this.handleQualityProfileChange();
+            });
+        }
+
+        if (newBtn) {
+            newBtn.addEventListener('click', () => {
+                const current = this.getActiveQualityProfile();
+                const name = prompt('Name for the new scoring profile:', `${current.name} (copy)`);
+                if (!name || !name.trim()) return;
+
+                const profile = JSON.parse(JSON.stringify(current));
+                profile.id = `custom-${Date.now()}`;
+                profile.name = name.trim();
+                profile.builtIn = false;
+                this.qualityProfiles.push(profile);
+                this.activeQualityProfileId = profile.id;
+                this.handleQualityProfileChange();
+            });
+        }
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                const current = this.getActiveQualityProfile();
+                const defaults = this.getBuiltInQualityProfiles().find(p => p.id === current.id);
+                if (!defaults) return;
+                this.qualityProfiles[this.qualityProfiles.indexOf(current)] = defaults;
+                this.handleQualityProfileChange();
+            });
+        }
+
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => {
+                const current = this.getActiveQualityProfile();
+                if (current.builtIn || !confirm(`Delete the scoring profile "${current.name}"?`)) return;
+                this.qualityProfiles = this.qualityProfiles.filter(p => p !== current);
+                this.activeQualityProfileId = this.qualityProfiles[0].id;
+                this.handleQualityProfileChange();
+            });
+        }
+
+        document.querySelectorAll('.quality-weight-input').forEach(input => {
+            input.addEventListener('change', () => {
+                const weight = parseFloat(input.value);
+                this.getActiveQualityProfile().weights[input.dataset.component] = isNaN(weight) ? 0 : Math.max(0, weight);
+                this.handleQualityProfileChange();
+            });
+        });
+
+        // Ratio range and thresholds, addressed as "group.key" on the profile
+        document.querySelectorAll('.quality-profile-input').forEach(input => {
+            input.addEventListener('change', () => {
+                const [group, key] = input.dataset.setting.split('.');
+                const value = parseFloat(input.value);
+                const isRatio = group === 'aspectRatio';
+                if (!isNaN(value) && (isRatio ? value > 0 : value >= 0 && value <= 100)) {
+                    this.getActiveQualityProfile()[group][key] = value;
+                }
+
+                const ratio = this.getActiveQualityProfile().aspectRatio;
+                if (ratio.idealMin > ratio.idealMax) {
+                    [ratio.idealMin, ratio.idealMax] = [ratio.idealMax, ratio.idealMin];
+                }
+                this.handleQualityProfileChange();
+            });
+        });
+
+        if (breakpointsInput) {
+            breakpointsInput.addEventListener('change', () => {
+                const breakpoints = this.parseQualityBreakpoints(breakpointsInput.value);
+                if (breakpoints.length >= 2) {
+                    this.getActiveQualityProfile().pixelBreakpoints = breakpoints;
                 }
+                this.handleQualityProfileChange();
+            });
+        }
+
+        this.updateQualityProfileControls();
+    }
+
+    parseQualityBreakpoints(text) {
+        // One "megapixels = score" pair per line; invalid lines are ignored
+        const breakpoints = [];
+        text.split('\n').forEach(line => {
+            const match = line.match(/^\s*(\d+(?:\.\d+)?)\s*=\s*(\d+(?:\.\d+)?)\s*$/);
+            if (match) {
+                const pixels = Math.round(parseFloat(match[1]) * 1000000);
+                const score = Math.min(100, parseFloat(match[2]));
+                breakpoints.push([pixels, score]);
             }
         });
+        return breakpoints.sort((a, b) => a[0] - b[0]);
     }
 
-    displayLists() {
-        this.displayArtifactList('longestTitlesList', this.artifactsByTitleLength.slice(0, 5), 'title');
-        this.displayArtifactList('shortestTitlesList', this.artifactsByTitleShortness.slice(0, 5), 'title');
-        this.displayArtifactList('longestList', this.artifactsByLength.slice(0, 5), 'description');
-        this.displayArtifactList('shortestList', this.artifactsByShortness.slice(0, 5), 'description');
-        
-        // Image quality lists start empty and will be populated progressively
-        this.displayArtifactList('highestImageQualityList', [], 'imageQuality');
-        this.displayArtifactList('lowestImageQualityList', [], 'imageQuality');
+    formatQualityBreakpoints(breakpoints) {
+        return breakpoints
+            .slice()
+            .reverse()
+            .map(([pixels, score]) => `${parseFloat((pixels / 1000000).toFixed(4))} = ${score}`)
+            .join('\n');
     }
 
-    displayLicenses() {
-        const container = document.getElementById('licenseGrid');
-        if (!container) return;
+    handleQualityProfileChange() {
+        this.saveQualityProfiles();
+        this.updateQualityProfileControls();
+        this.rescoreImageQualities();
+    }
 
-        if (this.licenseStats.length === 0) {
-            container.innerHTML = '<div class="loading">No license data available</div>';
-            return;
+    updateQualityProfileControls() {
+        const profile = this.getActiveQualityProfile();
+
+        const profileSelect = document.getElementById('qualityProfileSelect');
+        if (profileSelect) {
+            profileSelect.innerHTML = this.qualityProfiles.map(p =>
+                `<option value="${this.escapeHtml(p.id)}">${this.escapeHtml(p.name)}${p.builtIn ? '' : ' (custom)'}</option>`
+            ).join('');
+            profileSelect.value = profile.id;
         }
 
-        container.innerHTML = '';
-        this.licenseStats.forEach(({ license, count }) => {
-            const element = document.createElement('div');
-            element.className = 'license-item';
-            element.innerHTML = `
-                <div class="license-name">${this.escapeHtml(license)}</div>
-                <div class="license-count">${count} artifact${count !== 1 ? 's' : ''}</div>
-            `;
-            container.appendChild(element);
+        const resetBtn = document.getElementById('resetQualityProfileBtn');
+        if (resetBtn) resetBtn.disabled = !profile.builtIn;
+        const deleteBtn = document.getElementById('deleteQualityProfileBtn');
+        if (deleteBtn) deleteBtn.disabled = profile.builtIn;
+
+        document.querySelectorAll('.quality-weight-input').forEach(input => {
+            input.value = profile.weights[input.dataset.component] ?? 0;
+        });
+        document.querySelectorAll('.quality-profile-input').forEach(input => {
+            const [group, key] = input.dataset.setting.split('.');
+            input.value = profile[group][key];
         });
-    }
 
-    displayNonPlayableArtifacts() {
-        const container = document.getElementById('nonPlayableList');
-        if (!container) return;
+        const breakpointsInput = document.getElementById('qualityBreakpointsInput');
+        if (breakpointsInput) {
+            breakpointsInput.value = this.formatQualityBreakpoints(profile.pixelBreakpoints);
+        }
 
-        const nonPlayableArtifacts = this.artifacts.filter(artifact => artifact.isPlayable === false);
-        
-        if (nonPlayableArtifacts.length === 0) {
-            container.innerHTML = '<div class="loading">No non-playable artifacts found</div>';
-            return;
+        // Keep option labels that quote ranges and thresholds in sync
+        const { idealMin, idealMax } = profile.aspectRatio;
+        const aspectOption = document.querySelector('#imageQualityModeSelect option[value="aspect-ratio"]');
+        if (aspectOption) {
+            aspectOption.textContent = `Aspect Ratio (${idealMin} to ${idealMax} preferred)`;
         }
 
-        container.innerHTML = '';
-        nonPlayableArtifacts.forEach((artifact, index) => {
-            const artifactElement = this.createArtifactElement(artifact, index + 1, 'description');
-            container.appendChild(artifactElement);
+        const { high, medium } = profile.classThresholds;
+        const bandLabels = {
+            'quality-high': `High (${high}+)`,
+            'quality-medium': `Medium (${medium}-${high})`,
+            'quality-low': `Low (below ${medium})`
+        };
+        Object.entries(bandLabels).forEach(([value, label]) => {
+            const option = document.querySelector(`#qualityFilterSelect option[value="${value}"]`);
+            if (option) {
+                // updateFacetCounts appends the counts to the stored label
+                option.dataset.label = label;
+                option.textContent = label;
+            }
         });
     }
 
-    displayArtifactList(containerId, artifacts, type) {
-        const container = document.getElementById(containerId);
-        if (!container) return;
+    rescoreImageQualities() {
+        // Recompute overall scores from cached measurements; no image is reloaded
+        this.artifacts.forEach(artifact => {
+            const cached = artifact.image && this.imageQualityCache.get(artifact.image);
+            if (cached && cached.status === 'ok') {
+                this.applyCachedImageQuality(artifact, cached);
+            }
+        });
 
-        if (artifacts.length === 0) {
-            if (type === 'imageQuality') {
-                const progressId = containerId === 'highestImageQualityList' ? 'highestQualityProgress' : 'lowestQualityProgress';
-                container.innerHTML = `
-                    <div class="loading analysis-loading">
-                        <span>Analyzing image quality...</span>
-                        <span class="analysis-progress" id="${progressId}">0/${this.artifacts.length}</span>
-                    </div>
+        this.updateImageQualityStats();
+        if (!this.imageAnalysisInProgress) {
+            const avgElement = document.getElementById('avgImageQuality');
+            if (avgElement && this.averageImageQuality > 0) {
+                avgElement.innerHTML = `
+                    <span class="main-text">${Math.round(this.averageImageQuality)}/100</span>
+                    <span class="progress-text">Complete</span>
                 `;
-            } else {
-                container.innerHTML = '<div class="loading">No artifacts found</div>';
             }
-            return;
         }
-
-        container.innerHTML = '';
-        artifacts.forEach((artifact, index) => {
-            const artifactElement = this.createArtifactElement(artifact, index + 1, type);
-            container.appendChild(artifactElement);
-        });
+        this.updateImageQualityListsProgressive();
+        this.updateVisibleArtifactCards(true);
+        this.updateFacetCounts();
+        if (this.markerColorMode === 'quality') {
+            this.renderMapMarkers();
+        }
+        this.drawDifficultyChart();
     }
 
-    createArtifactElement(artifact, rank, type) {
-        const element = document.createElement('div');
-        element.className = 'artifact-item';
+    handleImageQualityModeChange(e) {
+        this.imageQualityMode = e.target.value;
+        this.updateImageQualityListsProgressive();
+        this.updateImageQualityHeaders();
+    }
 
-        const year = this.formatYear(artifact.year);
+    updateImageQualityHeaders() {
+        const highestHeader = document.querySelector('#highestImageQualitySection .section-title');
+        const lowestHeader = document.querySelector('#lowestImageQualitySection .section-title');
         
-        let lengthInfo = '';
-        let displayContent = '';
+        const currentModeName = this.imageQualityModeNames[this.imageQualityMode];
         
-        if (type === 'title') {
-            lengthInfo = `<span class="title-length">${artifact.titleLength} chars</span>`;
-            displayContent = this.createTitleDisplay(artifact, rank);
-        } else if (type === 'description') {
-            lengthInfo = `<span class="description-length">${artifact.descriptionLength} chars</span>`;
-            displayContent = this.createDescriptionDisplay(artifact);
-        } else if (type === 'imageQuality') {
-            lengthInfo = this.createImageQualityBadge(artifact);
-            displayContent = this.createImageQualityDisplay(artifact, rank);
+        if (highestHeader) {
+            highestHeader.textContent = `Top 5 Highest ${currentModeName}`;
         }
-        
-        element.innerHTML = `
-            <img src="${this.escapeHtml(artifact.image)}" 
-                 alt="${this.escapeHtml(artifact.title)}" 
-                 class="artifact-image clickable-image" 
-                 onerror="this.src='${this.getPlaceholderImage()}'" 
-                 loading="lazy" 
-                 style="cursor: pointer;" />
-            <div class="artifact-info">
-                ${displayContent}
-                <div class="artifact-meta">
-                    <span class="artifact-year">${year}</span>
-                    ${lengthInfo}
+        if (lowestHeader) {
+            lowestHeader.textContent = `Top 5 Lowest ${currentModeName}`;
+        }
+    }
+
+    calculateAuthorStats() {
+        const authorMap = new Map();
+        
+        this.artifacts.forEach(artifact => {
+            const author = this.normalizeAuthor(artifact.author);
+            authorMap.set(author, (authorMap.get(author) || 0) + 1);
+        });
+        
+        this.authorStats = Array.from(authorMap.entries())
+            .map(([author, count]) => ({ author, count }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    isPlaceholderAuthor(author) {
+        return this.authorPlaceholderNames.includes(author.trim().toLowerCase());
+    }
+
+    getAuthorIdentityKey(author) {
+        // Case, spacing, punctuation and accents don't make a different person
+        return author.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    }
+
+    normalizeAuthorLink(link) {
+        try {
+            const url = new URL(link);
+            return `${url.hostname.replace(/^www\./, '')}${decodeURIComponent(url.pathname).replace(/\/+$/, '')}${url.search}`.toLowerCase();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getAuthorProfile(author) {
+        const artifacts = this.artifacts.filter(artifact => this.normalizeAuthor(artifact.author) === author);
+        const licenses = new Map();
+        const links = new Set();
+        let qualityTotal = 0;
+        let analyzedCount = 0;
+
+        artifacts.forEach(artifact => {
+            const license = this.normalizeLicense(artifact.license, artifact.author);
+            licenses.set(license, (licenses.get(license) || 0) + 1);
+            if (artifact.authorLink && this.isValidUrl(artifact.authorLink)) {
+                links.add(artifact.authorLink);
+            }
+            if (artifact.imageQualityScore > 0) {
+                qualityTotal += artifact.imageQualityScore;
+                analyzedCount++;
+            }
+        });
+
+        return {
+            author,
+            artifacts,
+            links: [...links],
+            licenses: [...licenses.entries()].sort((a, b) => b[1] - a[1]),
+            playableCount: artifacts.filter(artifact => artifact.isPlayable === true).length,
+            averageQuality: analyzedCount > 0 ? Math.round(qualityTotal / analyzedCount) : null,
+            analyzedCount
+        };
+    }
+
+    findAuthorIdentityIssues() {
+        const issues = [];
+
+        // Same name once case, spacing and accents are ignored
+        const byKey = new Map();
+        this.authorStats.forEach(({ author }) => {
+            if (author === 'Unknown Author' || this.isPlaceholderAuthor(author)) return;
+            const key = this.getAuthorIdentityKey(author);
+            if (!key) return;
+            byKey.set(key, [...(byKey.get(key) || []), author]);
+        });
+        byKey.forEach(names => {
+            if (names.length > 1) {
+                issues.push({ type: 'spelling', names, message: `Credited under ${names.length} spellings` });
+            }
+        });
+
+        // Different names pointing at the same profile page
+        const byLink = new Map();
+        this.artifacts.forEach(artifact => {
+            if (!artifact.authorLink) return;
+            const link = this.normalizeAuthorLink(artifact.authorLink);
+            if (!link) return;
+            const entry = byLink.get(link) || { link: artifact.authorLink, names: new Set() };
+            entry.names.add(this.normalizeAuthor(artifact.author));
+            byLink.set(link, entry);
+        });
+        byLink.forEach(({ link, names }) => {
+            const realNames = [...names].filter(name => !this.isPlaceholderAuthor(name) && name !== 'Unknown Author');
+            const placeholders = [...names].filter(name => this.isPlaceholderAuthor(name));
+            if (realNames.length > 1 && !issues.some(issue => realNames.every(name => issue.names.includes(name)))) {
+                issues.push({ type: 'shared-link', names: realNames, link, message: 'Different names share one profile link' });
+            }
+            if (placeholders.length > 0 && realNames.length > 0) {
+                issues.push({
+                    type: 'placeholder',
+                    names: [...placeholders, ...realNames],
+                    link,
+                    message: `"${placeholders[0]}" is used as the author, but the profile link belongs to ${realNames.join(', ')}`
+                });
+            }
+        });
+
+        // "Public Domain" as author on a work that carries a real license
+        const mislabelled = this.artifacts.filter(artifact => {
+            const author = this.normalizeAuthor(artifact.author);
+            return this.isPlaceholderAuthor(author) &&
+                this.getLicenseInfo(this.normalizeLicense(artifact.license, artifact.author)).attribution;
+        });
+        if (mislabelled.length > 0) {
+            issues.push({
+                type: 'placeholder',
+                names: [...new Set(mislabelled.map(artifact => this.normalizeAuthor(artifact.author)))],
+                artifacts: mislabelled,
+                message: `${mislabelled.length} artifact${mislabelled.length !== 1 ? 's' : ''} with an attribution license credit a placeholder instead of an author`
+            });
+        }
+
+        return issues;
+    }
+
+    setupAuthorControls() {
+        const table = document.getElementById('authorLeaderboardTable');
+        if (table) {
+            // Rows are re-rendered, so listen once on the table
+            table.addEventListener('click', (e) => {
+                const button = e.target.closest('.author-profile-link');
+                if (button) {
+                    this.showAuthorProfile(button.dataset.author);
+                }
+            });
+        }
+
+        const identityList = document.getElementById('authorIdentityList');
+        if (identityList) {
+            identityList.addEventListener('click', (e) => {
+                const button = e.target.closest('.author-profile-link');
+                if (button) {
+                    this.showAuthorProfile(button.dataset.author);
+                }
+            });
+        }
+    }
+
+    displayAuthors() {
+        const summary = document.getElementById('authorSummary');
+        const table = document.getElementById('authorLeaderboardTable');
+        const identityList = document.getElementById('authorIdentityList');
+        if (!summary || !table || !identityList) return;
+
+        const placeholderCount = this.authorStats
+            .filter(({ author }) => author === 'Unknown Author' || this.isPlaceholderAuthor(author))
+            .reduce((sum, { count }) => sum + count, 0);
+        const leaderboard = this.authorStats
+            .filter(({ author }) => author !== 'Unknown Author' && !this.isPlaceholderAuthor(author))
+            .map(({ author }) => this.getAuthorProfile(author));
+        const issues = this.findAuthorIdentityIssues();
+        const repeatContributors = leaderboard.filter(profile => profile.artifacts.length > 1).length;
+
+        summary.innerHTML = `
+            <div class="validation-count"><strong>${leaderboard.length}</strong> credited authors</div>
+            <div class="validation-count"><strong>${repeatContributors}</strong> with more than one artifact</div>
+            <div class="validation-count"><strong>${placeholderCount}</strong> artifacts without a named author</div>
+            <div class="validation-count severity-warning"><strong>${issues.length}</strong> possible identity issue${issues.length !== 1 ? 's' : ''}</div>
+        `;
+
+        let rank = 0;
+        let previousCount = null;
+        table.innerHTML = `
+            <thead><tr><th scope="col">#</th><th scope="col">Author</th><th scope="col">Artifacts</th><th scope="col">Playable</th><th scope="col">Licenses</th><th scope="col">Avg. Quality</th></tr></thead>
+            <tbody>
+                ${leaderboard.map((profile, index) => {
+                    // Tied authors share a rank
+                    if (profile.artifacts.length !== previousCount) {
+                        rank = index + 1;
+                        previousCount = profile.artifacts.length;
+                    }
+                    return `
+                        <tr>
+                            <td>${rank}</td>
+                            <td><button type="button" class="validation-jump-link author-profile-link" data-author="${this.escapeHtml(profile.author)}">${this.escapeHtml(profile.author)}</button></td>
+                            <td>${profile.artifacts.length}</td>
+                            <td>${profile.playableCount}</td>
+                            <td>${profile.licenses.length}</td>
+                            <td>${profile.averageQuality !== null ? `${profile.averageQuality}/100` : 'N/A'}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        `;
+
+        if (issues.length === 0) {
+            identityList.innerHTML = '<div class="success-message">No duplicate identities or placeholder authors found</div>';
+        } else {
+            identityList.innerHTML = issues.map(issue => `
+                <div class="validation-issue severity-${issue.type === 'placeholder' ? 'warning' : 'info'}" role="listitem">
+                    <span class="validation-severity">${issue.type === 'placeholder' ? 'placeholder' : issue.type === 'spelling' ? 'spelling' : 'same link'}</span>
+                    <div class="validation-issue-info">
+                        <div class="validation-message">${this.escapeHtml(issue.message)}</div>
+                        <div class="author-identity-names">
+                            ${issue.names.map(name => `<button type="button" class="validation-jump-link author-profile-link" data-author="${this.escapeHtml(name)}">${this.escapeHtml(name)}</button>`).join(' · ')}
+                        </div>
+                        ${issue.link ? `<div class="broken-link-url">${this.escapeHtml(issue.link)}</div>` : ''}
+                        ${issue.artifacts ? `<div class="validation-message">${issue.artifacts.map(artifact => this.escapeHtml(artifact.title)).join(', ')}</div>` : ''}
+                    </div>
                 </div>
+            `).join('');
+        }
+
+        // Keep an open profile in step with edits
+        if (this.selectedAuthor) {
+            this.showAuthorProfile(this.selectedAuthor);
+        }
+    }
+
+    showAuthorProfile(author) {
+        const container = document.getElementById('authorProfile');
+        if (!container) return;
+
+        if (this.authorProfileMap) {
+            this.authorProfileMap.remove();
+            this.authorProfileMap = null;
+        }
+
+        const profile = this.getAuthorProfile(author);
+        if (profile.artifacts.length === 0) {
+            this.selectedAuthor = null;
+            container.innerHTML = '<div class="loading">Select an author to see their profile</div>';
+            return;
+        }
+        this.selectedAuthor = author;
+
+        const key = this.getAuthorIdentityKey(author);
+        const aliases = this.authorStats
+            .map(stat => stat.author)
+            .filter(name => name !== author && key && this.getAuthorIdentityKey(name) === key);
+        const years = profile.artifacts.map(artifact => artifact.year).filter(Number.isFinite);
+        const located = profile.artifacts.filter(artifact => this.isValidCoordinates(artifact.lat, artifact.lng));
+
+        container.innerHTML = `
+            <div class="author-profile-header">
+                <h3 class="editor-panel-title">${this.escapeHtml(author)}</h3>
+                ${profile.links.map(link => `<a href="${this.escapeHtml(link)}" target="_blank" rel="noopener noreferrer" class="author-link">${this.escapeHtml(link)}</a>`).join('')}
+                ${aliases.length > 0 ? `<div class="validation-message">Also credited as ${aliases.map(name => `"${this.escapeHtml(name)}"`).join(', ')}</div>` : ''}
+                <button type="button" class="sort-reset-btn author-collection-btn">Show in Collection</button>
+            </div>
+            <div class="validation-summary">
+                <div class="validation-count"><strong>${profile.artifacts.length}</strong> artifact${profile.artifacts.length !== 1 ? 's' : ''}</div>
+                <div class="validation-count"><strong>${profile.playableCount}</strong> playable</div>
+                <div class="validation-count"><strong>${profile.averageQuality !== null ? `${profile.averageQuality}/100` : 'N/A'}</strong> avg. image quality${profile.analyzedCount < profile.artifacts.length ? ` (${profile.analyzedCount} analyzed)` : ''}</div>
+                ${years.length > 0 ? `<div class="validation-count"><strong>${this.escapeHtml(this.formatYear(Math.min(...years)))}</strong> to <strong>${this.escapeHtml(this.formatYear(Math.max(...years)))}</strong></div>` : ''}
+            </div>
+            <div class="author-profile-licenses">
+                ${profile.licenses.map(([license, count]) => `<span class="artifact-badge">⚖️ ${this.escapeHtml(license)} (${count})</span>`).join('')}
+            </div>
+            ${located.length > 0 ? '<div id="authorProfileMap" class="simulator-map author-profile-map" aria-label="Map of this author\'s artifacts"></div>' : ''}
+            <div class="validation-issues author-profile-artifacts" role="list">
+                ${profile.artifacts.map(artifact => `
+                    <div class="duplicate-artifact" role="listitem">
+                        ${artifact.image ? `<img src="${this.escapeHtml(artifact.image)}" alt="" class="duplicate-thumbnail" loading="lazy">` : ''}
+                        <div class="validation-issue-info">
+                            <button type="button" class="validation-jump-link" data-index="${this.artifacts.indexOf(artifact)}" title="Show this artifact in the collection">
+                                ${this.escapeHtml(artifact.title || 'Untitled artifact')}
+                            </button>
+                            <div class="validation-message">${this.escapeHtml(this.formatYear(artifact.year))} · ${this.escapeHtml(this.normalizeLicense(artifact.license, artifact.author))}</div>
+                        </div>
+                    </div>
+                `).join('')}
             </div>
         `;
 
-        // Add click event listener to the image
-        const img = element.querySelector('.artifact-image');
-        if (img) {
-            img.addEventListener('click', this.handleImageClick);
+        container.querySelectorAll('.validation-jump-link').forEach(link => {
+            link.addEventListener('click', () => this.jumpToArtifact(this.artifacts[link.dataset.index]));
+        });
+        container.querySelector('.author-collection-btn')
+            .addEventListener('click', () => this.showFilteredArtifacts('author', author));
+
+        if (located.length > 0) {
+            try {
+                this.authorProfileMap = L.map('authorProfileMap', { scrollWheelZoom: false });
+                L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Street_Map/MapServer/tile/{z}/{y}/{x}', {
+                    attribution: '',
+                    maxZoom: 18
+                }).addTo(this.authorProfileMap);
+
+                located.forEach(artifact => {
+                    L.marker([artifact.lat, artifact.lng], { icon: this.createMarkerIcon('#ff4444'), title: artifact.title })
+                        .bindPopup(this.escapeHtml(artifact.title))
+                        .addTo(this.authorProfileMap);
+                });
+                this.authorProfileMap.fitBounds(L.latLngBounds(located.map(artifact => [artifact.lat, artifact.lng])), { padding: [30, 30], maxZoom: 6 });
+            } catch (error) {
+                console.error('Error initializing author profile map:', error);
+            }
         }
+    }
 
-        return element;
+    calculateLicenseStats() {
+        const licenseMap = new Map();
+        
+        this.artifacts.forEach(artifact => {
+            const license = this.normalizeLicense(artifact.license, artifact.author);
+            const stat = licenseMap.get(license) || { license, count: 0, variants: {} };
+            // Remember how the data spells each license for the drill-down view
+            const spelling = typeof artifact.license === 'string' && artifact.license.trim()
+                ? artifact.license.trim()
+                : license;
+            stat.variants[spelling] = (stat.variants[spelling] || 0) + 1;
+            stat.count++;
+            licenseMap.set(license, stat);
+        });
+        
+        this.licenseStats = Array.from(licenseMap.values())
+            .sort((a, b) => b.count - a.count);
+
+        this.licenseFamilyStats = this.licenseFamilies.map(family => {
+            const licenses = this.licenseStats.filter(stat => this.getLicenseInfo(stat.license).family === family.key);
+            return { ...family, licenses, count: licenses.reduce((sum, stat) => sum + stat.count, 0) };
+        }).filter(family => family.count > 0);
     }
 
-    createTitleDisplay(artifact, rank) {
-        return `<div class="artifact-title">#${rank}. ${this.escapeHtml(artifact.title)}</div>`;
+    calculatePlayabilityStats() {
+        this.playabilityStats = this.artifacts.reduce((stats, artifact) => {
+            if (artifact.isPlayable === true) {
+                stats.playableCount++;
+            } else if (artifact.isPlayable === false) {
+                stats.nonPlayableCount++;
+            }
+            return stats;
+        }, { playableCount: 0, nonPlayableCount: 0 });
     }
 
-    createDescriptionDisplay(artifact) {
-        const description = artifact.description || 'No description available.';
-        return `
-            <div class="artifact-title">${this.escapeHtml(artifact.title)}</div>
-            <div class="artifact-description-full">${this.escapeHtml(description)}</div>
-        `;
+    calculateYearRange() {
+        const validYears = this.artifacts
+            .map(a => a.year)
+            .filter(y => y !== null && y !== undefined && !isNaN(y));
+        
+        if (validYears.length > 0) {
+            const minYear = Math.min(...validYears);
+            const maxYear = Math.max(...validYears);
+            this.yearRange = `${this.formatYear(minYear)} - ${this.formatYear(maxYear)}`;
+        } else {
+            this.yearRange = "No date data available";
+        }
     }
 
-createImageQualityDisplay(artifact, rank) {
-    let qualityText = '';
-    
-    switch (this.imageQualityMode) {
-        case 'aspect-ratio':
-            const ratioText = artifact.aspectRatio ? artifact.aspectRatio.toFixed(2) : 'N/A';
-            // Double the score for a 0-100 scale
-            const arScore = Math.min(100, artifact.aspectRatioScore * 2);
-            qualityText = `Aspect Ratio: ${ratioText} (Score: ${arScore}/100)`;
-            break;
-        case 'pixel-size':
-            const pixelText = artifact.pixelSize ? artifact.pixelSize.toLocaleString() : 'N/A';
-            // Double the score for a 0-100 scale
-            const psScore = Math.min(100, artifact.pixelSizeScore * 2);
-            qualityText = `Pixels: ${pixelText} (Score: ${psScore}/100)`;
-            break;
-        default:
-            qualityText = `Overall Quality: ${artifact.imageQualityScore}/100 (${artifact.imageQuality})`;
+    createSortedArrays() {
+        // Pre-sort arrays for quick display
+        this.artifactsByLength = [...this.artifacts]
+            .sort((a, b) => b.descriptionLength - a.descriptionLength);
+        this.artifactsByShortness = [...this.artifacts]
+            .sort((a, b) => a.descriptionLength - b.descriptionLength);
+        this.artifactsByTitleLength = [...this.artifacts]
+            .sort((a, b) => b.titleLength - a.titleLength);
+        this.artifactsByTitleShortness = [...this.artifacts]
+            .sort((a, b) => a.titleLength - b.titleLength);
     }
-    
-    return `
-        <div class="artifact-title">#${rank}. ${this.escapeHtml(artifact.title)}</div>
-        <div class="artifact-description-full">${qualityText}</div>
-    `;
-}
 
-createImageQualityBadge(artifact) {
-    if (!artifact.imageQuality || artifact.imageQualityScore === 0) {
-        return '<span class="image-quality-badge quality-loading">Analyzing...</span>';
+    normalizeAuthor(author) {
+        return author && typeof author === 'string' && author.trim() ? 
+               author.trim() : 'Unknown Author';
     }
-    
-    let score, qualityClass;
-    
-    switch (this.imageQualityMode) {
-        case 'aspect-ratio':
-            // Double the score to scale it from 0-50 to 0-100 for display
-            score = Math.min(100, artifact.aspectRatioScore * 2);
-            break;
-        case 'pixel-size':
-            // Double the score to scale it from 0-50 to 0-100 for display
-            score = Math.min(100, artifact.pixelSizeScore * 2);
-            break;
-        default:
-            score = artifact.imageQualityScore;
+
+    normalizeLicense(license, author) {
+        // Check if license is null/empty but author is "Public Domain"
+        if ((!license || typeof license !== 'string' || !license.trim()) && 
+            author && typeof author === 'string' && author.trim().toLowerCase() === 'public domain') {
+            return 'Public Domain';
+        }
+        
+        // Spelling variants collapse onto the registry's canonical name
+        return license && typeof license === 'string' && license.trim() ? 
+               this.getLicenseInfo(license).name : 'No License';
     }
-    
-    // Quality class logic now works correctly with the 0-100 scaled score
-    if (score >= 80) {
-        qualityClass = 'quality-high';
-    } else if (score >= 45) {
-        qualityClass = 'quality-medium';
-    } else {
-        qualityClass = 'quality-low';
+
+    formatYear(year) {
+        if (year === null || year === undefined || isNaN(year)) {
+            return 'Unknown';
+        }
+        return year < 0 ? `${Math.abs(year)} BCE` : `${year} CE`;
     }
-    
-    return `<span class="image-quality-badge ${qualityClass}">${score}/100</span>`;
-}
 
-    setupEventListeners() {
-        this.setupSortingControls();
-        this.setupInfiniteScroll();
-        this.setupLinkTesting();
-        this.setupKeyboardNavigation();
-        this.setupImageQualityModeSelector();
+    getStatisticEntries() {
+        // [element id, stat card heading, value] for every overview card
+        const imageQuality = !this.imageAnalysisInProgress && this.averageImageQuality > 0
+            ? `${Math.round(this.averageImageQuality)}/100`
+            : `Analyzing... (${this.imageAnalysisProgress.current}/${this.artifacts.length})`;
+
+        return [
+            ['totalCount', 'Total Artifacts', this.totalCount.toLocaleString()],
+            ['avgTitleLength', 'Average Title Length', `${Math.round(this.averageTitleLength)} chars`],
+            ['avgLength', 'Average Description Length', `${Math.round(this.averageLength)} chars`],
+            ['avgImageQuality', 'Average Image Quality', imageQuality],
+            ['uniqueLicenses', 'Unique Licenses', this.licenseStats.length.toString()],
+            ['yearRange', 'Year Range', this.yearRange],
+            ['playableCount', 'Playable Artifacts', this.playabilityStats.playableCount.toString()],
+            ['nonPlayableCount', 'Non-Playable Artifacts', this.playabilityStats.nonPlayableCount.toString()]
+        ];
+    }
+
+    displayStatistics() {
+        // Remove loading states and display actual data
+        const updates = this.getStatisticEntries();
+
+        updates.forEach(([id, , value]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                if (id === 'avgImageQuality') {
+                    // Keep the finished score when statistics are redrawn after an edit
+                    element.innerHTML = !this.imageAnalysisInProgress && this.averageImageQuality > 0 ? `
+                        <span class="main-text">${Math.round(this.averageImageQuality)}/100</span>
+                        <span class="progress-text">Complete</span>
+                    ` : `
+                        <span class="main-text">Analyzing...</span>
+                        <span class="progress-text">${this.imageAnalysisProgress.current}/${this.artifacts.length}</span>
+                    `;
+                } else {
+                    element.textContent = value;
+                    element.removeAttribute('aria-busy');
+                }
+            }
+        });
+    }
+
+    displayLists() {
+        this.displayArtifactList('longestTitlesList', this.artifactsByTitleLength.slice(0, 5), 'title');
+        this.displayArtifactList('shortestTitlesList', this.artifactsByTitleShortness.slice(0, 5), 'title');
+        this.displayArtifactList('longestList', this.artifactsByLength.slice(0, 5), 'description');
+        this.displayArtifactList('shortestList', this.artifactsByShortness.slice(0, 5), 'description');
+        
+        // Image quality lists start empty and will be populated progressively
+        this.displayArtifactList('highestImageQualityList', [], 'imageQuality');
+        this.displayArtifactList('lowestImageQualityList', [], 'imageQuality');
+    }
+
+    displayLicenses() {
+        const container = document.getElementById('licenseGrid');
+        if (!container) return;
+
+        if (this.licenseStats.length === 0) {
+            container.innerHTML = '<div class="loading">No license data available</div>';
+            return;
+        }
+
+        container.innerHTML = '';
+        this.licenseFamilyStats.forEach(family => {
+            const percent = Math.round(family.count / this.artifacts.length * 100);
+            const element = document.createElement('details');
+            element.className = `license-family license-family-${family.key}`;
+            element.setAttribute('role', 'listitem');
+            element.innerHTML = `
+                <summary class="license-family-summary">
+                    <span class="license-name">${this.escapeHtml(family.label)}</span>
+                    <span class="license-count">${family.count} artifact${family.count !== 1 ? 's' : ''} (${percent}%) · ${family.licenses.length} license${family.licenses.length !== 1 ? 's' : ''}</span>
+                </summary>
+                <div class="license-family-items">
+                    ${family.licenses.map(({ license, count, variants }) => {
+                        const info = this.getLicenseInfo(license);
+                        const spellings = Object.entries(variants).filter(([spelling]) => spelling !== license);
+                        return `
+                            <div class="license-item">
+                                <div class="license-name">${info.url ? `<a href="${this.escapeHtml(info.url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(license)}</a>` : this.escapeHtml(license)}</div>
+                                <div class="license-count">${count} artifact${count !== 1 ? 's' : ''}</div>
+                                <div class="license-meta">
+                                    ${info.id ? `<span>${this.escapeHtml(info.id)}</span>` : ''}
+                                    ${info.port ? `<span>Ported: ${this.escapeHtml(info.port.toUpperCase())}</span>` : ''}
+                                    ${info.shareAlike ? '<span class="license-share-alike">Share-alike</span>' : ''}
+                                    ${!info.recognized ? '<span>Unrecognized</span>' : ''}
+                                </div>
+                                ${spellings.length > 0 ? `<div class="license-variants">Also written as ${spellings.map(([spelling, n]) => `"${this.escapeHtml(spelling)}" (${n})`).join(', ')}</div>` : ''}
+                                <button type="button" class="sort-reset-btn license-drilldown-btn" data-license="${this.escapeHtml(license)}">Show Artifacts</button>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            `;
+            container.appendChild(element);
+        });
+
+        container.querySelectorAll('.license-drilldown-btn').forEach(button => {
+            button.addEventListener('click', () => this.showFilteredArtifacts('license', button.dataset.license));
+        });
+    }
+
+    showFilteredArtifacts(filter, value) {
+        // Start from a clean slate so this one filter alone decides the list
+        this.handleClearFilters();
+        const select = document.querySelector(`.filter-select[data-filter="${filter}"]`);
+        if (!select) return;
+
+        select.value = value;
+        this.handleFilterChange();
+        const section = document.querySelector('.all-artifacts-section');
+        if (section) {
+            section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    setupTextAnalyticsControls() {
+        const riskSelect = document.getElementById('spoilerRiskSelect');
+        if (riskSelect) {
+            riskSelect.addEventListener('change', (e) => {
+                this.spoilerRiskFilter = e.target.value;
+                this.displayTextAnalytics();
+            });
+        }
+
+        const keywordList = document.getElementById('descriptionKeywordList');
+        if (keywordList) {
+            keywordList.addEventListener('click', (e) => {
+                const button = e.target.closest('.keyword-chip');
+                if (button) {
+                    this.showSearchResults(button.dataset.keyword);
+                }
+            });
+        }
+    }
+
+    showSearchResults(query) {
+        this.handleClearFilters();
+        const searchInput = document.getElementById('artifactSearchInput');
+        if (!searchInput) return;
+
+        searchInput.value = query;
+        this.handleFilterChange();
+        const section = document.querySelector('.all-artifacts-section');
+        if (section) {
+            section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    displayTextAnalytics() {
+        const summary = document.getElementById('textAnalyticsSummary');
+        const keywordList = document.getElementById('descriptionKeywordList');
+        const container = document.getElementById('spoilerRiskList');
+        if (!summary || !keywordList || !container) return;
+
+        const described = this.artifacts.filter(artifact => artifact.textStats && artifact.textStats.wordCount > 0);
+        const average = values => values.length > 0
+            ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+            : 0;
+        const counts = { high: 0, medium: 0, low: 0 };
+        this.artifacts.forEach(artifact => {
+            if (artifact.textStats) {
+                counts[artifact.textStats.spoilerRisk]++;
+            }
+        });
+
+        summary.innerHTML = `
+            <div class="validation-count"><strong>${average(described.map(artifact => artifact.textStats.wordCount))}</strong> words on average</div>
+            <div class="validation-count"><strong>${average(described.map(artifact => artifact.textStats.readability))}</strong> average readability</div>
+            <div class="validation-count severity-error"><strong>${counts.high}</strong> high spoiler risk</div>
+            <div class="validation-count severity-warning"><strong>${counts.medium}</strong> medium spoiler risk</div>
+            <div class="validation-count"><strong>${counts.low}</strong> low spoiler risk</div>
+        `;
+
+        keywordList.innerHTML = this.descriptionKeywords.length > 0
+            ? this.descriptionKeywords.map(({ keyword, count }) => `
+                <button type="button" class="keyword-chip" data-keyword="${this.escapeHtml(keyword)}" title="Search the collection for &quot;${this.escapeHtml(keyword)}&quot;">
+                    ${this.escapeHtml(keyword)} <span class="keyword-count">${count}</span>
+                </button>
+            `).join('')
+            : '<div class="loading">No descriptions to analyze</div>';
+
+        const flagged = this.artifacts
+            .map((artifact, index) => ({ artifact, index }))
+            .filter(({ artifact }) => artifact.textStats && artifact.textStats.spoilerRisk !== 'low' &&
+                (this.spoilerRiskFilter === 'all' || artifact.textStats.spoilerRisk === this.spoilerRiskFilter))
+            .sort((a, b) => b.artifact.textStats.spoilerScore - a.artifact.textStats.spoilerScore);
+
+        if (flagged.length === 0) {
+            container.innerHTML = '<div class="success-message">No descriptions give away the answer</div>';
+            return;
+        }
+
+        container.innerHTML = '';
+        const fragment = document.createDocumentFragment();
+        flagged.forEach(({ artifact, index }) => {
+            const stats = artifact.textStats;
+            const element = document.createElement('div');
+            element.className = `validation-issue severity-${stats.spoilerRisk === 'high' ? 'error' : 'warning'}`;
+            element.setAttribute('role', 'listitem');
+            element.innerHTML = `
+                <span class="validation-severity">${stats.spoilerRisk}</span>
+                <div class="validation-issue-info">
+                    <button type="button" class="validation-jump-link" title="Show this artifact in the collection">
+                        #${index + 1} ${this.escapeHtml(artifact.title || 'Untitled artifact')}
+                    </button>
+                    <div class="validation-message">${this.escapeHtml(artifact.description)}</div>
+                    <div class="validation-message">${stats.spoilerReasons.map(reason => this.escapeHtml(reason)).join(' · ')}</div>
+                </div>
+                <span class="validation-rule">${stats.wordCount} words · readability ${stats.readability}</span>
+            `;
+            element.querySelector('.validation-jump-link')
+                .addEventListener('click', () => this.jumpToArtifact(artifact));
+            fragment.appendChild(element);
+        });
+        container.appendChild(fragment);
+    }
+
+    displayNonPlayableArtifacts() {
+        const container = document.getElementById('nonPlayableList');
+        if (!container) return;
+
+        const nonPlayableArtifacts = this.artifacts.filter(artifact => artifact.isPlayable === false);
+        
+        if (nonPlayableArtifacts.length === 0) {
+            container.innerHTML = '<div class="loading">No non-playable artifacts found</div>';
+            return;
+        }
+
+        container.innerHTML = '';
+        nonPlayableArtifacts.forEach((artifact, index) => {
+            const artifactElement = this.createArtifactElement(artifact, index + 1, 'description');
+            container.appendChild(artifactElement);
+        });
+    }
+
+    getConsistencyRules() {
+        const hasYear = artifact => artifact.year !== null && artifact.year !== undefined && !isNaN(artifact.year);
+        const hasCoordinates = artifact => this.isValidCoordinates(artifact.lat, artifact.lng);
+        const isPeriod = date => date.kind === 'century' || date.kind === 'millennium' || date.kind === 'decade';
+        const isNamedPlace = place => place.kind === 'country' || place.kind === 'place';
+
+        // Only a mismatch when no extracted date fits: descriptions often
+        // mention a discovery or restoration date next to the origin date
+        const unmatchedDates = artifact => {
+            if (!hasYear(artifact)) return [];
+            const evidence = artifact.textStats.dates.map(date => this.checkDateMention(artifact, date));
+            return evidence.some(item => item.consistent) ? [] : evidence;
+        };
+        const unmatchedPlaces = (artifact, include) => {
+            if (!hasCoordinates(artifact)) return [];
+            const evidence = artifact.textStats.places
+                .filter(include)
+                // A place named twice is still one piece of evidence
+                .filter((place, index, places) => places.findIndex(other => other.place === place.place) === index)
+                .map(place => this.checkPlaceMention(artifact, place))
+                .filter(item => item.consistent !== null);
+            return evidence.some(item => item.consistent) ? [] : evidence;
+        };
+
+        return [
+            {
+                id: 'period-mismatch',
+                severity: 'warning',
+                check: artifact => {
+                    const evidence = unmatchedDates(artifact);
+                    if (!artifact.textStats.dates.some(isPeriod) || evidence.length === 0) return [];
+                    return [{ message: `Description dates it differently from the year (${this.formatYear(artifact.year)})`, evidence }];
+                }
+            },
+            {
+                id: 'date-mismatch',
+                severity: 'info',
+                check: artifact => {
+                    const evidence = unmatchedDates(artifact);
+                    if (artifact.textStats.dates.some(isPeriod) || evidence.length === 0) return [];
+                    return [{ message: `No date in the description is close to the year (${this.formatYear(artifact.year)})`, evidence }];
+                }
+            },
+            {
+                id: 'place-mismatch',
+                severity: 'warning',
+                check: artifact => {
+                    const evidence = unmatchedPlaces(artifact, isNamedPlace);
+                    return evidence.length > 0
+                        ? [{ message: 'Coordinates are far from every place the description names', evidence }]
+                        : [];
+                }
+            },
+            {
+                id: 'region-hint-mismatch',
+                severity: 'info',
+                check: artifact => {
+                    // Demonyms only count when no place is named outright
+                    if (artifact.textStats.places.some(isNamedPlace)) return [];
+                    const evidence = unmatchedPlaces(artifact, place =>
+                        place.kind === 'demonym' && !this.widespreadCultures.includes(place.text));
+                    return evidence.length > 0
+                        ? [{ message: 'Coordinates do not match the culture the description mentions', evidence }]
+                        : [];
+                }
+            },
+            {
+                id: 'missing-year',
+                severity: 'info',
+                check: artifact => {
+                    if (hasYear(artifact) || artifact.textStats.dates.length === 0) return [];
+                    return [{
+                        message: 'Year is empty but the description gives a date',
+                        evidence: artifact.textStats.dates.map(date => this.checkDateMention(artifact, date))
+                    }];
+                }
+            },
+            {
+                id: 'missing-coordinates',
+                severity: 'info',
+                check: artifact => {
+                    if (hasCoordinates(artifact)) return [];
+                    const places = artifact.textStats.places.filter(isNamedPlace);
+                    return places.length > 0
+                        ? [{ message: 'Coordinates are missing but the description names a place', evidence: places.map(place => ({ text: place.text, detail: 'named place' })) }]
+                        : [];
+                }
+            }
+        ];
+    }
+
+    checkDateMention(artifact, date) {
+        const range = date.start === date.end
+            ? this.formatYear(date.start)
+            : `${this.formatYear(date.start)} – ${this.formatYear(date.end)}`;
+        if (artifact.year === null || artifact.year === undefined || isNaN(artifact.year)) {
+            return { text: date.text, detail: range, consistent: null };
+        }
+
+        // "2,000 years old" is only ever approximate
+        const tolerance = date.kind === 'relative'
+            ? Math.max(this.consistencyYearTolerance, Math.round((new Date().getFullYear() - date.start) * 0.1))
+            : this.consistencyYearTolerance;
+        const offBy = artifact.year < date.start ? date.start - artifact.year : Math.max(0, artifact.year - date.end);
+        return {
+            text: date.text,
+            detail: offBy === 0 ? range : `${range}, ${offBy} years from the year`,
+            consistent: offBy <= tolerance
+        };
+    }
+
+    checkPlaceMention(artifact, place) {
+        const name = place.place;
+        const location = this.knownPlaceLocations[name];
+        if (location) {
+            const distance = this.calculateDistanceKm(artifact.lat, artifact.lng, location.lat, location.lng);
+            const outside = Math.max(0, distance - location.radiusKm);
+            return {
+                text: place.text,
+                detail: outside === 0 ? `within ${name}` : `${Math.round(outside).toLocaleString()} km from ${name}`,
+                consistent: outside <= this.consistencyMaxDistanceKm
+            };
+        }
+
+        if (this.continentNames.includes(name)) {
+            if (!artifact.continent) return { text: place.text, detail: 'continent unknown', consistent: null };
+            return {
+                text: place.text,
+                detail: `coordinates are in ${artifact.continent}`,
+                consistent: artifact.continent === name
+            };
+        }
+
+        // Countries need the boundaries file; without it they cannot be checked
+        const region = this.findRegionByName(name);
+        if (!region) return { text: place.text, detail: 'location unknown', consistent: null };
+
+        const inside = this.isPointInPolygons(artifact.lng, artifact.lat, region.polygons);
+        // Planar degrees to km is rough, but fine at this threshold
+        const distance = inside ? 0 : this.getDistanceToPolygons(artifact.lng, artifact.lat, region.polygons) * 111;
+        return {
+            text: place.text,
+            detail: inside ? `within ${region.name}` : `about ${Math.round(distance).toLocaleString()} km from ${region.name}`,
+            consistent: distance <= this.consistencyMaxDistanceKm
+        };
+    }
+
+    findRegionByName(name) {
+        if (!this.worldBoundaries) return null;
+
+        const target = name.toLowerCase();
+        return this.worldBoundaries.find(region => region.name.toLowerCase() === target) ||
+            this.worldBoundaries.find(region => region.name.toLowerCase().startsWith(`${target} `)) ||
+            null;
+    }
+
+    checkDescriptionConsistency() {
+        const severityOrder = { error: 0, warning: 1, info: 2 };
+        const rules = this.getConsistencyRules();
+        this.consistencyIssues = [];
+
+        this.artifacts.forEach((artifact, index) => {
+            if (!artifact.textStats) return;
+            rules.forEach(rule => {
+                rule.check(artifact).forEach(({ message, evidence }) => {
+                    this.consistencyIssues.push({ rule: rule.id, severity: rule.severity, message, evidence, index, artifact });
+                });
+            });
+        });
+
+        this.consistencyIssues.sort((a, b) =>
+            severityOrder[a.severity] - severityOrder[b.severity] || a.index - b.index
+        );
+    }
+
+    setupConsistencyControls() {
+        const severitySelect = document.getElementById('consistencySeveritySelect');
+        if (severitySelect) {
+            severitySelect.addEventListener('change', (e) => {
+                this.consistencySeverityFilter = e.target.value;
+                this.displayConsistencyIssues();
+            });
+        }
+    }
+
+    displayConsistencyIssues() {
+        const summary = document.getElementById('consistencySummary');
+        const container = document.getElementById('consistencyIssuesList');
+        if (!summary || !container) return;
+
+        const counts = { warning: 0, info: 0 };
+        const affected = new Set();
+        this.consistencyIssues.forEach(issue => {
+            counts[issue.severity]++;
+            affected.add(issue.artifact);
+        });
+
+        summary.innerHTML = `
+            <div class="validation-count severity-warning"><strong>${counts.warning}</strong> mismatch${counts.warning !== 1 ? 'es' : ''}</div>
+            <div class="validation-count severity-info"><strong>${counts.info}</strong> info</div>
+            <div class="validation-count"><strong>${this.artifacts.length - affected.size}</strong> of ${this.artifacts.length} artifacts consistent</div>
+            ${this.worldBoundaries ? '' : '<div class="validation-count">Country names are not checked until world boundaries load</div>'}
+        `;
+
+        const issues = this.consistencyIssues.filter(issue =>
+            this.consistencySeverityFilter === 'all' || issue.severity === this.consistencySeverityFilter
+        );
+
+        if (issues.length === 0) {
+            container.innerHTML = '<div class="success-message">Descriptions agree with the year and coordinates</div>';
+            return;
+        }
+
+        container.innerHTML = '';
+        const fragment = document.createDocumentFragment();
+        issues.forEach(issue => {
+            const element = document.createElement('div');
+            element.className = `validation-issue severity-${issue.severity}`;
+            element.setAttribute('role', 'listitem');
+            element.innerHTML = `
+                <span class="validation-severity">${issue.severity}</span>
+                <div class="validation-issue-info">
+                    <button type="button" class="validation-jump-link" title="Show this artifact in the collection">
+                        #${issue.index + 1} ${this.escapeHtml(issue.artifact.title || 'Untitled artifact')}
+                    </button>
+                    <div class="validation-message">${this.escapeHtml(issue.message)}</div>
+                    <ul class="consistency-evidence">
+                        ${issue.evidence.map(item => `<li><q>${this.escapeHtml(item.text)}</q> → ${this.escapeHtml(item.detail)}</li>`).join('')}
+                    </ul>
+                </div>
+                <span class="validation-rule">${issue.rule}</span>
+            `;
+            element.querySelector('.validation-jump-link')
+                .addEventListener('click', () => this.jumpToArtifact(issue.artifact));
+            fragment.appendChild(element);
+        });
+        container.appendChild(fragment);
+    }
+
+    getLicenseRegistry() {
+        // Licenses outside the Creative Commons "CC <terms> <version> <port>" pattern
+        return [
+            {
+                id: 'CC-PDM-1.0',
+                name: 'Public Domain',
+                family: 'pd',
+                version: '1.0',
+                url: 'https://creativecommons.org/publicdomain/mark/1.0/',
+                aliases: [/^public[\s-]*domain$/i, /^pd$/i, /^pdm([\s-]*1\.0)?$/i]
+            },
+            {
+                id: 'CC0-1.0',
+                name: 'CC0 1.0',
+                family: 'pd',
+                version: '1.0',
+                url: 'https://creativecommons.org/publicdomain/zero/1.0/',
+                aliases: [/^cc[\s-]*(0|zero)([\s-]+1\.0)?$/i]
+            },
+            {
+                id: 'OGL-UK-3.0',
+                name: 'Open Government Licence v3.0',
+                family: 'by',
+                version: '3.0',
+                port: 'uk',
+                attribution: true,
+                url: 'https://www.nationalarchives.gov.uk/doc/open-government-licence/version/3/',
+                aliases: [/^ogl([\s-]*uk)?[\s-]*(v|version\s*)?3(\.0)?$/i, /^open government licen[cs]e( v3(\.0)?)?$/i]
+            }
+        ];
+    }
+
+    getLicenseInfo(license) {
+        const key = typeof license === 'string' ? license.trim() : '';
+        if (this.licenseInfoCache.has(key)) {
+            return this.licenseInfoCache.get(key);
+        }
+
+        const base = { id: null, name: key, family: 'other', version: null, port: null, url: null, attribution: false, shareAlike: false, recognized: true };
+        let info;
+        const cc = key.match(/^cc[\s-]+(by(?:[\s-](?:nc|nd|sa))*)[\s-]+(\d\.\d)(?:[\s-]+([a-z]{2,3}))?$/i);
+        const known = this.getLicenseRegistry().find(entry => entry.aliases.some(alias => alias.test(key)));
+
+        if (!key || key === 'No License') {
+            info = { ...base, name: 'No License', family: 'none' };
+        } else if (cc) {
+            const terms = cc[1].toLowerCase().replace(/\s+/g, '-');
+            const version = cc[2];
+            const port = cc[3] ? cc[3].toLowerCase() : null;
+            info = {
+                ...base,
+                id: `CC-${terms.toUpperCase()}-${version}${port ? `-${port.toUpperCase()}` : ''}`,
+                name: `CC ${terms.toUpperCase()} ${version}${port ? ` ${port}` : ''}`,
+                // NC and ND variants don't fit the game's reuse, so they stay in "other"
+                family: terms === 'by' || terms === 'by-sa' ? terms : 'other',
+                version,
+                port,
+                url: `https://creativecommons.org/licenses/${terms}/${version}/${port ? `${port}/` : ''}`,
+                attribution: true,
+                shareAlike: terms.includes('sa')
+            };
+        } else if (known) {
+            const { aliases, ...entry } = known;
+            info = { ...base, ...entry };
+        } else {
+            info = { ...base, recognized: false };
+        }
+
+        this.licenseInfoCache.set(key, info);
+        return info;
+    }
+
+    getShareAlikeKey(artifact) {
+        return this.getLicenseInfo(this.normalizeLicense(artifact.license, artifact.author)).shareAlike ? 'required' : 'not-required';
+    }
+
+    getImageSource(artifact) {
+        // Wikimedia upload URLs map back to the file description page
+        try {
+            const url = new URL(artifact.image);
+            // Anything but a web address would end up as a clickable credit link
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+            const parts = url.pathname.split('/');
+            if (url.hostname === 'upload.wikimedia.org' && parts[1] === 'wikipedia') {
+                const fileName = parts[3] === 'thumb' ? parts[6] : parts[5];
+                const host = parts[2] === 'commons' ? 'commons.wikimedia.org' : `${parts[2]}.wikipedia.org`;
+                if (fileName) {
+                    return {
+                        name: parts[2] === 'commons' ? 'Wikimedia Commons' : `Wikipedia (${parts[2]})`,
+                        url: `https://${host}/wiki/File:${fileName}`
+                    };
+                }
+            }
+            return { name: url.hostname.replace(/^www\./, ''), url: artifact.image };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    createAttribution(artifact) {
+        // TASL: title, author, source and license, in Wikimedia's credit order
+        const license = this.normalizeLicense(artifact.license, artifact.author);
+        const licenseUrl = this.getLicenseInfo(license).url;
+        const author = this.normalizeAuthor(artifact.author);
+        const hasAuthor = author !== 'Unknown Author' && author.toLowerCase() !== 'public domain';
+        const authorLink = artifact.authorLink && this.isValidUrl(artifact.authorLink) ? artifact.authorLink : null;
+        const source = this.getImageSource(artifact);
+        const title = artifact.title || 'Untitled artifact';
+        const link = (url, text) => url
+            ? `<a href="${this.escapeHtml(url)}" rel="noopener">${this.escapeHtml(text)}</a>`
+            : this.escapeHtml(text);
+
+        const textParts = [`"${title}"${hasAuthor ? ` by ${author}${authorLink ? ` (${authorLink})` : ''}` : ''}`];
+        const htmlParts = [`${link(source && source.url, `"${title}"`)}${hasAuthor ? ` by ${link(authorLink, author)}` : ''}`];
+
+        if (license !== 'No License') {
+            textParts.push(licenseUrl ? `${license} (${licenseUrl})` : license);
+            htmlParts.push(link(licenseUrl, license));
+        }
+        if (source) {
+            textParts.push(`via ${source.name} (${source.url})`);
+            htmlParts.push(`via ${this.escapeHtml(source.name)}`);
+        }
+
+        return { text: textParts.join(', '), html: htmlParts.join(', ') };
+    }
+
+    getLicenseComplianceRules() {
+        const isPlaceholderAuthor = artifact => this.isPlaceholderAuthor(this.normalizeAuthor(artifact.author));
+
+        return [
+            {
+                id: 'missing-license',
+                severity: 'error',
+                check: (artifact, info) => info.family === 'none'
+                    ? ['No license given, so the image cannot be reused']
+                    : []
+            },
+            {
+                id: 'incompatible-license',
+                severity: 'error',
+                check: (artifact, info) => /-(NC|ND)\b/.test(info.id || '')
+                    ? [`"${info.name}" forbids commercial use or adaptations, which the game may need`]
+                    : []
+            },
+            {
+                id: 'missing-author',
+                severity: 'error',
+                check: (artifact, info) => info.attribution && isPlaceholderAuthor(artifact)
+                    ? [`"${info.name}" requires crediting the author, but none is recorded`]
+                    : []
+            },
+            {
+                id: 'non-standard-license',
+                severity: 'warning',
+                check: (artifact, info) => {
+                    if (!info.recognized) return [`"${info.name}" is not a recognized license`];
+                    const spelling = typeof artifact.license === 'string' ? artifact.license.trim() : '';
+                    return spelling && spelling !== info.name
+                        ? [`"${spelling}" is a non-standard spelling of "${info.name}"`]
+                        : [];
+                }
+            },
+            {
+                id: 'missing-license-url',
+                severity: 'warning',
+                check: (artifact, info) => info.family !== 'none' && !info.url
+                    ? [`No license deed URL is known for "${info.name}"`]
+                    : []
+            },
+            {
+                id: 'missing-author-link',
+                severity: 'info',
+                check: (artifact, info) => info.attribution && !isPlaceholderAuthor(artifact) &&
+                    !(artifact.authorLink && this.isValidUrl(artifact.authorLink))
+                    ? ['The credit line cannot link to the author']
+                    : []
+            }
+        ];
+    }
+
+    checkLicenseCompliance() {
+        const severityOrder = { error: 0, warning: 1, info: 2 };
+        const rules = this.getLicenseComplianceRules();
+        this.licenseComplianceIssues = [];
+
+        this.artifacts.forEach((artifact, index) => {
+            const info = this.getLicenseInfo(this.normalizeLicense(artifact.license, artifact.author));
+            rules.forEach(rule => {
+                rule.check(artifact, info).forEach(message => {
+                    this.licenseComplianceIssues.push({ rule: rule.id, severity: rule.severity, message, index, artifact });
+                });
+            });
+        });
+
+        this.licenseComplianceIssues.sort((a, b) =>
+            severityOrder[a.severity] - severityOrder[b.severity] || a.index - b.index
+        );
+    }
+
+    setupLicenseComplianceControls() {
+        const severitySelect = document.getElementById('complianceSeveritySelect');
+        if (severitySelect) {
+            severitySelect.addEventListener('change', (e) => {
+                this.complianceSeverityFilter = e.target.value;
+                this.displayLicenseCompliance();
+            });
+        }
+
+        document.querySelectorAll('.credits-export-btn').forEach(button => {
+            button.addEventListener('click', () => this.exportCredits(button.dataset.format));
+        });
+    }
+
+    displayLicenseCompliance() {
+        const summary = document.getElementById('complianceSummary');
+        const container = document.getElementById('complianceIssuesList');
+        if (!summary || !container) return;
+
+        const counts = { error: 0, warning: 0, info: 0 };
+        const affected = new Set();
+        this.licenseComplianceIssues.forEach(issue => {
+            counts[issue.severity]++;
+            affected.add(issue.artifact);
+        });
+
+        summary.innerHTML = `
+            <div class="validation-count severity-error"><strong>${counts.error}</strong> error${counts.error !== 1 ? 's' : ''}</div>
+            <div class="validation-count severity-warning"><strong>${counts.warning}</strong> warning${counts.warning !== 1 ? 's' : ''}</div>
+            <div class="validation-count severity-info"><strong>${counts.info}</strong> info</div>
+            <div class="validation-count"><strong>${this.artifacts.length - affected.size}</strong> of ${this.artifacts.length} artifacts fully compliant</div>
+        `;
+
+        const issues = this.licenseComplianceIssues.filter(issue =>
+            this.complianceSeverityFilter === 'all' || issue.severity === this.complianceSeverityFilter
+        );
+
+        if (issues.length === 0) {
+            container.innerHTML = '<div class="success-message">No license issues found</div>';
+            return;
+        }
+
+        container.innerHTML = '';
+        const fragment = document.createDocumentFragment();
+        issues.forEach(issue => {
+            const element = document.createElement('div');
+            element.className = `validation-issue severity-${issue.severity}`;
+            element.setAttribute('role', 'listitem');
+            element.innerHTML = `
+                <span class="validation-severity">${issue.severity}</span>
+                <div class="validation-issue-info">
+                    <button type="button" class="validation-jump-link" title="Show this artifact in the collection">
+                        #${issue.index + 1} ${this.escapeHtml(issue.artifact.title || 'Untitled artifact')}
+                    </button>
+                    <div class="validation-message">${this.escapeHtml(issue.message)}</div>
+                </div>
+                <span class="validation-rule">${issue.rule}</span>
+            `;
+            element.querySelector('.validation-jump-link')
+                .addEventListener('click', () => this.jumpToArtifact(issue.artifact));
+            fragment.appendChild(element);
+        });
+        container.appendChild(fragment);
+    }
+
+    exportCredits(format) {
+        const playableOnly = document.getElementById('creditsPlayableOnly')?.checked;
+        const artifacts = this.artifacts
+            .filter(artifact => !playableOnly || artifact.isPlayable)
+            .sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+        const credits = artifacts.map(artifact => this.createAttribution(artifact));
+        const date = new Date().toISOString().slice(0, 10);
+
+        try {
+            if (format === 'html') {
+                const html = [
+                    '<!DOCTYPE html>',
+                    '<html lang="en">',
+                    '<head>',
+                    '    <meta charset="UTF-8">',
+                    '    <title>OriginGuessr Image Credits</title>',
+                    '</head>',
+                    '<body>',
+                    '    <h1>Image Credits</h1>',
+                    `    <p>${credits.length} images. Generated ${date}.</p>`,
+                    '    <ul>',
+                    ...credits.map(credit => `        <li>${credit.html}</li>`),
+                    '    </ul>',
+                    '</body>',
+                    '</html>'
+                ];
+                this.downloadFile(`credits-${date}.html`, html.join('\n') + '\n', 'text/html');
+            } else if (format === 'text') {
+                this.downloadFile(`credits-${date}.txt`, credits.map(credit => credit.text).join('\n') + '\n', 'text/plain');
+            }
+        } catch (error) {
+            console.error(`Error exporting credits as ${format}:`, error);
+        }
+    }
+
+    async copyAttribution(artifact, format, button) {
+        const attribution = this.createAttribution(artifact);
+        const label = button.textContent;
+        try {
+            await navigator.clipboard.writeText(attribution[format]);
+            button.textContent = 'Copied!';
+        } catch (error) {
+            console.warn('Failed to copy attribution:', error);
+            button.textContent = 'Copy failed';
+        }
+        setTimeout(() => {
+            button.textContent = label;
+        }, 1500);
+    }
+
+    getValidationRules() {
+        const isBlank = value => value === null || value === undefined ||
+            (typeof value === 'string' && !value.trim());
+        const isNumber = value => typeof value === 'number' && !isNaN(value);
+
+        return [
+            {
+                id: 'missing-required-field',
+                severity: 'error',
+                check: artifact => ['title', 'image', 'lat', 'lng', 'year']
+                    .filter(field => isBlank(artifact[field]))
+                    .map(field => ({ field, message: `Required field "${field}" is missing or blank` }))
+            },
+            {
+                id: 'missing-optional-field',
+                severity: 'warning',
+                check: artifact => ['description', 'author']
+                    .filter(field => isBlank(artifact[field]))
+                    .map(field => ({ field, message: `Field "${field}" is missing or blank` }))
+            },
+            {
+                id: 'non-numeric-year',
+                severity: 'error',
+                check: artifact => {
+                    const year = artifact.year;
+                    if (isBlank(year) || Number.isInteger(year)) return [];
+                    if (typeof year === 'string' && /^-?\d+$/.test(year.trim())) {
+                        return [{ field: 'year', message: `Year "${year}" is stored as a string instead of a number` }];
+                    }
+                    return [{ field: 'year', message: `Year "${year}" is not a whole number` }];
+                }
+            },
+            {
+                id: 'coordinates-out-of-range',
+                severity: 'error',
+                check: artifact => {
+                    const { lat, lng } = artifact;
+                    if (isBlank(lat) || isBlank(lng)) return [];
+                    if (!isNumber(lat) || !isNumber(lng)) {
+                        return [{ field: 'lat/lng', message: `Coordinates (${lat}, ${lng}) are not numbers` }];
+                    }
+                    if (this.isValidCoordinates(lat, lng)) return [];
+                    const message = this.isValidCoordinates(lng, lat)
+                        ? `Coordinates (${lat}, ${lng}) are out of range and look swapped`
+                        : `Coordinates (${lat}, ${lng}) are out of range`;
+                    return [{ field: 'lat/lng', message }];
+                }
+            },
+            {
+                id: 'null-island',
+                severity: 'error',
+                check: artifact => artifact.lat === 0 && artifact.lng === 0
+                    ? [{ field: 'lat/lng', message: 'Coordinates are (0, 0), which is almost certainly a placeholder' }]
+                    : []
+            },
+            {
+                id: 'non-wikimedia-image',
+                severity: 'warning',
+                check: artifact => {
+                    if (isBlank(artifact.image)) return [];
+                    if (!this.isValidUrl(artifact.image)) {
+                        return [{ field: 'image', message: 'Image URL is malformed' }];
+                    }
+                    const host = new URL(artifact.image).hostname;
+                    return /(^|\.)wikimedia\.org$/.test(host)
+                        ? []
+                        : [{ field: 'image', message: `Image is hosted on ${host} instead of Wikimedia` }];
+                }
+            },
+            {
+                id: 'malformed-author-link',
+                severity: 'error',
+                check: artifact => {
+                    const link = artifact.authorLink;
+                    if (isBlank(link)) return [];
+                    const valid = typeof link === 'string' && /^https?:\/\//.test(link) && this.isValidUrl(link);
+                    return valid ? [] : [{ field: 'authorLink', message: `Author link "${link}" is not a valid http(s) URL` }];
+                }
+            },
+            {
+                id: 'missing-license',
+                severity: 'warning',
+                check: artifact => isBlank(artifact.license) &&
+                    this.normalizeLicense(artifact.license, artifact.author) !== 'Public Domain'
+                    ? [{ field: 'license', message: 'No license given and the author is not "Public Domain"' }]
+                    : []
+            },
+            {
+                id: 'unknown-license',
+                severity: 'warning',
+                check: artifact => isBlank(artifact.license) || this.isKnownLicense(artifact.license)
+                    ? []
+                    : [{ field: 'license', message: `Unrecognized license string "${artifact.license}"` }]
+            },
+            {
+                id: 'invalid-playability',
+                severity: 'info',
+                check: artifact => typeof artifact.isPlayable === 'boolean'
+                    ? []
+                    : [{ field: 'isPlayable', message: 'isPlayable is not set to true or false' }]
+            },
+            {
+                id: 'duplicate-title',
+                severity: 'warning',
+                check: (artifact, context) => {
+                    const key = this.getStringLength(artifact.title) ? artifact.title.trim().toLowerCase() : null;
+                    const count = key ? context.titleCounts.get(key) : 0;
+                    return count > 1 ? [{ field: 'title', message: `Title is shared by ${count} artifacts` }] : [];
+                }
+            },
+            {
+                id: 'duplicate-image',
+                severity: 'warning',
+                check: (artifact, context) => {
+                    const count = artifact.image ? context.imageCounts.get(artifact.image) : 0;
+                    return count > 1 ? [{ field: 'image', message: `Image URL is shared by ${count} artifacts` }] : [];
+                }
+            }
+        ];
+    }
+
+    isKnownLicense(license) {
+        // Spelling variants are the compliance panel's concern; only unknown licenses are reported here
+        return this.getLicenseInfo(license).recognized;
+    }
+
+    validateArtifacts() {
+        const context = { titleCounts: new Map(), imageCounts: new Map() };
+        this.artifacts.forEach(artifact => {
+            if (this.getStringLength(artifact.title)) {
+                const key = artifact.title.trim().toLowerCase();
+                context.titleCounts.set(key, (context.titleCounts.get(key) || 0) + 1);
+            }
+            if (artifact.image) {
+                context.imageCounts.set(artifact.image, (context.imageCounts.get(artifact.image) || 0) + 1);
+            }
+        });
+
+        const severityOrder = { error: 0, warning: 1, info: 2 };
+        const rules = this.getValidationRules();
+        this.validationIssues = [];
+
+        this.artifacts.forEach((artifact, index) => {
+            rules.forEach(rule => {
+                rule.check(artifact, context).forEach(({ field, message }) => {
+                    this.validationIssues.push({
+                        rule: rule.id,
+                        severity: rule.severity,
+                        field,
+                        message,
+                        index,
+                        artifact
+                    });
+                });
+            });
+        });
+
+        this.validationIssues.sort((a, b) =>
+            severityOrder[a.severity] - severityOrder[b.severity] || a.index - b.index
+        );
+
+        return this.validationIssues;
+    }
+
+    displayValidationIssues() {
+        const summary = document.getElementById('validationSummary');
+        const container = document.getElementById('validationIssuesList');
+        if (!summary || !container) return;
+
+        const counts = { error: 0, warning: 0, info: 0 };
+        const affected = new Set();
+        this.validationIssues.forEach(issue => {
+            counts[issue.severity]++;
+            affected.add(issue.artifact);
+        });
+
+        summary.innerHTML = `
+            <div class="validation-count severity-error"><strong>${counts.error}</strong> error${counts.error !== 1 ? 's' : ''}</div>
+            <div class="validation-count severity-warning"><strong>${counts.warning}</strong> warning${counts.warning !== 1 ? 's' : ''}</div>
+            <div class="validation-count severity-info"><strong>${counts.info}</strong> info</div>
+            <div class="validation-count"><strong>${affected.size}</strong> of ${this.artifacts.length} artifacts affected</div>
+        `;
+
+        const issues = this.validationIssues.filter(issue =>
+            this.validationSeverityFilter === 'all' || issue.severity === this.validationSeverityFilter
+        );
+
+        if (issues.length === 0) {
+            container.innerHTML = '<div class="success-message">No issues found</div>';
+            return;
+        }
+
+        container.innerHTML = '';
+        const fragment = document.createDocumentFragment();
+        issues.forEach(issue => {
+            const element = document.createElement('div');
+            element.className = `validation-issue severity-${issue.severity}`;
+            element.setAttribute('role', 'listitem');
+            element.innerHTML = `
+                <span class="validation-severity">${issue.severity}</span>
+                <div class="validation-issue-info">
+                    <button type="button" class="validation-jump-link" title="Show this artifact in the collection">
+                        #${issue.index + 1} ${this.escapeHtml(issue.artifact.title || 'Untitled artifact')}
+                    </button>
+                    <div class="validation-message">${this.escapeHtml(issue.message)}</div>
+                </div>
+                <span class="validation-rule">${issue.rule}</span>
+            `;
+            element.querySelector('.validation-jump-link')
+                .addEventListener('click', () => this.jumpToArtifact(issue.artifact));
+            fragment.appendChild(element);
+        });
+        container.appendChild(fragment);
+    }
+
+    setupValidationControls() {
+        const severitySelect = document.getElementById('validationSeveritySelect');
+        const downloadBtn = document.getElementById('downloadValidationReportBtn');
+
+        if (severitySelect) {
+            severitySelect.addEventListener('change', (e) => {
+                this.validationSeverityFilter = e.target.value;
+                this.displayValidationIssues();
+            });
+        }
+
+        if (downloadBtn) {
+            downloadBtn.addEventListener('click', () => this.downloadValidationReport());
+        }
+    }
+
+    downloadValidationReport() {
+        const summary = this.validationIssues.reduce((counts, issue) => {
+            counts[issue.severity]++;
+            return counts;
+        }, { error: 0, warning: 0, info: 0 });
+
+        const report = {
+            generatedAt: new Date().toISOString(),
+            totalArtifacts: this.artifacts.length,
+            summary,
+            issues: this.validationIssues.map(issue => ({
+                severity: issue.severity,
+                rule: issue.rule,
+                index: issue.index,
+                title: issue.artifact.title || null,
+                field: issue.field,
+                message: issue.message
+            }))
+        };
+
+        this.downloadFile('artifact-validation-report.json', JSON.stringify(report, null, 2), 'application/json');
+    }
+
+    jumpToArtifact(artifact) {
+        let index = this.sortedArtifacts.indexOf(artifact);
+        if (index === -1) {
+            // The artifact is hidden by the current filters
+            this.handleClearFilters();
+            index = this.sortedArtifacts.indexOf(artifact);
+        }
+        if (index === -1) return;
+
+        while (this.displayedArtifacts <= index && !this.isLoading) {
+            this.loadMoreArtifacts();
+        }
+
+        const card = document.querySelector(`.full-artifact-card[data-artifact-id="${CSS.escape(artifact.id)}"]`);
+        if (card) {
+            card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            card.classList.add('card-highlight');
+            setTimeout(() => card.classList.remove('card-highlight'), 2000);
+        }
+    }
+
+    findDuplicateClusters() {
+        const { signals, titleSimilarity, maxDistanceKm, maxHashDistance } = this.duplicateSettings;
+        const artifacts = this.artifacts;
+        const matches = [];
+
+        // Exact image URL, grouped in one pass
+        if (signals.image) {
+            const byImage = new Map();
+            artifacts.forEach((artifact, index) => {
+                if (!artifact.image) return;
+                const url = artifact.image.trim();
+                if (byImage.has(url)) {
+                    matches.push({ a: byImage.get(url), b: index, reason: 'Same image URL' });
+                } else {
+                    byImage.set(url, index);
+                }
+            });
+        }
+
+        const titles = artifacts.map(artifact => this.normalizeTitleForComparison(artifact.title));
+        const titleWords = titles.map(title => title.split(' ').filter(word => word.length > 3));
+        for (let i = 0; i < artifacts.length; i++) {
+            for (let j = i + 1; j < artifacts.length; j++) {
+                const a = artifacts[i];
+                const b = artifacts[j];
+
+                if (signals.title && titles[i] && titles[j]) {
+                    const similarity = this.calculateTitleSimilarity(titles[i], titles[j], titleSimilarity);
+                    if (similarity >= titleSimilarity) {
+                        matches.push({ a: i, b: j, reason: `Similar titles (${Math.round(similarity * 100)}%)` });
+                    }
+                }
+
+                // Museums hold many unrelated items of one period, so proximity
+                // only counts when the titles also share a significant word
+                if (signals.location && a.year === b.year &&
+                    this.isValidCoordinates(a.lat, a.lng) && this.isValidCoordinates(b.lat, b.lng) &&
+                    titleWords[i].some(word => titleWords[j].includes(word))) {
+                    const distance = this.calculateDistanceKm(a.lat, a.lng, b.lat, b.lng);
+                    if (distance <= maxDistanceKm) {
+                        matches.push({ a: i, b: j, reason: `Same year, ${distance.toFixed(2)} km apart` });
+                    }
+                }
+
+                if (signals.hash && a.perceptualHash && b.perceptualHash) {
+                    const distance = this.calculateHashDistance(a.perceptualHash, b.perceptualHash);
+                    if (distance <= maxHashDistance) {
+                        matches.push({ a: i, b: j, reason: `Similar image (hash distance ${distance}/64)` });
+                    }
+                }
+            }
+        }
+
+        // Union-find so that chains of pairwise matches form one cluster
+        const parent = artifacts.map((_, index) => index);
+        const find = index => parent[index] === index ? index : (parent[index] = find(parent[index]));
+        matches.forEach(({ a, b }) => {
+            parent[find(a)] = find(b);
+        });
+
+        const clusters = new Map();
+        matches.forEach(match => {
+            const root = find(match.a);
+            if (!clusters.has(root)) {
+                clusters.set(root, { indices: new Set(), matches: [] });
+            }
+            const cluster = clusters.get(root);
+            cluster.indices.add(match.a);
+            cluster.indices.add(match.b);
+            cluster.matches.push(match);
+        });
+
+        return Array.from(clusters.values())
+            .map(cluster => ({
+                artifacts: Array.from(cluster.indices).sort((a, b) => a - b)
+                    .map(index => ({ index, artifact: artifacts[index] })),
+                matches: cluster.matches
+            }))
+            .sort((a, b) => b.artifacts.length - a.artifacts.length || a.artifacts[0].index - b.artifacts[0].index);
+    }
+
+    normalizeTitleForComparison(title) {
+        return (title || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\b(the|a|an|of)\b/g, ' ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    calculateTitleSimilarity(a, b, minimum = 0) {
+        if (a === b) return 1;
+        const longest = Math.max(a.length, b.length);
+        // The length difference alone bounds the similarity; skip hopeless pairs
+        if (1 - Math.abs(a.length - b.length) / longest < minimum) return 0;
+
+        // Levenshtein distance over two rolling rows, giving up as soon as
+        // every cell of a row exceeds the distance the minimum allows
+        const maxDistance = Math.floor((1 - minimum) * longest);
+        let previous = new Uint16Array(b.length + 1).map((_, j) => j);
+        let current = new Uint16Array(b.length + 1);
+        for (let i = 1; i <= a.length; i++) {
+            current[0] = i;
+            let rowMinimum = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMinimum = Math.min(rowMinimum, current[j]);
+            }
+            if (rowMinimum > maxDistance) return 0;
+            [previous, current] = [current, previous];
+        }
+        return 1 - previous[b.length] / longest;
+    }
+
+    calculateDistanceKm(lat1, lng1, lat2, lng2) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(lat2 - lat1);
+        const dLng = toRadians(lng2 - lng1);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+        return 6371 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+    }
+
+    calculateHashDistance(hashA, hashB) {
+        let distance = 0;
+        for (let i = 0; i < hashA.length; i++) {
+            let bits = parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16);
+            while (bits) {
+                distance += bits & 1;
+                bits >>= 1;
+            }
+        }
+        return distance;
+    }
+
+    setupDuplicateControls() {
+        document.querySelectorAll('.duplicate-signal-toggle').forEach(toggle => {
+            toggle.checked = this.duplicateSettings.signals[toggle.dataset.signal];
+            toggle.addEventListener('change', () => {
+                this.duplicateSettings.signals[toggle.dataset.signal] = toggle.checked;
+                this.displayDuplicates();
+            });
+        });
+
+        const similaritySelect = document.getElementById('duplicateTitleSimilaritySelect');
+        if (similaritySelect) {
+            similaritySelect.value = this.duplicateSettings.titleSimilarity.toString();
+            similaritySelect.addEventListener('change', (e) => {
+                this.duplicateSettings.titleSimilarity = parseFloat(e.target.value);
+                this.displayDuplicates();
+            });
+        }
+    }
+
+    displayDuplicates() {
+        const summary = document.getElementById('duplicateSummary');
+        const container = document.getElementById('duplicateClustersList');
+        if (!summary || !container) return;
+
+        const clusters = this.findDuplicateClusters();
+        const involved = clusters.reduce((sum, cluster) => sum + cluster.artifacts.length, 0);
+        const hashed = this.artifacts.filter(artifact => artifact.perceptualHash).length;
+
+        summary.innerHTML = `
+            <div class="validation-count"><strong>${clusters.length}</strong> likely duplicate group${clusters.length !== 1 ? 's' : ''}</div>
+            <div class="validation-count"><strong>${involved}</strong> of ${this.artifacts.length} artifacts involved</div>
+            <div class="validation-count"><strong>${hashed}</strong> image${hashed !== 1 ? 's' : ''} hashed</div>
+        `;
+
+        if (clusters.length === 0) {
+            container.innerHTML = '<div class="success-message">No likely duplicates found</div>';
+            return;
+        }
+
+        container.innerHTML = '';
+        const fragment = document.createDocumentFragment();
+        clusters.forEach(cluster => {
+            const reasons = [...new Set(cluster.matches.map(match => match.reason))];
+            const element = document.createElement('div');
+            element.className = 'duplicate-cluster';
+            element.setAttribute('role', 'listitem');
+            element.innerHTML = `
+                <div class="duplicate-reasons">
+                    ${reasons.map(reason => `<span class="duplicate-reason">${this.escapeHtml(reason)}</span>`).join('')}
+                </div>
+                ${cluster.artifacts.map(({ index, artifact }) => `
+                    <div class="duplicate-artifact">
+                        ${artifact.image ? `<img src="${this.escapeHtml(artifact.image)}" alt="" class="duplicate-thumbnail" loading="lazy">` : ''}
+                        <div class="validation-issue-info">
+                            <button type="button" class="validation-jump-link" data-index="${index}" title="Show this artifact in the collection">
+                                #${index + 1} ${this.escapeHtml(artifact.title || 'Untitled artifact')}
+                            </button>
+                            <div class="validation-message">${this.escapeHtml(this.formatYear(artifact.year))} · ${this.isValidCoordinates(artifact.lat, artifact.lng) ? `${artifact.lat.toFixed(3)}, ${artifact.lng.toFixed(3)}` : 'No coordinates'}</div>
+                        </div>
+                    </div>
+                `).join('')}
+            `;
+            element.querySelectorAll('.validation-jump-link').forEach(link => {
+                link.addEventListener('click', () => this.jumpToArtifact(this.artifacts[link.dataset.index]));
+            });
+            fragment.appendChild(element);
+        });
+        container.appendChild(fragment);
+    }
+
+    displayArtifactList(containerId, artifacts, type) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        if (artifacts.length === 0) {
+            if (type === 'imageQuality') {
+                const progressId = containerId === 'highestImageQualityList' ? 'highestQualityProgress' : 'lowestQualityProgress';
+                container.innerHTML = `
+                    <div class="loading analysis-loading">
+                        <span>Analyzing image quality...</span>
+                        <span class="analysis-progress" id="${progressId}">0/${this.artifacts.length}</span>
+                    </div>
+                `;
+            } else {
+                container.innerHTML = '<div class="loading">No artifacts found</div>';
+            }
+            return;
+        }
+
+        container.innerHTML = '';
+        artifacts.forEach((artifact, index) => {
+            const artifactElement = this.createArtifactElement(artifact, index + 1, type);
+            container.appendChild(artifactElement);
+        });
+    }
+
+    createArtifactElement(artifact, rank, type) {
+        const element = document.createElement('div');
+        element.className = 'artifact-item';
+
+        const year = this.formatYear(artifact.year);
+        
+        let lengthInfo = '';
+        let displayContent = '';
+        
+        if (type === 'title') {
+            lengthInfo = `<span class="title-length">${artifact.titleLength} chars</span>`;
+            displayContent = this.createTitleDisplay(artifact, rank);
+        } else if (type === 'description') {
+            lengthInfo = `<span class="description-length">${artifact.descriptionLength} chars</span>`;
+            displayContent = this.createDescriptionDisplay(artifact);
+        } else if (type === 'imageQuality') {
+            lengthInfo = this.createImageQualityBadge(artifact);
+            displayContent = this.createImageQualityDisplay(artifact, rank);
+        }
+        
+        element.innerHTML = `
+            <img src="${this.escapeHtml(artifact.image)}" 
+                 alt="${this.escapeHtml(artifact.title)}" 
+                 class="artifact-image clickable-image" 
+                 onerror="this.src='${this.getPlaceholderImage()}'" 
+                 loading="lazy" 
+                 style="cursor: pointer;" />
+            <div class="artifact-info">
+                ${displayContent}
+                <div class="artifact-meta">
+                    <span class="artifact-year">${year}</span>
+                    ${lengthInfo}
+                </div>
+            </div>
+        `;
+
+        // Add click event listener to the image
+        const img = element.querySelector('.artifact-image');
+        if (img) {
+            img.addEventListener('click', this.handleImageClick);
+        }
+
+        return element;
+    }
+
+    createTitleDisplay(artifact, rank) {
+        return `<div class="artifact-title">#${rank}. ${this.escapeHtml(artifact.title)}</div>`;
+    }
+
+    createDescriptionDisplay(artifact) {
+        const description = artifact.description || 'No description available.';
+        return `
+            <div class="artifact-title">${this.escapeHtml(artifact.title)}</div>
+            <div class="artifact-description-full">${this.escapeHtml(description)}</div>
+        `;
+    }
+
+createImageQualityDisplay(artifact, rank) {
+    let qualityText = '';
+    
+    switch (this.imageQualityMode) {
+        case 'aspect-ratio':
+            const ratioText = artifact.aspectRatio ? artifact.aspectRatio.toFixed(2) : 'N/A';
+            // Double the score for a 0-100 scale
+            const arScore = Math.min(100, artifact.aspectRatioScore * 2);
+            qualityText = `Aspect Ratio: ${ratioText} (Score: ${arScore}/100)`;
+            break;
+        case 'pixel-size':
+            const pixelText = artifact.pixelSize ? artifact.pixelSize.toLocaleString() : 'N/A';
+            // Double the score for a 0-100 scale
+            const psScore = Math.min(100, artifact.pixelSizeScore * 2);
+            qualityText = `Pixels: ${pixelText} (Score: ${psScore}/100)`;
+            break;
+        case 'sharpness':
+        case 'exposure':
+        case 'border':
+        case 'blockiness':
+            // Pixel metrics are missing for hosts that block canvas access
+            qualityText = artifact[`${this.imageQualityMode}Score`] !== null
+                ? `${this.imageQualityModeNames[this.imageQualityMode]}: ${this.getScoreByMode(artifact, this.imageQualityMode)}/100`
+                : `${this.imageQualityModeNames[this.imageQualityMode]}: N/A (pixels not readable)`;
+            break;
+        default:
+            qualityText = `Overall Quality: ${artifact.imageQualityScore}/100 (${artifact.imageQuality})`;
+    }
+    
+    return `
+        <div class="artifact-title">#${rank}. ${this.escapeHtml(artifact.title)}</div>
+        <div class="artifact-description-full">${qualityText}</div>
+    `;
+}
+
+createImageQualityBadge(artifact) {
+    if (!artifact.imageQuality || artifact.imageQualityScore === 0) {
+        return '<span class="image-quality-badge quality-loading">Analyzing...</span>';
+    }
+    
+    let score, qualityClass;
+    
+    switch (this.imageQualityMode) {
+        case 'aspect-ratio':
+            // Double the score to scale it from 0-50 to 0-100 for display
+            score = Math.min(100, artifact.aspectRatioScore * 2);
+            break;
+        case 'pixel-size':
+            // Double the score to scale it from 0-50 to 0-100 for display
+            score = Math.min(100, artifact.pixelSizeScore * 2);
+            break;
+        case 'sharpness':
+        case 'exposure':
+        case 'border':
+        case 'blockiness':
+            score = this.getScoreByMode(artifact, this.imageQualityMode);
+            break;
+        default:
+            score = artifact.imageQualityScore;
+    }
+    
+    // Quality class thresholds come from the active scoring profile
+    qualityClass = this.getQualityClass(score);
+    
+    return `<span class="image-quality-badge ${qualityClass}">${score}/100</span>`;
+}
+
+    setupEventListeners() {
+        this.setupSortingControls();
+        this.setupFilterControls();
+        this.setupTimelineControls();
+        this.setupInfiniteScroll();
+        this.setupLinkTesting();
+        this.setupLinkTestHistoryControls();
+        this.setupValidationControls();
+        this.setupLicenseComplianceControls();
+        this.setupAuthorControls();
+        this.setupTextAnalyticsControls();
+        this.setupConsistencyControls();
+        this.setupDatasetCompareControls();
+        this.setupDuplicateControls();
+        this.setupEditorControls();
+        this.setupExportControls();
+        this.setupSimulatorControls();
+        this.setupRoundGeneratorControls();
+        this.setupKeyboardNavigation();
+        this.setupImageQualityModeSelector();
+        this.setupQualityProfileControls();
+        this.setupQualityCacheControls();
+        this.setupAnalysisQueueControls();
+    }
+
+    setupImageQualityModeSelector() {
+        const modeSelector = document.getElementById('imageQualityModeSelect');
+        if (modeSelector) {
+            modeSelector.addEventListener('change', this.handleImageQualityModeChange);
+        }
+    }
+
+    setupSortingControls() {
+        const sortSelect = document.getElementById('sortBySelect');
+        const resetBtn = document.getElementById('resetSortBtn');
+
+        if (sortSelect) {
+            sortSelect.addEventListener('change', this.handleSortChange);
+        }
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.applySorting('year-newest');
+                if (sortSelect) sortSelect.value = 'year-newest';
+            });
+        }
+
+        this.updateSortInfo();
+    }
+
+    handleSortChange(e) {
+        this.applySorting(e.target.value);
+    }
+
+    applySorting(sortType) {
+        if (this.isLoading) return;
+        
+        this.currentSort = sortType;
+        this.displayedArtifacts = 0;
+
+        // Clear current display
+        const container = document.getElementById('allArtifactsList');
+        this.visibleArtifactIds.clear();
+        if (this.cardVisibilityObserver) {
+            this.cardVisibilityObserver.disconnect();
+        }
+        if (container) {
+            container.innerHTML = '<div class="loading">Sorting artifacts...</div>';
+        }
+
+        // Apply sorting logic, then narrow down to the active filters
+        this.sortedArtifacts = this.getSortedArtifacts(sortType)
+            .filter(artifact => this.matchesFilters(artifact));
+        
+        // Update priority artifacts for image analysis
+        this.updatePriorityArtifacts();
+        
+        this.updateSortInfo();
+        this.updateFilterInfo();
+
+        if (this.sortedArtifacts.length === 0) {
+            if (container) {
+                container.innerHTML = '<div class="loading">No artifacts match the current filters</div>';
+            }
+            const loadMoreBtn = document.getElementById('loadMoreBtn');
+            if (loadMoreBtn) loadMoreBtn.style.display = 'none';
+            return;
+        }
+
+        this.loadMoreArtifacts();
+    }
+
+    getSortedArtifacts(sortType) {
+        switch (sortType) {
+            case 'year-newest':
+                return [...this.artifacts].sort((a, b) => {
+                    const yearA = a.year !== null && a.year !== undefined ? a.year : -Infinity;
+                    const yearB = b.year !== null && b.year !== undefined ? b.year : -Infinity;
+                    return yearB - yearA;
+                });
+            
+            case 'year-oldest':
+                return [...this.artifacts].sort((a, b) => {
+                    const yearA = a.year !== null && a.year !== undefined ? a.year : Infinity;
+                    const yearB = b.year !== null && b.year !== undefined ? b.year : Infinity;
+                    return yearA - yearB;
+                });
+
+            case 'title-longest':
+                return [...this.artifacts].sort((a, b) => b.titleLength - a.titleLength);
+
+            case 'title-shortest':
+                return [...this.artifacts].sort((a, b) => a.titleLength - b.titleLength);
+
+            case 'description-longest':
+                return [...this.artifacts].sort((a, b) => b.descriptionLength - a.descriptionLength);
+
+            case 'description-shortest':
+                return [...this.artifacts].sort((a, b) => a.descriptionLength - b.descriptionLength);
+
+            case 'image-high-quality':
+                return [...this.artifacts].sort((a, b) => {
+                    return b.imageQualityScore - a.imageQualityScore;
+                });
+
+            case 'image-low-quality':
+                return [...this.artifacts].sort((a, b) => {
+                    const scoreA = a.imageQualityScore || 999;
+                    const scoreB = b.imageQualityScore || 999;
+                    return scoreA - scoreB;
+                });
+
+            case 'license-common':
+                return this.sortByLicenseFrequency(false);
+
+            case 'license-rare':
+                return this.sortByLicenseFrequency(true);
+
+            case 'author-common':
+                return this.sortByAuthorFrequency(false);
+
+            case 'author-rare':
+                return this.sortByAuthorFrequency(true);
+
+            case 'country-common':
+                return this.sortByCountryFrequency(false);
+
+            case 'country-rare':
+                return this.sortByCountryFrequency(true);
+
+            case 'difficulty-hardest':
+                return [...this.artifacts].sort((a, b) => (b.difficultyScore ?? -1) - (a.difficultyScore ?? -1));
+
+            case 'difficulty-easiest':
+                return [...this.artifacts].sort((a, b) => (a.difficultyScore ?? 101) - (b.difficultyScore ?? 101));
+
+            case 'spoiler-risk-high':
+                return [...this.artifacts].sort((a, b) => b.textStats.spoilerScore - a.textStats.spoilerScore);
+
+            case 'spoiler-risk-low':
+                return [...this.artifacts].sort((a, b) => a.textStats.spoilerScore - b.textStats.spoilerScore);
+
+            default:
+                return [...this.artifacts].sort((a, b) => {
+                    const yearA = a.year !== null && a.year !== undefined ? a.year : -Infinity;
+                    const yearB = b.year !== null && b.year !== undefined ? b.year : -Infinity;
+                    return yearB - yearA;
+                });
+        }
+    }
+
+    sortByLicenseFrequency(rareFirst) {
+        const licenseFrequency = {};
+        this.licenseStats.forEach((stat, index) => {
+            licenseFrequency[stat.license] = rareFirst ? index : this.licenseStats.length - index;
+        });
+
+        return [...this.artifacts].sort((a, b) => {
+            const licenseA = this.normalizeLicense(a.license, a.author);
+            const licenseB = this.normalizeLicense(b.license, b.author);
+            const freqA = licenseFrequency[licenseA] || 0;
+            const freqB = licenseFrequency[licenseB] || 0;
+            
+            if (freqA !== freqB) {
+                return rareFirst ? freqA - freqB : freqB - freqA;
+            }
+            
+            return (a.title || '').localeCompare(b.title || '');
+        });
+    }
+
+    sortByAuthorFrequency(rareFirst) {
+        const authorFrequency = {};
+        this.authorStats.forEach((stat, index) => {
+            authorFrequency[stat.author] = rareFirst ? index : this.authorStats.length - index;
+        });
+
+        return [...this.artifacts].sort((a, b) => {
+            const authorA = this.normalizeAuthor(a.author);
+            const authorB = this.normalizeAuthor(b.author);
+            const freqA = authorFrequency[authorA] || 0;
+            const freqB = authorFrequency[authorB] || 0;
+            
+            if (freqA !== freqB) {
+                return rareFirst ? freqA - freqB : freqB - freqA;
+            }
+            
+            return (a.title || '').localeCompare(b.title || '');
+        });
+    }
+
+    updateSortInfo() {
+        const sortInfo = document.getElementById('currentSortInfo');
+        if (!sortInfo) return;
+
+        sortInfo.textContent = `Sorted by: ${this.getSortName(this.currentSort)}`;
+    }
+
+    getSortName(sortType) {
+        const sortNames = {
+            'year-newest': 'Year (Newest First)',
+            'year-oldest': 'Year (Oldest First)',
+            'title-longest': 'Title Length (Longest)',
+            'title-shortest': 'Title Length (Shortest)',
+            'description-longest': 'Description Length (Longest)',
+            'description-shortest': 'Description Length (Shortest)',
+            'image-high-quality': 'Image Quality (Highest)',
+            'image-low-quality': 'Image Quality (Lowest)',
+            'license-common': 'License (Most Common)',
+            'license-rare': 'License (Rarest)',
+            'author-common': 'Author (Most Common)',
+            'author-rare': 'Author (Rarest)',
+            'country-common': 'Country (Most Common)',
+            'country-rare': 'Country (Rarest)',
+            'difficulty-hardest': 'Difficulty (Hardest)',
+            'difficulty-easiest': 'Difficulty (Easiest)',
+            'spoiler-risk-high': 'Spoiler Risk (Highest)',
+            'spoiler-risk-low': 'Spoiler Risk (Lowest)'
+        };
+        
+        return sortNames[sortType] || sortType;
+    }
+
+    getDefaultFilters() {
+        return {
+            search: '',
+            license: 'all',
+            author: 'all',
+            playability: 'all',
+            qualityBand: 'all',
+            coordinates: 'all',
+            continent: 'all',
+            country: 'all',
+            shareAlike: 'all',
+            spoilerRisk: 'all',
+            yearMin: null,
+            yearMax: null
+        };
+    }
+
+    setupFilterControls() {
+        const searchInput = document.getElementById('artifactSearchInput');
+        const yearMinInput = document.getElementById('yearMinFilterInput');
+        const yearMaxInput = document.getElementById('yearMaxFilterInput');
+        const clearBtn = document.getElementById('clearFiltersBtn');
+
+        // Typing should not re-render the whole collection on every keystroke
+        const debouncedFilterChange = this.debounce(this.handleFilterChange, 250);
+
+        if (searchInput) {
+            searchInput.addEventListener('input', debouncedFilterChange);
+        }
+
+        [yearMinInput, yearMaxInput].forEach(input => {
+            if (input) {
+                input.addEventListener('input', debouncedFilterChange);
+            }
+        });
+
+        document.querySelectorAll('.filter-select').forEach(select => {
+            select.addEventListener('change', this.handleFilterChange);
+        });
+
+        if (clearBtn) {
+            clearBtn.addEventListener('click', this.handleClearFilters);
+        }
+
+        this.updateFacetCounts();
+    }
+
+    handleFilterChange() {
+        const { yearMin, yearMax } = this.filters;
+        this.filters = this.readFiltersFromControls();
+        this.updateFacetCounts();
+        this.applySorting(this.currentSort);
+
+        // Typed years move the timeline, which also drives the map and charts
+        if (this.filters.yearMin !== yearMin || this.filters.yearMax !== yearMax) {
+            this.stopTimelinePlayback();
+            this.updateTimelineControls();
+            this.renderMapMarkers();
+            this.drawCharts();
+        }
+    }
+
+    handleClearFilters() {
+        this.filters = this.getDefaultFilters();
+
+        const searchInput = document.getElementById('artifactSearchInput');
+        const yearMinInput = document.getElementById('yearMinFilterInput');
+        const yearMaxInput = document.getElementById('yearMaxFilterInput');
+
+        if (searchInput) searchInput.value = '';
+        if (yearMinInput) yearMinInput.value = '';
+        if (yearMaxInput) yearMaxInput.value = '';
+        document.querySelectorAll('.filter-select').forEach(select => {
+            select.value = 'all';
+        });
+
+        this.updateFacetCounts();
+        this.applySorting(this.currentSort);
+        this.stopTimelinePlayback();
+        this.updateTimelineControls();
+        this.renderMapMarkers();
+        this.drawCharts();
+    }
+
+    readFiltersFromControls() {
+        const filters = this.getDefaultFilters();
+
+        const searchInput = document.getElementById('artifactSearchInput');
+        if (searchInput) {
+            filters.search = searchInput.value.trim().toLowerCase();
+        }
+
+        document.querySelectorAll('.filter-select').forEach(select => {
+            filters[select.dataset.filter] = select.value;
+        });
+
+        filters.yearMin = this.parseYearInput(document.getElementById('yearMinFilterInput'));
+        filters.yearMax = this.parseYearInput(document.getElementById('yearMaxFilterInput'));
+
+        return filters;
+    }
+
+    parseYearInput(input) {
+        if (!input || input.value.trim() === '') return null;
+        const year = parseInt(input.value, 10);
+        return isNaN(year) ? null : year;
+    }
+
+    hasActiveFilters() {
+        const defaults = this.getDefaultFilters();
+        return Object.keys(defaults).some(key => this.filters[key] !== defaults[key]);
+    }
+
+    matchesFilters(artifact, ignoreFacet = null) {
+        const filters = this.filters;
+
+        if (filters.search && ignoreFacet !== 'search') {
+            const haystack = [artifact.title, artifact.description, artifact.author]
+                .filter(value => typeof value === 'string')
+                .join(' ')
+                .toLowerCase();
+            if (!haystack.includes(filters.search)) return false;
+        }
+
+        if (filters.license !== 'all' && ignoreFacet !== 'license' &&
+            this.normalizeLicense(artifact.license, artifact.author) !== filters.license) {
+            return false;
+        }
+
+        if (filters.author !== 'all' && ignoreFacet !== 'author' &&
+            this.normalizeAuthor(artifact.author) !== filters.author) {
+            return false;
+        }
+
+        if (filters.playability !== 'all' && ignoreFacet !== 'playability' &&
+            this.getPlayabilityKey(artifact) !== filters.playability) {
+            return false;
+        }
+
+        if (filters.qualityBand !== 'all' && ignoreFacet !== 'qualityBand' &&
+            this.getQualityBand(artifact) !== filters.qualityBand) {
+            return false;
+        }
+
+        if (filters.coordinates !== 'all' && ignoreFacet !== 'coordinates') {
+            const hasCoordinates = this.isValidCoordinates(artifact.lat, artifact.lng);
+            if ((filters.coordinates === 'with') !== hasCoordinates) return false;
+        }
+
+        if (filters.continent !== 'all' && ignoreFacet !== 'continent' &&
+            this.getArtifactContinent(artifact) !== filters.continent) {
+            return false;
+        }
+
+        if (filters.country !== 'all' && ignoreFacet !== 'country' &&
+            this.getArtifactCountry(artifact) !== filters.country) {
+            return false;
+        }
+
+        if (filters.shareAlike !== 'all' && ignoreFacet !== 'shareAlike' &&
+            this.getShareAlikeKey(artifact) !== filters.shareAlike) {
+            return false;
+        }
+
+        if (filters.spoilerRisk !== 'all' && ignoreFacet !== 'spoilerRisk' &&
+            artifact.textStats.spoilerRisk !== filters.spoilerRisk) {
+            return false;
+        }
+
+        if ((filters.yearMin !== null || filters.yearMax !== null) && ignoreFacet !== 'year') {
+            if (artifact.year === null || artifact.year === undefined || isNaN(artifact.year)) return false;
+            if (filters.yearMin !== null && artifact.year < filters.yearMin) return false;
+            if (filters.yearMax !== null && artifact.year > filters.yearMax) return false;
+        }
+
+        return true;
+    }
+
+    getPlayabilityKey(artifact) {
+        if (artifact.isPlayable === true) return 'playable';
+        if (artifact.isPlayable === false) return 'non-playable';
+        return 'unknown';
+    }
+
+    getQualityBand(artifact) {
+        return artifact.imageQualityScore > 0 ? this.getQualityClass(artifact.imageQualityScore) : 'unanalyzed';
+    }
+
+    updateFacetCounts() {
+        // Each facet counts against every other active filter, so the numbers
+        // show what selecting that option would leave in the list
+        const facets = {
+            license: artifact => this.normalizeLicense(artifact.license, artifact.author),
+            author: artifact => this.normalizeAuthor(artifact.author),
+            playability: artifact => this.getPlayabilityKey(artifact),
+            qualityBand: artifact => this.getQualityBand(artifact),
+            coordinates: artifact => this.isValidCoordinates(artifact.lat, artifact.lng) ? 'with' : 'without',
+            continent: artifact => this.getArtifactContinent(artifact),
+            country: artifact => this.getArtifactCountry(artifact),
+            shareAlike: artifact => this.getShareAlikeKey(artifact),
+            spoilerRisk: artifact => artifact.textStats.spoilerRisk
+        };
+
+        Object.entries(facets).forEach(([facet, getValue]) => {
+            const select = document.querySelector(`.filter-select[data-filter="${facet}"]`);
+            if (!select) return;
+
+            const counts = new Map();
+            let total = 0;
+            this.artifacts.forEach(artifact => {
+                if (!this.matchesFilters(artifact, facet)) return;
+                const value = getValue(artifact);
+                counts.set(value, (counts.get(value) || 0) + 1);
+                total++;
+            });
+
+            if (['license', 'author', 'continent', 'country'].includes(facet)) {
+                this.populateFacetOptions(select, facet, counts, total);
+            } else {
+                Array.from(select.options).forEach(option => {
+                    if (!option.dataset.label) {
+                        option.dataset.label = option.textContent;
+                    }
+                    const count = option.value === 'all' ? total : (counts.get(option.value) || 0);
+                    option.textContent = `${option.dataset.label} (${count})`;
+                });
+            }
+        });
+    }
+
+    populateFacetOptions(select, facet, counts, total) {
+        const stats = {
+            license: this.licenseStats,
+            author: this.authorStats,
+            continent: this.continentStats,
+            country: this.countryStats
+        }[facet];
+        const allLabel = {
+            license: 'All Licenses',
+            author: 'All Authors',
+            continent: 'All Continents',
+            country: 'All Countries'
+        }[facet];
+        const currentValue = this.filters[facet];
+
+        select.innerHTML = `<option value="all">${allLabel} (${total})</option>`;
+        stats.forEach(stat => {
+            const value = stat[facet];
+            const count = counts.get(value) || 0;
+            // Keep the selected option even when other filters zero it out
+            if (count === 0 && value !== currentValue) return;
+
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = `${value} (${count})`;
+            select.appendChild(option);
+        });
+        select.value = currentValue;
+    }
+
+    updateFilterInfo() {
+        const filterInfo = document.getElementById('filterResultInfo');
+        if (!filterInfo) return;
+
+        filterInfo.textContent = this.hasActiveFilters()
+            ? `Showing ${this.sortedArtifacts.length} of ${this.artifacts.length} artifacts`
+            : `Showing all ${this.artifacts.length} artifacts`;
+    }
+
+    setupInfiniteScroll() {
+        const loadMoreBtn = document.getElementById('loadMoreBtn');
+        if (!loadMoreBtn) return;
+
+        const button = loadMoreBtn.querySelector('.load-more-button');
+        if (button) {
+            button.addEventListener('click', this.handleLoadMore);
+        }
+
+        const throttledScrollHandler = this.throttle(() => {
+            if (window.innerHeight + window.scrollY >= document.body.offsetHeight - 1000) {
+                if (this.displayedArtifacts < this.sortedArtifacts.length && 
+                    loadMoreBtn.style.display !== 'none' && !this.isLoading) {
+                    this.loadMoreArtifacts();
+                }
+            }
+        }, 250);
+
+        window.addEventListener('scroll', throttledScrollHandler);
+    }
+
+    handleLoadMore() {
+        if (!this.isLoading) {
+            this.loadMoreArtifacts();
+        }
+    }
+
+    loadMoreArtifacts() {
+        if (this.isLoading || this.displayedArtifacts >= this.sortedArtifacts.length) {
+            return;
+        }
+
+        this.isLoading = true;
+        const container = document.getElementById('allArtifactsList');
+        const loadMoreBtn = document.getElementById('loadMoreBtn');
+        
+        if (!container) {
+            this.isLoading = false;
+            return;
+        }
+
+        if (this.displayedArtifacts === 0 && container.querySelector('.loading')) {
+            container.innerHTML = '';
+        }
+
+        const endIndex = Math.min(
+            this.displayedArtifacts + this.artifactsPerPage, 
+            this.sortedArtifacts.length
+        );
+        const artifactsToShow = this.sortedArtifacts.slice(this.displayedArtifacts, endIndex);
+
+        artifactsToShow.forEach(artifact => {
+            this.priorityArtifacts.add(artifact.id);
+        });
+
+        const fragment = document.createDocumentFragment();
+        artifactsToShow.forEach(artifact => {
+            const artifactCard = this.createFullArtifactCard(artifact);
+            fragment.appendChild(artifactCard);
+        });
+        container.appendChild(fragment);
+
+        this.displayedArtifacts = endIndex;
+
+        if (loadMoreBtn) {
+            if (this.displayedArtifacts >= this.sortedArtifacts.length) {
+                loadMoreBtn.style.display = 'none';
+            } else {
+                loadMoreBtn.style.display = 'block';
+            }
+        }
+
+        this.isLoading = false;
+    }
+
+    createFullArtifactCard(artifact) {
+        const card = document.createElement('article');
+        card.className = 'full-artifact-card';
+        card.setAttribute('role', 'article');
+        card.dataset.artifactId = artifact.id;
+
+        const year = this.formatYear(artifact.year);
+        const license = this.normalizeLicense(artifact.license, artifact.author);
+        const author = this.normalizeAuthor(artifact.author);
+
+        const playabilityBadge = this.createPlayabilityBadge(artifact);
+        const licenseBadge = this.createLicenseBadge(license);
+        const imageQualityBadge = this.createImageQualityBadge(artifact);
+        const difficultyBadge = this.createDifficultyBadge(artifact);
+        const spoilerBadge = this.createSpoilerBadge(artifact);
+        const authorElement = this.createAuthorElement(artifact, author);
+        const editedBadge = this.getArtifactChanges(artifact).length > 0
+            ? '<span class="artifact-badge badge-edited">✏️ Edited</span>'
+            : '';
+
+        card.innerHTML = `
+            <div class="artifact-header">
+                <img src="${this.escapeHtml(artifact.image)}" 
+                     alt="${this.escapeHtml(artifact.title)}" 
+                     class="artifact-main-image clickable-image" 
+                     onerror="this.src='${this.getPlaceholderImage()}'"
+                     loading="lazy" 
+                     style="cursor: pointer;" />
+                <div class="artifact-header-info">
+                    <h3 class="full-artifact-title">${this.escapeHtml(artifact.title)}</h3>
+                    <div class="artifact-year-large">${year}</div>
+                    <div class="artifact-badges">
+                        ${playabilityBadge}
+                        ${licenseBadge}
+                        ${imageQualityBadge}
+                        ${difficultyBadge}
+                        ${spoilerBadge}
+                        ${editedBadge}
+                    </div>
+                    <button type="button" class="artifact-edit-btn" aria-label="Edit ${this.escapeHtml(artifact.title)}">✏️ Edit</button>
+                </div>
+            </div>
+            
+            <div class="artifact-description">${this.escapeHtml(artifact.description || 'No description available.')}</div>
+
+            <details class="artifact-attribution">
+                <summary>Credit line</summary>
+                <p class="attribution-preview">${this.createAttribution(artifact).html}</p>
+                <div class="attribution-actions">
+                    <button type="button" class="sort-reset-btn attribution-copy-btn" data-format="html">Copy HTML</button>
+                    <button type="button" class="sort-reset-btn attribution-copy-btn" data-format="text">Copy Text</button>
+                </div>
+            </details>
+            
+            <div class="artifact-details">
+                <div class="artifact-meta-info">
+                    <div class="meta-row">
+                        <span class="meta-icon" aria-hidden="true">👤</span>
+                        <span>Author: ${authorElement}</span>
+                    </div>
+                    <div class="meta-row">
+                        <span class="meta-icon" aria-hidden="true">📝</span>
+                        <span>Description: ${artifact.descriptionLength} characters, ${artifact.textStats.wordCount} words${artifact.textStats.readability !== null ? `, readability ${artifact.textStats.readability}/100` : ''}</span>
+                    </div>
+                    <div class="meta-row">
+                        <span class="meta-icon" aria-hidden="true">🏷️</span>
+                        <span>Title: ${artifact.titleLength} characters</span>
+                    </div>
+                    <div class="meta-row">
+                        <span class="meta-icon" aria-hidden="true">🖼️</span>
+                        <span>${artifact.imageQualityScore > 0 ? this.formatQualityBreakdown(artifact) : 'Analyzing...'}</span>
+                    </div>
+                </div>
+                <div class="artifact-mini-map" id="miniMap-${this.generateSafeId(artifact)}">
+                    ${artifact.lat && artifact.lng ? '' : '<div class="mini-map-unavailable">🌍 Location not available</div>'}
+                </div>
+            </div>
+        `;
+
+        const mainImg = card.querySelector('.artifact-main-image');
+        if (mainImg) {
+            mainImg.addEventListener('click', this.handleImageClick);
+        }
+
+        if (this.cardVisibilityObserver) {
+            this.cardVisibilityObserver.observe(card);
+        }
+
+        const editBtn = card.querySelector('.artifact-edit-btn');
+        if (editBtn) {
+            editBtn.addEventListener('click', () => this.openArtifactEditor(card, artifact));
+        }
+
+        card.querySelectorAll('.attribution-copy-btn').forEach(button => {
+            button.addEventListener('click', () => this.copyAttribution(artifact, button.dataset.format, button));
+        });
+
+        if (artifact.lat && artifact.lng && this.isValidCoordinates(artifact.lat, artifact.lng)) {
+            setTimeout(() => {
+                this.initMiniMap(artifact, `miniMap-${this.generateSafeId(artifact)}`);
+            }, 100);
+        }
+
+        return card;
+    }
+
+    calculateDifficultyScores() {
+        // Location, era and fame components only change with the data itself;
+        // the image component follows the quality analysis
+        const located = this.artifacts.filter(artifact => this.isValidCoordinates(artifact.lat, artifact.lng));
+        const eraCounts = new Array(this.timeframeBoundaries.length - 1).fill(0);
+        this.artifacts.forEach(artifact => {
+            const era = this.getTimeframeIndex(artifact.year);
+            if (era !== -1) {
+                eraCounts[era]++;
+            }
+        });
+        const maxEraCount = Math.max(1, ...eraCounts);
+        const sortedLengths = this.artifacts.map(artifact => artifact.descriptionLength).sort((a, b) => a - b);
+        const maxIsolation = Math.log10(1 + this.difficultyIsolationMaxKm);
+
+        this.artifacts.forEach(artifact => {
+            const components = { isolation: null, eraRarity: null, obscurity: null, imageQuality: null };
+
+            if (this.isValidCoordinates(artifact.lat, artifact.lng) && located.length > 1) {
+                let nearestKm = Infinity;
+                located.forEach(other => {
+                    if (other !== artifact) {
+                        nearestKm = Math.min(nearestKm, this.calculateDistanceKm(artifact.lat, artifact.lng, other.lat, other.lng));
+                    }
+                });
+                artifact.nearestArtifactKm = nearestKm;
+                // Log scale: the first few hundred km matter far more than the rest
+                components.isolation = Math.round(Math.min(1, Math.log10(1 + nearestKm) / maxIsolation) * 100);
+            }
+
+            const era = this.getTimeframeIndex(artifact.year);
+            if (era !== -1) {
+                components.eraRarity = Math.round((1 - eraCounts[era] / maxEraCount) * 100);
+            }
+
+            // Fame: long descriptions and well-known names give players more to go on
+            const lengthRank = sortedLengths.filter(length => length < artifact.descriptionLength).length;
+            const lengthFame = sortedLengths.length > 1 ? lengthRank / (sortedLengths.length - 1) : 0;
+            const text = `${artifact.title || ''} ${artifact.description || ''}`.toLowerCase();
+            const keywordHits = this.fameKeywords.filter(keyword => text.includes(keyword)).length;
+            const keywordFame = Math.min(1, keywordHits / 2);
+            components.obscurity = Math.round((1 - (lengthFame + keywordFame) / 2) * 100);
+
+            artifact.difficultyComponents = components;
+            this.updateArtifactDifficulty(artifact);
+        });
+    }
+
+    updateArtifactDifficulty(artifact) {
+        const components = artifact.difficultyComponents;
+        if (!components) return;
+
+        // Blurry or badly framed images are harder to recognise
+        components.imageQuality = artifact.imageQualityScore > 0 ? 100 - artifact.imageQualityScore : null;
+
+        let total = 0;
+        let weightSum = 0;
+        Object.entries(this.difficultyWeights).forEach(([component, weight]) => {
+            const score = components[component];
+            if (score !== null && score !== undefined) {
+                total += score * weight;
+                weightSum += weight;
+            }
+        });
+        artifact.difficultyScore = weightSum > 0 ? Math.round(total / weightSum) : null;
+    }
+
+    getDifficultyLevel(score) {
+        return this.difficultyLevels.find(level => score >= level.min) || this.difficultyLevels[this.difficultyLevels.length - 1];
+    }
+
+    createDifficultyBadge(artifact) {
+        if (artifact.difficultyScore === null || artifact.difficultyScore === undefined) {
+            return '<span class="artifact-badge difficulty-badge">🎯 Difficulty unknown</span>';
+        }
+
+        const level = this.getDifficultyLevel(artifact.difficultyScore);
+        const { isolation, eraRarity, obscurity, imageQuality } = artifact.difficultyComponents;
+        const format = value => value === null ? 'n/a' : `${value}/100`;
+        const nearest = artifact.nearestArtifactKm !== undefined && artifact.nearestArtifactKm !== Infinity
+            ? ` (nearest artifact ${Math.round(artifact.nearestArtifactKm)} km)`
+            : '';
+        const breakdown = `Isolation: ${format(isolation)}${nearest}, Era rarity: ${format(eraRarity)}, ` +
+            `Obscurity: ${format(obscurity)}, Image difficulty: ${format(imageQuality)}`;
+
+        return `<span class="artifact-badge difficulty-badge ${level.className}" title="${this.escapeHtml(breakdown)}">🎯 ${level.label} (${artifact.difficultyScore})</span>`;
+    }
+
+    calculateTextStats() {
+        this.artifacts.forEach(artifact => {
+            artifact.textStats = this.analyzeDescriptionText(artifact);
+        });
+        this.calculateDescriptionKeywords();
+    }
+
+    analyzeDescriptionText(artifact) {
+        const text = typeof artifact.description === 'string' ? artifact.description.trim() : '';
+        const words = text.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || [];
+        const sentenceCount = words.length > 0
+            ? Math.max(1, text.split(/[.!?]+(?=\s|$)/).filter(sentence => sentence.trim()).length)
+            : 0;
+
+        // Flesch reading ease, clamped to 0-100 (higher reads more easily)
+        let readability = null;
+        if (words.length > 0) {
+            const syllables = words.reduce((sum, word) => sum + this.countSyllables(word), 0);
+            const score = 206.835 - 1.015 * (words.length / sentenceCount) - 84.6 * (syllables / words.length);
+            readability = Math.round(Math.max(0, Math.min(100, score)));
+        }
+
+        const places = this.extractPlaceMentions(text);
+        const dates = this.extractDateMentions(text);
+        const spoiler = this.assessSpoilerRisk(artifact, places, dates);
+
+        return {
+            wordCount: words.length,
+            sentenceCount,
+            readability,
+            places,
+            dates,
+            spoilerRisk: spoiler.risk,
+            spoilerScore: spoiler.score,
+            spoilerReasons: spoiler.reasons
+        };
+    }
+
+    countSyllables(word) {
+        const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+        if (!letters) return 1;
+        if (letters.length <= 3) return 1;
+
+        // Drop silent endings, then count vowel groups
+        const trimmed = letters.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+        const groups = trimmed.match(/[aeiouy]{1,2}/g);
+        return groups ? groups.length : 1;
+    }
+
+    getPlaceGazetteer() {
+        if (this.placeGazetteer) return this.placeGazetteer;
+
+        const entries = new Map();
+        const addEntry = (name, kind, place) => {
+            if (name && !entries.has(name)) {
+                entries.set(name, { kind, place });
+            }
+        };
+
+        // Country names come from the browser's own region list
+        try {
+            const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+            for (let first = 65; first <= 90; first++) {
+                for (let second = 65; second <= 90; second++) {
+                    const code = String.fromCharCode(first, second);
+                    let name;
+                    try {
+                        name = regionNames.of(code);
+                    } catch (error) {
+                        continue;
+                    }
+                    if (!name || name === code || /Unknown|Pseudo|Outlying|Union|Nations|Eurozone/.test(name)) continue;
+
+                    // "Myanmar (Burma)", "Congo - Kinshasa", "Hong Kong SAR China"
+                    name.replace(/\s*\(.*\)|\s+-\s+.*| SAR China$/g, '')
+                        .split(' & ')
+                        .forEach(part => addEntry(part.trim(), 'country', part.trim()));
+                }
+            }
+        } catch (error) {
+            console.warn('Region names not available for place detection:', error);
+        }
+
+        this.knownPlaceNames.forEach(name => addEntry(name, 'place', name));
+        Object.entries(this.placeDemonyms).forEach(([demonym, place]) => addEntry(demonym, 'demonym', place));
+
+        // Longest names first so "North America" wins over "America"
+        const names = Array.from(entries.keys()).sort((a, b) => b.length - a.length);
+        const escaped = names.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        this.placeGazetteer = {
+            entries,
+            pattern: new RegExp(`(?<![\\p{L}])(?:${escaped.join('|')})(?![\\p{L}])`, 'gu')
+        };
+        return this.placeGazetteer;
+    }
+
+    extractPlaceMentions(text) {
+        if (!text) return [];
+
+        const gazetteer = this.getPlaceGazetteer();
+        const mentions = [];
+        const taken = [];
+
+        gazetteer.pattern.lastIndex = 0;
+        for (const match of text.matchAll(gazetteer.pattern)) {
+            const entry = gazetteer.entries.get(match[0]);
+            mentions.push({ text: match[0], kind: entry.kind, place: entry.place, index: match.index });
+            taken.push([match.index, match.index + match[0].length]);
+        }
+
+        // Capitalised names after a locative preposition are probably places too
+        const locative = /\b(?:[Ii]n|[Aa]t|[Nn]ear|[Ff]rom|[Oo]utside)\s+((?:the\s+)?[A-Z][\p{L}'’-]+(?:\s+(?:[A-Z][\p{L}'’-]+|de|del|la|of)){0,3})/gu;
+        const notPlaces = /^(?:January|February|March|April|May|June|July|August|September|October|November|December|The|This|That|These|Those|Its|His|Her|Their)$|\sAge$/;
+        for (const match of text.matchAll(locative)) {
+            const name = match[1].replace(/^the\s+/, '').replace(/\s+(?:de|del|la|of)$/, '').replace(/['’]s$/, '');
+            const start = match.index + match[0].length - match[1].length;
+            const end = start + match[1].length;
+            if (notPlaces.test(name) || taken.some(([from, to]) => start < to && end > from)) continue;
+
+            mentions.push({ text: name, kind: 'guessed', place: name, index: start });
+        }
+
+        return mentions.sort((a, b) => a.index - b.index);
+    }
+
+    extractDateMentions(text) {
+        if (!text) return [];
+
+        const mentions = [];
+        const taken = [];
+        const currentYear = new Date().getFullYear();
+        const isBce = era => /^B/i.test(era || '');
+        const addMention = (match, kind, start, end) => {
+            const from = match.index;
+            const to = from + match[0].length;
+            if (taken.some(([takenFrom, takenTo]) => from < takenTo && to > takenFrom)) return;
+            taken.push([from, to]);
+            mentions.push({ text: match[0].trim(), kind, start: Math.min(start, end), end: Math.max(start, end), index: from });
+        };
+
+        const ordinals = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth',
+            'eleventh', 'twelfth', 'thirteenth', 'fourteenth', 'fifteenth', 'sixteenth', 'seventeenth', 'eighteenth',
+            'nineteenth', 'twentieth', 'twenty-first'];
+        const era = '(?:\\s*(BCE|BC|B\\.C\\.|CE|AD|A\\.D\\.)(?![\\p{L}]))?';
+        const parseOrdinal = value => /^\d/.test(value) ? parseInt(value, 10) : ordinals.indexOf(value.toLowerCase()) + 1;
+
+        // "14th century", "fifth century BC", "3rd millennium BCE"
+        const periodPattern = new RegExp(`\\b(\\d{1,2}(?:st|nd|rd|th)|${[...ordinals].reverse().join('|')})[\\s-]+(century|centuries|millennium|millennia)${era}`, 'giu');
+        for (const match of text.matchAll(periodPattern)) {
+            const number = parseOrdinal(match[1]);
+            const span = /^centur/i.test(match[2]) ? 100 : 1000;
+            if (isBce(match[3])) {
+                addMention(match, span === 100 ? 'century' : 'millennium', -number * span, -(number - 1) * span - 1);
+            } else {
+                addMention(match, span === 100 ? 'century' : 'millennium', (number - 1) * span + 1, number * span);
+            }
+        }
+
+        // "2,000 years old", "500 years ago"
+        for (const match of text.matchAll(/\b(\d{1,3}(?:,\d{3})+|\d+)[\s-]+years?[\s-]+(?:old|ago)\b/gi)) {
+            const age = parseInt(match[1].replace(/,/g, ''), 10);
+            addMention(match, 'relative', currentYear - age, currentYear - age);
+        }
+
+        // "AD 79", "1200 BC", "10,000 BCE"
+        for (const match of text.matchAll(/\b(?:(AD|CE)\s+(\d{1,4})|(\d{1,3}(?:,\d{3})+|\d{1,5})\s*(BCE|BC|B\.C\.|CE|AD|A\.D\.)(?![\p{L}]))/gu)) {
+            const value = parseInt((match[2] || match[3]).replace(/,/g, ''), 10);
+            const year = isBce(match[4]) ? -value : value;
+            addMention(match, 'year', year, year);
+        }
+
+        // "1960s" and "1900s"
+        for (const match of text.matchAll(/\b(\d{2,3})0s\b/g)) {
+            const decade = parseInt(match[1], 10) * 10;
+            const span = decade % 100 === 0 ? 100 : 10;
+            addMention(match, span === 100 ? 'century' : 'decade', decade, decade + span - 1);
+        }
+
+        // Bare years, leaving out measurements, prices and list numbers
+        // Three-digit numbers are usually counts unless something marks them as a year
+        const units = /^\s*-?\s*(?:%|km|cm|mm|m|kg|g|lbs?|ft|feet|foot|inch(?:es)?|meters?|metres?|miles?|tons?|tonnes?|pounds?|people|pieces|pages|years?|copies|men|soldiers|made|built|sold)\b/i;
+        const yearCue = /(?:\b(?:in|c\.|ca\.|circa|around|about|by|since|until|from|to|year)|–|-)\s*$/i;
+        for (const match of text.matchAll(/(?<![\d,.$£€#])\b(\d{3,4})\b(?![,.]\d)/g)) {
+            const year = parseInt(match[1], 10);
+            if (year < 100 || year > currentYear) continue;
+            if (units.test(text.slice(match.index + match[0].length))) continue;
+            if (match[1].length === 3 && !yearCue.test(text.slice(0, match.index))) continue;
+            addMention(match, 'year', year, year);
+        }
+
+        return mentions.sort((a, b) => a.index - b.index);
+    }
+
+    assessSpoilerRisk(artifact, places, dates) {
+        // Strong clues answer the round on their own; weak ones narrow it down
+        const reasons = [];
+        let strong = 0;
+        let weak = 0;
+
+        places.forEach(place => {
+            if (place.kind === 'country' || place.kind === 'place') {
+                strong++;
+                reasons.push(`Names a place: ${place.text}`);
+            } else {
+                weak++;
+                reasons.push(place.kind === 'demonym'
+                    ? `Hints at a place: ${place.text} (${place.place})`
+                    : `Possible place name: ${place.text}`);
+            }
+        });
+
+        const hasYear = artifact.year !== null && artifact.year !== undefined && !isNaN(artifact.year);
+        dates.forEach(date => {
+            const close = hasYear &&
+                artifact.year >= date.start - this.spoilerYearTolerance &&
+                artifact.year <= date.end + this.spoilerYearTolerance;
+            if (close) {
+                strong++;
+                reasons.push(`Gives away the date: ${date.text}`);
+            } else {
+                weak++;
+                reasons.push(`Mentions a date: ${date.text}`);
+            }
+        });
+
+        const risk = strong > 0 ? 'high' : weak > 0 ? 'medium' : 'low';
+        return { risk, score: strong * 2 + weak, reasons };
+    }
+
+    calculateDescriptionKeywords() {
+        // Document frequency: how many descriptions use each word at least once
+        const counts = new Map();
+        this.artifacts.forEach(artifact => {
+            if (typeof artifact.description !== 'string') return;
+            const words = new Set((artifact.description.toLowerCase().match(/[\p{L}][\p{L}'’-]*/gu) || [])
+                .map(word => word.replace(/['’-]+$/, ''))
+                .filter(word => word.length >= 3 && !this.keywordStopwords.has(word)));
+            words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+        });
+
+        this.descriptionKeywords = Array.from(counts.entries())
+            .map(([keyword, count]) => ({ keyword, count }))
+            .sort((a, b) => b.count - a.count || a.keyword.localeCompare(b.keyword))
+            .slice(0, this.keywordLimit);
+    }
+
+    getSpoilerRiskLabel(risk) {
+        const level = this.spoilerRiskLevels.find(entry => entry.key === risk);
+        return level ? level.label : 'Unknown';
+    }
+
+    createSpoilerBadge(artifact) {
+        const stats = artifact.textStats;
+        if (!stats || stats.spoilerRisk === 'low') return '';
+
+        const title = stats.spoilerReasons.join('; ');
+        return `<span class="artifact-badge spoiler-badge spoiler-${stats.spoilerRisk}" title="${this.escapeHtml(title)}">🙈 ${this.getSpoilerRiskLabel(stats.spoilerRisk)} spoiler risk</span>`;
+    }
+
+    createPlayabilityBadge(artifact) {
+        if (artifact.isPlayable === true) {
+            return '<span class="artifact-badge badge-playable">🎮 Playable</span>';
+        } else if (artifact.isPlayable === false) {
+            return '<span class="artifact-badge badge-non-playable">🚫 Non-Playable</span>';
+        } else {
+            return '<span class="artifact-badge">❓ Unknown</span>';
+        }
+    }
+
+    createLicenseBadge(license) {
+        return license !== 'No License' ? 
+            `<span class="artifact-badge">⚖️ ${this.escapeHtml(license)}</span>` :
+            '<span class="artifact-badge badge-no-license">⚖️ No License</span>';
+    }
+
+    createAuthorElement(artifact, author) {
+        return artifact.authorLink && this.isValidUrl(artifact.authorLink) ? 
+            `<a href="${this.escapeHtml(artifact.authorLink)}" target="_blank" rel="noopener noreferrer" class="author-link" title="Visit author's page">${this.escapeHtml(author)}</a>` :
+            this.escapeHtml(author);
+    }
+
+    generateSafeId(artifact) {
+        return (artifact.id || artifact.title || 'unknown')
+            .replace(/[^a-zA-Z0-9]/g, '_')
+            .substring(0, 50);
+    }
+
+    isValidCoordinates(lat, lng) {
+        return typeof lat === 'number' && typeof lng === 'number' &&
+               !isNaN(lat) && !isNaN(lng) &&
+               lat >= -90 && lat <= 90 &&
+               lng >= -180 && lng <= 180;
+    }
+
+    isValidUrl(url) {
+        // Only web addresses: these values end up in links, and lists can come from anywhere via ?data=
+        try {
+            const { protocol } = new URL(url);
+            return protocol === 'http:' || protocol === 'https:';
+        } catch {
+            return false;
+        }
+    }
+
+    initMiniMap(artifact, containerId) {
+        try {
+            const container = document.getElementById(containerId);
+            if (!container || container.querySelector('.leaflet-container')) return;
+
+            const miniMap = L.map(containerId, {
+                zoomControl: false,
+                scrollWheelZoom: false,
+                doubleClickZoom: false,
+                boxZoom: false,
+                keyboard: false,
+                dragging: false,
+                tap: false,
+                touchZoom: false
+            }).setView([artifact.lat, artifact.lng], 8);
+
+            L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Street_Map/MapServer/tile/{z}/{y}/{x}', {
+                attribution: '',
+                maxZoom: 18
+            }).addTo(miniMap);
+
+            const marker = L.marker([artifact.lat, artifact.lng], {
+                icon: this.createMarkerIcon(this.getMarkerColor(artifact))
+            }).addTo(miniMap);
+
+            container.style.cursor = 'pointer';
+            container.addEventListener('click', () => {
+                if (this.map) {
+                    this.map.setView([artifact.lat, artifact.lng], 10);
+                    document.getElementById('map')?.scrollIntoView({ behavior: 'smooth' });
+                }
+            });
+
+            container.setAttribute('tabindex', '0');
+            container.setAttribute('role', 'button');
+            container.setAttribute('aria-label', `View ${artifact.title} location on main map`);
+            
+            container.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    container.click();
+                }
+            });
+
+        } catch (error) {
+            console.error('Error initializing mini-map:', error);
+            const container = document.getElementById(containerId);
+            if (container) {
+                container.innerHTML = '<div class="mini-map-unavailable">🌍 Map unavailable</div>';
+            }
+        }
+    }
+
+    setupEditorControls() {
+        const undoBtn = document.getElementById('undoEditBtn');
+        const revertBtn = document.getElementById('revertEditsBtn');
+        const exportBtn = document.getElementById('exportArtifactsBtn');
+
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => this.undoLastEdit());
+        }
+        if (revertBtn) {
+            revertBtn.addEventListener('click', () => {
+                if (confirm('Revert every pending edit back to the loaded data?')) {
+                    this.revertAllEdits();
+                }
+            });
+        }
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportArtifactList());
+        }
+    }
+
+    createArtifactEditForm(artifact) {
+        const safeId = this.generateSafeId(artifact);
+        const licenseOptions = this.licenseStats
+            .filter(({ license }) => license !== 'No License')
+            .map(({ license }) => `<option value="${this.escapeHtml(license)}"></option>`)
+            .join('');
+        const valueOf = value => value === null || value === undefined ? '' : this.escapeHtml(String(value));
+
+        return `
+            <form class="artifact-edit-form" novalidate>
+                <div class="edit-field edit-field-wide">
+                    <label for="edit-title-${safeId}">Title</label>
+                    <input type="text" id="edit-title-${safeId}" name="title" class="filter-input" value="${valueOf(artifact.title)}" required>
+                </div>
+                <div class="edit-field edit-field-wide">
+                    <label for="edit-description-${safeId}">Description</label>
+                    <textarea id="edit-description-${safeId}" name="description" class="filter-input" rows="3">${valueOf(artifact.description)}</textarea>
+                </div>
+                <div class="edit-field">
+                    <label for="edit-year-${safeId}">Year (negative = BCE)</label>
+                    <input type="number" id="edit-year-${safeId}" name="year" class="filter-input" step="1" value="${valueOf(artifact.year)}">
+                </div>
+                <div class="edit-field">
+                    <label for="edit-license-${safeId}">License</label>
+                    <input type="text" id="edit-license-${safeId}" name="license" class="filter-input" list="edit-licenses-${safeId}" value="${valueOf(artifact.license)}">
+                    <datalist id="edit-licenses-${safeId}">${licenseOptions}</datalist>
+                </div>
+                <div class="edit-field">
+                    <label for="edit-author-${safeId}">Author</label>
+                    <input type="text" id="edit-author-${safeId}" name="author" class="filter-input" value="${valueOf(artifact.author)}">
+                </div>
+                <div class="edit-field">
+                    <label for="edit-authorLink-${safeId}">Author Link</label>
+                    <input type="url" id="edit-authorLink-${safeId}" name="authorLink" class="filter-input" value="${valueOf(artifact.authorLink)}">
+                </div>
+                <div class="edit-field">
+                    <label for="edit-lat-${safeId}">Latitude</label>
+                    <input type="number" id="edit-lat-${safeId}" name="lat" class="filter-input" step="any" min="-90" max="90" value="${valueOf(artifact.lat)}">
+                </div>
+                <div class="edit-field">
+                    <label for="edit-lng-${safeId}">Longitude</label>
+                    <input type="number" id="edit-lng-${safeId}" name="lng" class="filter-input" step="any" min="-180" max="180" value="${valueOf(artifact.lng)}">
+                </div>
+                <div class="edit-field edit-field-wide edit-checkbox">
+                    <input type="checkbox" id="edit-isPlayable-${safeId}" name="isPlayable" ${artifact.isPlayable === true ? 'checked' : ''}>
+                    <label for="edit-isPlayable-${safeId}">Playable</label>
+                </div>
+                <div class="edit-field edit-field-wide">
+                    <span class="edit-map-hint">Drag the marker or click the map to set the location</span>
+                    <div class="edit-map" id="editMap-${safeId}"></div>
+                </div>
+                <div class="edit-error" role="alert"></div>
+                <div class="edit-actions">
+                    <button type="submit" class="sort-reset-btn">Save Changes</button>
+                    <button type="button" class="sort-reset-btn edit-cancel-btn">Cancel</button>
+                </div>
+            </form>
+        `;
+    }
+
+    openArtifactEditor(card, artifact) {
+        if (card.querySelector('.artifact-edit-form')) return;
+
+        card.classList.add('is-editing');
+        card.insertAdjacentHTML('beforeend', this.createArtifactEditForm(artifact));
+
+        const form = card.querySelector('.artifact-edit-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveArtifactEdit(card, artifact, form);
+        });
+        form.querySelector('.edit-cancel-btn').addEventListener('click', () => {
+            this.closeArtifactEditor(card, artifact);
+        });
+
+        this.initEditMap(artifact, form);
+        form.querySelector('[name="title"]').focus();
+    }
+
+    initEditMap(artifact, form) {
+        const containerId = `editMap-${this.generateSafeId(artifact)}`;
+        const latInput = form.querySelector('[name="lat"]');
+        const lngInput = form.querySelector('[name="lng"]');
+        const hasLocation = this.isValidCoordinates(artifact.lat, artifact.lng);
+        const start = hasLocation ? [artifact.lat, artifact.lng] : [30, 0];
+
+        try {
+            const editMap = L.map(containerId, { scrollWheelZoom: false }).setView(start, hasLocation ? 6 : 2);
+
+            L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Street_Map/MapServer/tile/{z}/{y}/{x}', {
+                attribution: '',
+                maxZoom: 18
+            }).addTo(editMap);
+
+            const marker = L.marker(start, { draggable: true }).addTo(editMap);
+            const setInputs = ({ lat, lng }) => {
+                latInput.value = lat.toFixed(5);
+                lngInput.value = lng.toFixed(5);
+            };
+
+            marker.on('dragend', () => setInputs(marker.getLatLng()));
+            editMap.on('click', (e) => {
+                marker.setLatLng(e.latlng);
+                setInputs(e.latlng);
+            });
+
+            // Typed coordinates move the marker too
+            [latInput, lngInput].forEach(input => {
+                input.addEventListener('change', () => {
+                    const lat = parseFloat(latInput.value);
+                    const lng = parseFloat(lngInput.value);
+                    if (this.isValidCoordinates(lat, lng)) {
+                        marker.setLatLng([lat, lng]);
+                        editMap.panTo([lat, lng]);
+                    }
+                });
+            });
+
+            this.editMaps.set(artifact.id, editMap);
+        } catch (error) {
+            console.error('Error initializing edit map:', error);
+            const container = document.getElementById(containerId);
+            if (container) {
+                container.innerHTML = '<div class="mini-map-unavailable">🌍 Map unavailable</div>';
+            }
+        }
+    }
+
+    closeArtifactEditor(card, artifact) {
+        const editMap = this.editMaps.get(artifact.id);
+        if (editMap) {
+            editMap.remove();
+            this.editMaps.delete(artifact.id);
+        }
+        card.querySelector('.artifact-edit-form')?.remove();
+        card.classList.remove('is-editing');
+    }
+
+    readArtifactEditForm(form) {
+        const text = name => form.querySelector(`[name="${name}"]`).value.trim();
+        const values = {
+            title: text('title'),
+            description: text('description'),
+            author: text('author') || null,
+            authorLink: text('authorLink') || null,
+            license: text('license') || null,
+            isPlayable: form.querySelector('[name="isPlayable"]').checked
+        };
+
+        const year = text('year');
+        if (year !== '' && !/^-?\d+$/.test(year)) {
+            throw new Error('Year must be a whole number');
+        }
+        values.year = year === '' ? null : parseInt(year, 10);
+
+        const lat = text('lat');
+        const lng = text('lng');
+        values.lat = lat === '' ? null : parseFloat(lat);
+        values.lng = lng === '' ? null : parseFloat(lng);
+        if ((values.lat !== null || values.lng !== null) && !this.isValidCoordinates(values.lat, values.lng)) {
+            throw new Error('Latitude must be between -90 and 90 and longitude between -180 and 180');
+        }
+
+        if (!values.title) {
+            throw new Error('Title cannot be empty');
+        }
+        if (values.authorLink && !this.isValidUrl(values.authorLink)) {
+            throw new Error('Author link must be a valid http(s) URL');
+        }
+
+        return values;
+    }
+
+    saveArtifactEdit(card, artifact, form) {
+        const errorElement = form.querySelector('.edit-error');
+
+        let values;
+        try {
+            values = this.readArtifactEditForm(form);
+        } catch (error) {
+            if (errorElement) errorElement.textContent = error.message;
+            return;
+        }
+
+        const changes = this.editableFields
+            .filter(field => !Object.is(this.normalizeEditValue(values[field]), this.normalizeEditValue(artifact[field])))
+            .map(field => ({ field, from: artifact[field], to: values[field] }));
+
+        this.closeArtifactEditor(card, artifact);
+        if (changes.length === 0) return;
+
+        this.applyArtifactChanges(artifact, changes, 'to');
+        this.editHistory.push({ artifact, changes });
+        this.refreshAfterEdit([artifact]);
+    }
+
+    normalizeEditValue(value) {
+        // The editor trims what it reads, so surrounding whitespace is not a change,
+        // and missing and blank values are the same thing as far as edits are concerned
+        const normalized = typeof value === 'string' ? value.trim() : value;
+        return normalized === undefined || normalized === '' ? null : normalized;
+    }
+
+    applyArtifactChanges(artifact, changes, direction) {
+        changes.forEach(change => {
+            artifact[change.field] = change[direction];
+        });
+        artifact.descriptionLength = this.getStringLength(artifact.description);
+        artifact.titleLength = this.getStringLength(artifact.title);
+    }
+
+    undoLastEdit() {
+        const entry = this.editHistory.pop();
+        if (!entry) return;
+
+        this.applyArtifactChanges(entry.artifact, entry.changes, 'from');
+        this.refreshAfterEdit([entry.artifact]);
+    }
+
+    revertAllEdits() {
+        const changedArtifacts = this.artifacts.filter(artifact => this.getArtifactChanges(artifact).length > 0);
+
+        changedArtifacts.forEach(artifact => {
+            const changes = this.getArtifactChanges(artifact)
+                .map(({ field, original }) => ({ field, from: original }));
+            this.applyArtifactChanges(artifact, changes, 'from');
+        });
+
+        this.editHistory = [];
+        this.refreshAfterEdit(changedArtifacts);
+    }
+
+    getOriginalArtifact(artifact) {
+        return this.originalArtifacts[this.artifacts.indexOf(artifact)] || {};
+    }
+
+    getArtifactChanges(artifact) {
+        const original = this.getOriginalArtifact(artifact);
+        return this.editableFields
+            .filter(field => !Object.is(this.normalizeEditValue(original[field]), this.normalizeEditValue(artifact[field])))
+            .map(field => ({ field, original: original[field], current: artifact[field] }));
+    }
+
+    refreshAfterEdit(editedArtifacts) {
+        // Recompute everything derived from the edited fields
+        this.calculateBasicStats();
+        this.updateImageQualityStats();
+        this.calculateAuthorStats();
+        this.calculateLicenseStats();
+        this.calculatePlayabilityStats();
+        this.calculateYearRange();
+        this.createSortedArrays();
+        this.calculateDifficultyScores();
+        this.calculateTextStats();
+
+        this.displayStatistics();
+        this.displayLists();
+        this.updateImageQualityListsProgressive();
+        this.displayLicenses();
+        this.checkLicenseCompliance();
+        this.displayLicenseCompliance();
+        this.displayAuthors();
+        this.displayTextAnalytics();
+        this.displayNonPlayableArtifacts();
+        this.validateArtifacts();
+        this.displayValidationIssues();
+        this.displayDuplicates();
+        this.assignArtifactRegions(editedArtifacts);
+        this.checkDescriptionConsistency();
+        this.displayConsistencyIssues();
+        this.calculateRegionStats();
+        this.displayGeographicCoverage();
+        this.updateFacetCounts();
+        this.renderMapMarkers();
+        this.drawCharts();
+        this.populateSimulatorArtifacts();
+        this.updateSimulator();
+        if (this.comparisonDataset) {
+            this.calculateDatasetDiff();
+            this.displayDatasetDiff();
+        }
+
+        editedArtifacts.forEach(artifact => this.replaceArtifactCard(artifact));
+        this.displayPendingChanges();
+    }
+
+    replaceArtifactCard(artifact) {
+        const card = document.querySelector(`.full-artifact-card[data-artifact-id="${CSS.escape(artifact.id)}"]`);
+        if (!card) return;
+
+        if (card.classList.contains('is-editing')) {
+            this.closeArtifactEditor(card, artifact);
+        }
+        card.replaceWith(this.createFullArtifactCard(artifact));
+    }
+
+    displayPendingChanges() {
+        const container = document.getElementById('pendingChangesList');
+        const undoBtn = document.getElementById('undoEditBtn');
+        const revertBtn = document.getElementById('revertEditsBtn');
+        if (!container) return;
+
+        const changedArtifacts = this.artifacts
+            .map(artifact => ({ artifact, changes: this.getArtifactChanges(artifact) }))
+            .filter(({ changes }) => changes.length > 0);
+
+        if (undoBtn) undoBtn.disabled = this.editHistory.length === 0;
+        if (revertBtn) revertBtn.disabled = changedArtifacts.length === 0;
+
+        if (changedArtifacts.length === 0) {
+            container.innerHTML = '<div class="pending-changes-empty">No pending changes. Use the Edit button on any artifact card to correct its data.</div>';
+            return;
+        }
+
+        const formatValue = value => value === null || value === undefined || value === ''
+            ? '<em>empty</em>'
+            : this.escapeHtml(String(value));
+
+        container.innerHTML = changedArtifacts.map(({ artifact, changes }) => `
+            <div class="pending-change">
+                <div class="pending-change-title">${this.escapeHtml(artifact.title || 'Untitled artifact')}</div>
+                ${changes.map(change => `
+                    <div class="pending-change-row">
+                        <span class="pending-change-field">${change.field}</span>
+                        <del>${formatValue(change.original)}</del>
+                        <span aria-hidden="true">→</span>
+                        <ins>${formatValue(change.current)}</ins>
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+
+    toExportRecord(artifact) {
+        // Keep the key order of the loaded file and drop computed properties
+        const original = this.getOriginalArtifact(artifact);
+        const keys = [...Object.keys(original), ...this.artifactSchemaFields.filter(field => !(field in original))];
+
+        return keys.reduce((record, key) => {
+            record[key] = artifact[key] === undefined ? null : artifact[key];
+            return record;
+        }, {});
+    }
+
+    exportArtifactList() {
+        const data = { artifacts: this.artifacts.map(artifact => this.toExportRecord(artifact)) };
+        this.downloadFile('artifactList.json', JSON.stringify(data, null, 2) + '\n', 'application/json');
+    }
+
+    setupDatasetCompareControls() {
+        const fileInput = document.getElementById('compareFileInput');
+        const dropZone = document.getElementById('compareDropZone');
+        const urlInput = document.getElementById('compareUrlInput');
+        const loadUrlBtn = document.getElementById('compareLoadUrlBtn');
+        const clearBtn = document.getElementById('compareClearBtn');
+        const viewSelect = document.getElementById('compareViewSelect');
+
+        if (fileInput) {
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files.length > 0) {
+                    this.loadComparisonFile(fileInput.files[0]);
+                }
+                // Allow picking the same file again after changing it on disk
+                fileInput.value = '';
+            });
+        }
+
+        if (dropZone) {
+            dropZone.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                dropZone.classList.add('is-dragging');
+            });
+            dropZone.addEventListener('dragleave', () => dropZone.classList.remove('is-dragging'));
+            dropZone.addEventListener('drop', (e) => {
+                e.preventDefault();
+                dropZone.classList.remove('is-dragging');
+                const file = e.dataTransfer.files[0];
+                if (file) {
+                    this.loadComparisonFile(file);
+                }
+            });
+        }
+
+        if (loadUrlBtn && urlInput) {
+            const loadFromInput = () => {
+                const url = urlInput.value.trim();
+                if (url) {
+                    this.loadComparisonUrl(url);
+                }
+            };
+            loadUrlBtn.addEventListener('click', loadFromInput);
+            urlInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') loadFromInput();
+            });
+        }
+
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.comparisonDataset = null;
+                this.datasetDiff = null;
+                this.displayDatasetDiff();
+            });
+        }
+
+        if (viewSelect) {
+            viewSelect.addEventListener('change', (e) => {
+                this.compareView = e.target.value;
+                this.displayDatasetDiff();
+            });
+        }
+    }
+
+    async loadComparisonFile(file) {
+        this.setCompareStatus(`Reading ${file.name}...`);
+        try {
+            const source = await this.readDataSourceFile(file);
+            this.setComparisonDataset(file.name, this.getArtifactsFromSource(source));
+        } catch (error) {
+            console.error('Error loading comparison dataset:', error);
+            this.setCompareStatus(`Could not load ${file.name}: ${error.message}`, true);
+        }
+    }
+
+    async loadComparisonUrl(url) {
+        this.setCompareStatus(`Fetching ${url}...`);
+        try {
+            const source = await this.fetchDataSource(url);
+            this.setComparisonDataset(url, this.getArtifactsFromSource(source));
+        } catch (error) {
+            console.error('Error loading comparison dataset:', error);
+            this.setCompareStatus(`Could not load ${url}: ${error.message}`, true);
+        }
+    }
+
+    setCompareStatus(message, isError = false) {
+        const status = document.getElementById('compareStatus');
+        if (!status) return;
+
+        status.textContent = message;
+        status.classList.toggle('compare-status-error', isError);
+    }
+
+    setComparisonDataset(name, artifacts) {
+        // Work on copies coerced the same way as the loaded data; image scores
+        // come from the quality cache, since the other version is not analyzed
+        const copies = artifacts.map(artifact => {
+            const copy = { ...artifact };
+            if (typeof copy.year === 'string') {
+                copy.year = parseInt(copy.year, 10);
+            }
+            if (copy.year !== null && copy.year !== undefined && isNaN(copy.year)) {
+                copy.year = null;
+            }
+            copy.imageQualityScore = 0;
+            const cached = copy.image ? this.imageQualityCache.get(copy.image) : null;
+            if (cached) {
+                this.applyCachedImageQuality(copy, cached);
+            }
+            return copy;
+        });
+
+        this.comparisonDataset = { name, artifacts: copies, raw: artifacts };
+        this.calculateDatasetDiff();
+        this.displayDatasetDiff();
+    }
+
+    getDatasetSummary(artifacts) {
+        const average = values => values.length > 0
+            ? values.reduce((sum, value) => sum + value, 0) / values.length
+            : 0;
+        const years = artifacts
+            .map(artifact => artifact.year)
+            .filter(year => year !== null && year !== undefined && !isNaN(year));
+        const qualityScores = artifacts
+            .map(artifact => artifact.imageQualityScore)
+            .filter(score => score > 0);
+        const licenseCounts = new Map();
+        const yearBuckets = new Array(this.timeframeBoundaries.length - 1).fill(0);
+
+        artifacts.forEach(artifact => {
+            const license = this.normalizeLicense(artifact.license, artifact.author);
+            licenseCounts.set(license, (licenseCounts.get(license) || 0) + 1);
+            const bucket = this.getTimeframeIndex(artifact.year);
+            if (bucket !== -1) {
+                yearBuckets[bucket]++;
+            }
+        });
+
+        return {
+            totalCount: artifacts.length,
+            averageTitleLength: average(artifacts.map(artifact => this.getStringLength(artifact.title))),
+            averageLength: average(artifacts.map(artifact => this.getStringLength(artifact.description))),
+            averageImageQuality: qualityScores.length > 0 ? average(qualityScores) : null,
+            qualityScoredCount: qualityScores.length,
+            uniqueLicenses: licenseCounts.size,
+            yearMin: years.length > 0 ? Math.min(...years) : null,
+            yearMax: years.length > 0 ? Math.max(...years) : null,
+            playableCount: artifacts.filter(artifact => artifact.isPlayable === true).length,
+            nonPlayableCount: artifacts.filter(artifact => artifact.isPlayable === false).length,
+            licenseCounts,
+            yearBuckets
+        };
+    }
+
+    calculateDatasetDiff() {
+        if (!this.comparisonDataset) {
+            this.datasetDiff = null;
+            return;
+        }
+
+        const other = this.comparisonDataset.artifacts;
+        const isEmpty = value => value === null || value === undefined || value === '';
+        const sameValue = (a, b) => (isEmpty(a) && isEmpty(b)) ||
+            Object.is(a, b) ||
+            (typeof a === 'object' && typeof b === 'object' && JSON.stringify(a) === JSON.stringify(b));
+
+        // Pair artifacts by image first, which contributors rarely change,
+        // then by title for entries whose image was swapped
+        const unmatched = new Set(this.artifacts);
+        const pairs = [];
+        const added = [];
+        const pending = [];
+        other.forEach((candidate, otherIndex) => {
+            const match = candidate.image
+                ? this.artifacts.find(artifact => unmatched.has(artifact) && artifact.image === candidate.image)
+                : null;
+            if (match) {
+                unmatched.delete(match);
+                pairs.push({ artifact: match, other: candidate, otherIndex });
+            } else {
+                pending.push({ candidate, otherIndex });
+            }
+        });
+        const titleKey = artifact => this.getStringLength(artifact.title) ? artifact.title.trim().toLowerCase() : null;
+        pending.forEach(({ candidate, otherIndex }) => {
+            const key = titleKey(candidate);
+            const match = key ? this.artifacts.find(artifact => unmatched.has(artifact) && titleKey(artifact) === key) : null;
+            if (match) {
+                unmatched.delete(match);
+                pairs.push({ artifact: match, other: candidate, otherIndex });
+            } else {
+                added.push({ artifact: candidate, index: otherIndex });
+            }
+        });
+
+        const modified = [];
+        pairs.forEach(({ artifact, other: candidate, otherIndex }) => {
+            // Compare the fields of the data files, not the computed ones
+            const raw = this.comparisonDataset.raw[otherIndex];
+            const fields = [...new Set([...Object.keys(this.getOriginalArtifact(artifact)), ...Object.keys(raw)])];
+            const changes = fields
+                .filter(field => !sameValue(artifact[field], candidate[field]))
+                .map(field => ({ field, from: artifact[field], to: candidate[field] }));
+            if (changes.length > 0) {
+                modified.push({ artifact, other: candidate, index: this.artifacts.indexOf(artifact), changes });
+            }
+        });
+
+        const removed = this.artifacts
+            .filter(artifact => unmatched.has(artifact))
+            .map(artifact => ({ artifact, index: this.artifacts.indexOf(artifact) }));
+
+        this.datasetDiff = {
+            added,
+            removed,
+            modified: modified.sort((a, b) => a.index - b.index),
+            unchangedCount: pairs.length - modified.length,
+            current: this.getDatasetSummary(this.artifacts),
+            comparison: this.getDatasetSummary(other)
+        };
+    }
+
+    displayDatasetDiff() {
+        const summary = document.getElementById('compareSummary');
+        const statsTable = document.getElementById('compareStatsTable');
+        const licenseTable = document.getElementById('compareLicenseTable');
+        const yearTable = document.getElementById('compareYearTable');
+        const changesList = document.getElementById('compareChangesList');
+        if (!summary || !statsTable || !licenseTable || !yearTable || !changesList) return;
+
+        const diff = this.datasetDiff;
+        if (!diff) {
+            summary.innerHTML = '<div class="loading">Load a second version of the artifact list to compare it with this one</div>';
+            [statsTable, licenseTable, yearTable].forEach(table => { table.innerHTML = ''; });
+            changesList.innerHTML = '';
+            this.setCompareStatus('No comparison dataset loaded');
+            return;
+        }
+
+        this.setCompareStatus(`Comparing with ${this.comparisonDataset.name} (${this.comparisonDataset.artifacts.length} artifacts)`);
+        summary.innerHTML = `
+            <div class="validation-count severity-info"><strong>${diff.added.length}</strong> added</div>
+            <div class="validation-count severity-error"><strong>${diff.removed.length}</strong> removed</div>
+            <div class="validation-count severity-warning"><strong>${diff.modified.length}</strong> modified</div>
+            <div class="validation-count"><strong>${diff.unchangedCount}</strong> unchanged</div>
+        `;
+
+        const formatDelta = (delta, decimals = 0) => {
+            const rounded = Number(delta.toFixed(decimals));
+            if (rounded === 0) return '<span class="compare-delta">±0</span>';
+            return `<span class="compare-delta ${rounded > 0 ? 'compare-delta-up' : 'compare-delta-down'}">${rounded > 0 ? '+' : ''}${rounded.toLocaleString()}</span>`;
+        };
+        const deltaRow = (label, current, comparison, decimals = 0, format = value => value.toLocaleString(undefined, { maximumFractionDigits: decimals })) => `
+            <tr>
+                <td>${label}</td>
+                <td>${current === null ? 'N/A' : format(current)}</td>
+                <td>${comparison === null ? 'N/A' : format(comparison)}</td>
+                <td>${current === null || comparison === null ? '—' : formatDelta(comparison - current, decimals)}</td>
+            </tr>
+        `;
+        const head = first => `<thead><tr><th scope="col">${first}</th><th scope="col">Loaded</th><th scope="col">Comparison</th><th scope="col">Change</th></tr></thead>`;
+        const { current, comparison } = diff;
+
+        statsTable.innerHTML = `
+            ${head('Statistic')}
+            <tbody>
+                ${deltaRow('Total Artifacts', current.totalCount, comparison.totalCount)}
+                ${deltaRow('Average Title Length', current.averageTitleLength, comparison.averageTitleLength, 1)}
+                ${deltaRow('Average Description Length', current.averageLength, comparison.averageLength, 1)}
+                ${deltaRow(`Average Image Quality <span class="compare-note">(${comparison.qualityScoredCount} of ${comparison.totalCount} cached)</span>`, current.averageImageQuality, comparison.averageImageQuality, 1)}
+                ${deltaRow('Unique Licenses', current.uniqueLicenses, comparison.uniqueLicenses)}
+                ${deltaRow('Earliest Year', current.yearMin, comparison.yearMin, 0, year => this.formatYear(year))}
+                ${deltaRow('Latest Year', current.yearMax, comparison.yearMax, 0, year => this.formatYear(year))}
+                ${deltaRow('Playable Artifacts', current.playableCount, comparison.playableCount)}
+                ${deltaRow('Non-Playable Artifacts', current.nonPlayableCount, comparison.nonPlayableCount)}
+            </tbody>
+        `;
+
+        const licenses = [...new Set([...current.licenseCounts.keys(), ...comparison.licenseCounts.keys()])]
+            .map(license => ({
+                license,
+                from: current.licenseCounts.get(license) || 0,
+                to: comparison.licenseCounts.get(license) || 0
+            }))
+            .sort((a, b) => Math.abs(b.to - b.from) - Math.abs(a.to - a.from) || b.to - a.to);
+        licenseTable.innerHTML = `
+            ${head('License')}
+            <tbody>${licenses.map(({ license, from, to }) => deltaRow(this.escapeHtml(license), from, to)).join('')}</tbody>
+        `;
+
+        yearTable.innerHTML = `
+            ${head('Era')}
+            <tbody>${this.getTimeframeLabels().map((label, index) =>
+                deltaRow(label, current.yearBuckets[index], comparison.yearBuckets[index])
+            ).join('')}</tbody>
+        `;
+
+        const formatValue = value => value === null || value === undefined || value === ''
+            ? '<em>empty</em>'
+            : this.escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+        const entries = [
+            ...diff.added.map(entry => ({ ...entry, type: 'added' })),
+            ...diff.removed.map(entry => ({ ...entry, type: 'removed' })),
+            ...diff.modified.map(entry => ({ ...entry, type: 'modified' }))
+        ].filter(entry => this.compareView === 'all' || entry.type === this.compareView);
+
+        if (entries.length === 0) {
+            changesList.innerHTML = '<div class="success-message">No artifact changes between the two versions</div>';
+            return;
+        }
+
+        changesList.innerHTML = entries.map(entry => `
+            <div class="pending-change compare-change compare-${entry.type}">
+                <div class="pending-change-title">
+                    <span class="validation-rule">${entry.type}</span>
+                    ${entry.type === 'added' ? '' : `<button type="button" class="validation-jump-link" data-index="${entry.index}" title="Show this artifact in the collection">#${entry.index + 1}</button>`}
+                    ${this.escapeHtml((entry.type === 'modified' ? entry.other.title : entry.artifact.title) || 'Untitled artifact')}
+                </div>
+                ${entry.type === 'modified' ? entry.changes.map(change => `
+                    <div class="pending-change-row">
+                        <span class="pending-change-field">${this.escapeHtml(change.field)}</span>
+                        <del>${formatValue(change.from)}</del>
+                        <span aria-hidden="true">→</span>
+                        <ins>${formatValue(change.to)}</ins>
+                    </div>
+                `).join('') : ''}
+            </div>
+        `).join('');
+
+        changesList.querySelectorAll('.validation-jump-link').forEach(link => {
+            link.addEventListener('click', () => this.jumpToArtifact(this.artifacts[link.dataset.index]));
+        });
+    }
+
+    setupExportControls() {
+        document.querySelectorAll('.export-format-btn').forEach(button => {
+            button.addEventListener('click', () => this.exportAnalysisResults(button.dataset.format));
+        });
+    }
+
+    getAnalysisExportRows() {
+        // The list currently shown: filtered and in the selected sort order
+        const formatScore = value => value === null || value === undefined ? null : value;
+        return this.sortedArtifacts.map(artifact => {
+            const analyzed = artifact.imageQualityScore > 0;
+            const linkResult = this.linkTestResults.get(artifact.id);
+            return {
+                title: artifact.title,
+                year: artifact.year,
+                lat: artifact.lat,
+                lng: artifact.lng,
+                isPlayable: artifact.isPlayable,
+                author: this.normalizeAuthor(artifact.author),
+                license: this.normalizeLicense(artifact.license, artifact.author),
+                licenseId: this.getLicenseInfo(this.normalizeLicense(artifact.license, artifact.author)).id,
+                attribution: this.createAttribution(artifact).text,
+                country: this.getArtifactCountry(artifact),
+                continent: this.getArtifactContinent(artifact),
+                titleLength: artifact.titleLength,
+                descriptionLength: artifact.descriptionLength,
+                wordCount: artifact.textStats.wordCount,
+                readability: artifact.textStats.readability,
+                spoilerRisk: artifact.textStats.spoilerRisk,
+                imageQualityScore: analyzed ? artifact.imageQualityScore : null,
+                imageQuality: artifact.imageQuality || null,
+                difficultyScore: formatScore(artifact.difficultyScore),
+                aspectRatioScore: analyzed ? this.getScoreByMode(artifact, 'aspect-ratio') : null,
+                pixelSizeScore: analyzed ? this.getScoreByMode(artifact, 'pixel-size') : null,
+                sharpnessScore: formatScore(artifact.sharpnessScore),
+                exposureScore: formatScore(artifact.exposureScore),
+                borderScore: formatScore(artifact.borderScore),
+                blockinessScore: formatScore(artifact.blockinessScore),
+                aspectRatio: artifact.aspectRatio ? Math.round(artifact.aspectRatio * 1000) / 1000 : null,
+                pixelSize: artifact.pixelSize || null,
+                imageLinkStatus: this.formatLinkResult(linkResult && linkResult.image, artifact.image),
+                authorLinkStatus: this.formatLinkResult(linkResult && linkResult.authorLink, artifact.authorLink),
+                image: artifact.image || null,
+                authorLink: artifact.authorLink || null
+            };
+        });
+    }
+
+    getExportContext() {
+        const activeFilters = Object.entries(this.filters)
+            .filter(([key, value]) => value !== this.getDefaultFilters()[key])
+            .map(([key, value]) => `${key}: ${value}`);
+
+        return {
+            exportedAt: new Date().toISOString(),
+            sort: this.getSortName(this.currentSort),
+            filters: activeFilters,
+            scoringProfile: this.getActiveQualityProfile().name,
+            analyzedImages: `${this.artifacts.filter(a => a.imageQualityScore > 0).length}/${this.artifacts.length}`
+        };
+    }
+
+    exportAnalysisResults(format) {
+        const rows = this.getAnalysisExportRows();
+        const date = new Date().toISOString().slice(0, 10);
+
+        try {
+            if (format === 'csv') {
+                this.downloadFile(`artifact-analysis-${date}.csv`, this.toCsv(rows), 'text/csv');
+            } else if (format === 'json') {
+                const data = {
+                    ...this.getExportContext(),
+                    statistics: this.getStatisticEntries().reduce((stats, [id, , value]) => {
+                        stats[id] = value;
+                        return stats;
+                    }, {}),
+                    licenses: this.licenseStats,
+                    artifacts: rows
+                };
+                this.downloadFile(`artifact-analysis-${date}.json`, JSON.stringify(data, null, 2) + '\n', 'application/json');
+            } else if (format === 'markdown') {
+                this.downloadFile(`artifact-analysis-${date}.md`, this.createMarkdownReport(rows), 'text/markdown');
+            }
+        } catch (error) {
+            console.error(`Error exporting analysis results as ${format}:`, error);
+        }
+    }
+
+    toCsv(rows) {
+        if (rows.length === 0) return '';
+
+        const escapeCsv = value => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const columns = Object.keys(rows[0]);
+        const lines = [columns.join(',')];
+        rows.forEach(row => lines.push(columns.map(column => escapeCsv(row[column])).join(',')));
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    createMarkdownReport(rows) {
+        const context = this.getExportContext();
+        const escapeCell = value => (value === null || value === undefined ? '' : String(value))
+            .replace(/\|/g, '\\|')
+            .replace(/\s+/g, ' ');
+        const totalLicensed = this.licenseStats.reduce((sum, { count }) => sum + count, 0);
+
+        const lines = [
+            '# OriginGuessr Artifact Analysis',
+            '',
+            `- Exported: ${context.exportedAt}`,
+            `- Sorted by: ${context.sort}`,
+            `- Filters: ${context.filters.length > 0 ? context.filters.join(', ') : 'none'}`,
+            `- Scoring profile: ${context.scoringProfile}`,
+            `- Images analyzed: ${context.analyzedImages}`,
+            '',
+            '## Statistics',
+            '',
+            '| Statistic | Value |',
+            '| --- | --- |',
+            ...this.getStatisticEntries().map(([, label, value]) => `| ${label} | ${escapeCell(value)} |`),
+            '',
+            '## Licenses',
+            '',
+            '| License | Artifacts | Share |',
+            '| --- | ---: | ---: |',
+            ...this.licenseStats.map(({ license, count }) =>
+                `| ${escapeCell(license)} | ${count} | ${(count / totalLicensed * 100).toFixed(1)}% |`),
+            '',
+            `## Artifacts (${rows.length})`,
+            '',
+            '| # | Title | Year | Author | License | Quality | Image Link | Author Link |',
+            '| ---: | --- | ---: | --- | --- | ---: | --- | --- |',
+            ...rows.map((row, index) => `| ${index + 1} | ${escapeCell(row.title)} | ${escapeCell(row.year)} | ` +
+                `${escapeCell(row.author)} | ${escapeCell(row.license)} | ` +
+                `${row.imageQualityScore !== null ? `${row.imageQualityScore}/100` : 'N/A'} | ` +
+                `${escapeCell(row.imageLinkStatus)} | ${escapeCell(row.authorLinkStatus)} |`)
+        ];
+        return lines.join('\n') + '\n';
+    }
+
+    initMap() {
+        try {
+            this.map = L.map('map').setView([30, 0], 2);
+
+            L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Street_Map/MapServer/tile/{z}/{y}/{x}', {
+                attribution: '&copy; Esri &mdash; Source: Esri, DeLorme, NAVTEQ, USGS, Intermap, iPC, NRCAN, Esri Japan, METI, Esri China (Hong Kong), Esri (Thailand), TomTom, 2012',
+                maxZoom: 18
+            }).addTo(this.map);
+
+            this.markerLayer = L.layerGroup().addTo(this.map);
+            this.heatmapLayer = this.createHeatmapLayer();
+            this.createMapModeControl().addTo(this.map);
+            this.createMapLegendControl().addTo(this.map);
+            this.map.on('zoomend', () => {
+                // Cluster cells are sized in screen pixels, so regroup per zoom level
+                if (this.mapMode === 'clusters') {
+                    this.renderMapMarkers();
+                }
+            });
+            this.renderMapMarkers();
+
+        } catch (error) {
+            console.error('Error initializing map:', error);
+            const mapContainer = document.getElementById('map');
+            if (mapContainer) {
+                mapContainer.innerHTML = '<div style="display: flex; align-items: center; justify-content: center; height: 100%; color: var(--light-green);">Map unavailable</div>';
+            }
+        }
     }
 
-    setupImageQualityModeSelector() {
-        const modeSelector = document.getElementById('imageQualityModeSelect');
-        if (modeSelector) {
-            modeSelector.addEventListener('change', this.handleImageQualityModeChange);
+    renderMapMarkers() {
+        if (!this.map || !this.markerLayer) return;
+
+        this.markerLayer.clearLayers();
+
+        const validArtifacts = this.getTimelineArtifacts().filter(artifact => 
+            this.isValidCoordinates(artifact.lat, artifact.lng)
+        );
+        this.updateMapLegend(validArtifacts);
+
+        if (this.mapMode !== 'heatmap' && this.heatmapLayer && this.map.hasLayer(this.heatmapLayer)) {
+            this.map.removeLayer(this.heatmapLayer);
+        }
+        if (this.mapMode !== 'choropleth' && this.choroplethLayer && this.map.hasLayer(this.choroplethLayer)) {
+            this.map.removeLayer(this.choroplethLayer);
         }
-    }
 
-    setupSortingControls() {
-        const sortSelect = document.getElementById('sortBySelect');
-        const resetBtn = document.getElementById('resetSortBtn');
+        if (this.mapMode === 'heatmap') {
+            this.heatmapLayer.setLatLngs(validArtifacts.map(artifact => [artifact.lat, artifact.lng]));
+            if (!this.map.hasLayer(this.heatmapLayer)) {
+                this.heatmapLayer.addTo(this.map);
+            }
+            return;
+        }
 
-        if (sortSelect) {
-            sortSelect.addEventListener('change', this.handleSortChange);
+        if (this.mapMode === 'choropleth') {
+            this.renderChoropleth(validArtifacts);
+            return;
         }
 
-        if (resetBtn) {
-            resetBtn.addEventListener('click', () => {
-                this.applySorting('year-newest');
-                if (sortSelect) sortSelect.value = 'year-newest';
+        if (this.mapMode === 'clusters') {
+            this.getMarkerClusters(validArtifacts).forEach(cluster => {
+                if (cluster.length === 1) {
+                    this.createArtifactMarker(cluster[0]).addTo(this.markerLayer);
+                } else {
+                    this.createClusterMarker(cluster).addTo(this.markerLayer);
+                }
             });
+            return;
         }
 
-        this.updateSortInfo();
+        validArtifacts.forEach(artifact => {
+            this.createArtifactMarker(artifact).addTo(this.markerLayer);
+        });
     }
 
-    handleSortChange(e) {
-        this.applySorting(e.target.value);
-    }
+    createArtifactMarker(artifact) {
+        const marker = L.marker([artifact.lat, artifact.lng], {
+            icon: this.createMarkerIcon(this.getMarkerColor(artifact))
+        });
 
-    applySorting(sortType) {
-        if (this.isLoading) return;
+        const year = this.formatYear(artifact.year);
+        const popupContent = `
+            <div class="popup-title">${this.escapeHtml(artifact.title)}</div>
+            <div class="popup-year">${year}</div>
+            <img src="${this.escapeHtml(artifact.image)}" 
+                 alt="${this.escapeHtml(artifact.title)}" 
+                 class="popup-image clickable-image" 
+                 onerror="this.style.display='none'"
+                 loading="lazy" 
+                 style="cursor: pointer;" />
+            <div style="margin-top: 10px; font-size: 0.85rem;">${this.escapeHtml(artifact.description || '')}</div>
+        `;
         
-        this.currentSort = sortType;
-        this.displayedArtifacts = 0;
+        marker.bindPopup(popupContent, {
+            maxWidth: 200,
+            className: 'custom-popup'
+        });
 
-        // Clear current display
-        const container = document.getElementById('allArtifactsList');
-        if (container) {
-            container.innerHTML = '<div class="loading">Sorting artifacts...</div>';
-        }
+        marker.on('popupopen', () => {
+            const popupImg = document.querySelector('.leaflet-popup .popup-image');
+            if (popupImg) {
+                popupImg.addEventListener('click', this.handleImageClick);
+            }
+        });
 
-        // Apply sorting logic
-        this.sortedArtifacts = this.getSortedArtifacts(sortType);
-        
-        // Update priority artifacts for image analysis
-        this.updatePriorityArtifacts();
-        
-        this.updateSortInfo();
-        this.loadMoreArtifacts();
+        return marker;
     }
 
-    getSortedArtifacts(sortType) {
-        switch (sortType) {
-            case 'year-newest':
-                return [...this.artifacts].sort((a, b) => {
-                    const yearA = a.year !== null && a.year !== undefined ? a.year : -Infinity;
-                    const yearB = b.year !== null && b.year !== undefined ? b.year : -Infinity;
-                    return yearB - yearA;
-                });
-            
-            case 'year-oldest':
-                return [...this.artifacts].sort((a, b) => {
-                    const yearA = a.year !== null && a.year !== undefined ? a.year : Infinity;
-                    const yearB = b.year !== null && b.year !== undefined ? b.year : Infinity;
-                    return yearA - yearB;
-                });
+    getMarkerClusters(artifacts) {
+        // Group artifacts into square cells of the projected map at the current zoom
+        const zoom = this.map.getZoom();
+        const cells = new Map();
+        artifacts.forEach(artifact => {
+            const point = this.map.project([artifact.lat, artifact.lng], zoom);
+            const key = `${Math.floor(point.x / this.mapClusterCellSize)}:${Math.floor(point.y / this.mapClusterCellSize)}`;
+            if (!cells.has(key)) {
+                cells.set(key, []);
+            }
+            cells.get(key).push(artifact);
+        });
+        return Array.from(cells.values());
+    }
 
-            case 'title-longest':
-                return [...this.artifacts].sort((a, b) => b.titleLength - a.titleLength);
+    createClusterMarker(artifacts) {
+        const count = artifacts.length;
+        const size = count < 10 ? 'small' : count < 50 ? 'medium' : 'large';
+        const diameter = { small: 30, medium: 38, large: 46 }[size];
+        const lat = artifacts.reduce((sum, artifact) => sum + artifact.lat, 0) / count;
+        const lng = artifacts.reduce((sum, artifact) => sum + artifact.lng, 0) / count;
+        const breakdown = this.getClusterCategoryBreakdown(artifacts);
+        const background = breakdown ? this.getClusterPieBackground(breakdown, count) : '';
+
+        const marker = L.marker([lat, lng], {
+            icon: L.divIcon({
+                className: `map-cluster-marker map-cluster-${size}${breakdown ? ' map-cluster-colored' : ''}`,
+                html: `<div${background ? ` style="background: ${background};"` : ''}><span>${count}</span></div>`,
+                iconSize: [diameter, diameter],
+                iconAnchor: [diameter / 2, diameter / 2]
+            }),
+            title: breakdown
+                ? `${count} artifacts: ${breakdown.map(({ category, count: n }) => `${n} ${category.label}`).join(', ')}`
+                : `${count} artifacts`
+        });
 
-            case 'title-shortest':
-                return [...this.artifacts].sort((a, b) => a.titleLength - b.titleLength);
+        const bounds = L.latLngBounds(artifacts.map(artifact => [artifact.lat, artifact.lng]));
+        const samePlace = bounds.getNorthEast().equals(bounds.getSouthWest());
+
+        if (samePlace || this.map.getZoom() >= this.map.getMaxZoom()) {
+            // Zooming cannot separate these, so list them instead
+            marker.bindPopup(`
+                <div class="popup-title">${count} artifacts here</div>
+                <ul class="cluster-popup-list">
+                    ${artifacts.map((artifact, index) => `
+                        <li><button type="button" class="validation-jump-link" data-index="${index}">${this.escapeHtml(artifact.title)}</button>
+                        <span class="popup-year">${this.formatYear(artifact.year)}</span></li>
+                    `).join('')}
+                </ul>
+            `, { maxWidth: 260, className: 'custom-popup' });
+
+            marker.on('popupopen', (e) => {
+                e.popup.getElement().querySelectorAll('.validation-jump-link').forEach(link => {
+                    link.addEventListener('click', () => this.jumpToArtifact(artifacts[link.dataset.index]));
+                });
+            });
+        } else {
+            marker.on('click', () => this.map.fitBounds(bounds, { padding: [40, 40] }));
+        }
 
-            case 'description-longest':
-                return [...this.artifacts].sort((a, b) => b.descriptionLength - a.descriptionLength);
+        return marker;
+    }
 
-            case 'description-shortest':
-                return [...this.artifacts].sort((a, b) => a.descriptionLength - b.descriptionLength);
+    getClusterCategoryBreakdown(artifacts) {
+        if (this.markerColorMode === 'none') return null;
 
-            case 'image-high-quality':
-                return [...this.artifacts].sort((a, b) => {
-                    return b.imageQualityScore - a.imageQualityScore;
-                });
+        const counts = new Map();
+        artifacts.forEach(artifact => {
+            const key = this.getMarkerCategoryKey(artifact, this.markerColorMode);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        return this.getMarkerCategories(this.markerColorMode)
+            .filter(category => counts.has(category.key))
+            .map(category => ({ category, count: counts.get(category.key) }));
+    }
 
-            case 'image-low-quality':
-                return [...this.artifacts].sort((a, b) => {
-                    const scoreA = a.imageQualityScore || 999;
-                    const scoreB = b.imageQualityScore || 999;
-                    return scoreA - scoreB;
-                });
+    getClusterPieBackground(breakdown, total) {
+        // One slice per marker category, in legend order
+        let start = 0;
+        const stops = breakdown.map(({ category, count }) => {
+            const end = start + (count / total) * 360;
+            const stop = `${category.color} ${start.toFixed(1)}deg ${end.toFixed(1)}deg`;
+            start = end;
+            return stop;
+        });
+        return `conic-gradient(${stops.join(', ')})`;
+    }
 
-            case 'license-common':
-                return this.sortByLicenseFrequency(false);
+    getTimeframeLabels() {
+        const labels = [];
+        for (let i = 0; i < this.timeframeBoundaries.length - 1; i++) {
+            const start = this.timeframeBoundaries[i];
+            const end = this.timeframeBoundaries[i + 1];
+            
+            let label;
+            if (start < 0 && end <= 0) {
+                label = `${Math.abs(end)} - ${Math.abs(start)} BCE`;
+            } else if (start < 0 && end > 0) {
+                label = `${Math.abs(start)} BCE - ${end} CE`;
+            } else {
+                label = `${start} - ${end} CE`;
+            }
+            
+            labels.push(label);
+        }
+        return labels;
+    }
 
-            case 'license-rare':
-                return this.sortByLicenseFrequency(true);
+    getTimeframeIndex(year) {
+        if (year === null || year === undefined || isNaN(year)) return -1;
+        for (let i = 0; i < this.timeframeBoundaries.length - 1; i++) {
+            if (year >= this.timeframeBoundaries[i] && year < this.timeframeBoundaries[i + 1]) {
+                return i;
+            }
+        }
+        return -1;
+    }
 
-            case 'author-common':
-                return this.sortByAuthorFrequency(false);
+    getLicenseFamily(artifact) {
+        return this.getLicenseInfo(this.normalizeLicense(artifact.license, artifact.author)).family;
+    }
 
-            case 'author-rare':
-                return this.sortByAuthorFrequency(true);
+    getMarkerCategories(mode) {
+        const unknown = { key: 'unknown', label: 'Unknown', color: '#9E9E9E' };
+        switch (mode) {
+            case 'era': {
+                const eraColors = ['#5D4037', '#795548', '#A1887F', '#FF7043', '#FFA726', '#FFEE58',
+                    '#D4E157', '#66BB6A', '#26A69A', '#42A5F5', '#5C6BC0', '#AB47BC'];
+                return [
+                    ...this.getTimeframeLabels().map((label, index) => ({
+                        key: index.toString(),
+                        label,
+                        color: eraColors[index % eraColors.length]
+                    })),
+                    { ...unknown, label: 'Outside timeframes' }
+                ];
+            }
+            case 'quality': {
+                const { high, medium } = this.getActiveQualityProfile().classThresholds;
+                return [
+                    { key: 'quality-high', label: `High (${high}+)`, color: '#4CAF50' },
+                    { key: 'quality-medium', label: `Medium (${medium}-${high})`, color: '#FF9800' },
+                    { key: 'quality-low', label: `Low (below ${medium})`, color: '#f44336' },
+                    { ...unknown, key: 'unanalyzed', label: 'Not analyzed yet' }
+                ];
+            }
+            case 'license':
+                return [
+                    { key: 'pd', label: 'Public Domain / CC0', color: '#4CAF50' },
+                    { key: 'by', label: 'CC BY', color: '#2196F3' },
+                    { key: 'by-sa', label: 'CC BY-SA', color: '#9C27B0' },
+                    { key: 'other', label: 'Other', color: '#FF9800' },
+                    { ...unknown, key: 'none', label: 'No License' }
+                ];
+            case 'playability':
+                return [
+                    { key: 'playable', label: 'Playable', color: '#4CAF50' },
+                    { key: 'non-playable', label: 'Non-playable', color: '#f44336' },
+                    unknown
+                ];
+            default:
+                return [{ key: 'all', label: 'All artifacts', color: '#ff4444' }];
+        }
+    }
 
+    getMarkerCategoryKey(artifact, mode) {
+        switch (mode) {
+            case 'era': {
+                const index = this.getTimeframeIndex(artifact.year);
+                return index === -1 ? 'unknown' : index.toString();
+            }
+            case 'quality':
+                return this.getQualityBand(artifact);
+            case 'license':
+                return this.getLicenseFamily(artifact);
+            case 'playability':
+                return this.getPlayabilityKey(artifact);
             default:
-                return [...this.artifacts].sort((a, b) => {
-                    const yearA = a.year !== null && a.year !== undefined ? a.year : -Infinity;
-                    const yearB = b.year !== null && b.year !== undefined ? b.year : -Infinity;
-                    return yearB - yearA;
-                });
+                return 'all';
         }
     }
 
-    sortByLicenseFrequency(rareFirst) {
-        const licenseFrequency = {};
-        this.licenseStats.forEach((stat, index) => {
-            licenseFrequency[stat.license] = rareFirst ? index : this.licenseStats.length - index;
-        });
+    getMarkerColor(artifact) {
+        const key = this.getMarkerCategoryKey(artifact, this.markerColorMode);
+        const category = this.getMarkerCategories(this.markerColorMode).find(c => c.key === key);
+        return category ? category.color : '#9E9E9E';
+    }
 
-        return [...this.artifacts].sort((a, b) => {
-            const licenseA = this.normalizeLicense(a.license, a.author);
-            const licenseB = this.normalizeLicense(b.license, b.author);
-            const freqA = licenseFrequency[licenseA] || 0;
-            const freqB = licenseFrequency[licenseB] || 0;
-            
-            if (freqA !== freqB) {
-                return rareFirst ? freqA - freqB : freqB - freqA;
-            }
-            
-            return (a.title || '').localeCompare(b.title || '');
+    createMarkerIcon(color) {
+        return L.divIcon({
+            className: 'custom-marker',
+            html: `<div style="background-color: ${color}; width: 12px; height: 12px; border-radius: 50%; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3);"></div>`,
+            iconSize: [16, 16],
+            iconAnchor: [8, 8]
         });
     }
 
-    sortByAuthorFrequency(rareFirst) {
-        const authorFrequency = {};
-        this.authorStats.forEach((stat, index) => {
-            authorFrequency[stat.author] = rareFirst ? index : this.authorStats.length - index;
-        });
+    createMapLegendControl() {
+        const modes = {
+            none: 'Single color',
+            era: 'Era',
+            quality: 'Image quality',
+            license: 'License family',
+            playability: 'Playability'
+        };
+        const MapLegendControl = L.Control.extend({
+            options: { position: 'bottomleft' },
+            onAdd: () => {
+                const container = L.DomUtil.create('div', 'map-legend');
+                container.innerHTML = `
+                    <label class="map-legend-label" for="markerColorSelect">Color markers by:</label>
+                    <select id="markerColorSelect" class="map-legend-select">
+                        ${Object.entries(modes).map(([mode, label]) => `
+                            <option value="${mode}"${mode === this.markerColorMode ? ' selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                    <ul class="map-legend-items" id="mapLegendItems"></ul>
+                `;
 
-        return [...this.artifacts].sort((a, b) => {
-            const authorA = this.normalizeAuthor(a.author);
-            const authorB = this.normalizeAuthor(b.author);
-            const freqA = authorFrequency[authorA] || 0;
-            const freqB = authorFrequency[authorB] || 0;
-            
-            if (freqA !== freqB) {
-                return rareFirst ? freqA - freqB : freqB - freqA;
+                L.DomEvent.disableClickPropagation(container);
+                L.DomEvent.disableScrollPropagation(container);
+                container.querySelector('#markerColorSelect')
+                    .addEventListener('change', (e) => this.handleMarkerColorChange(e.target.value));
+                return container;
             }
-            
-            return (a.title || '').localeCompare(b.title || '');
         });
+        return new MapLegendControl();
     }
 
-    updateSortInfo() {
-        const sortInfo = document.getElementById('currentSortInfo');
-        if (!sortInfo) return;
-
-        const sortNames = {
-            'year-newest': 'Year (Newest First)',
-            'year-oldest': 'Year (Oldest First)',
-            'title-longest': 'Title Length (Longest)',
-            'title-shortest': 'Title Length (Shortest)',
-            'description-longest': 'Description Length (Longest)',
-            'description-shortest': 'Description Length (Shortest)',
-            'image-high-quality': 'Image Quality (Highest)',
-            'image-low-quality': 'Image Quality (Lowest)',
-            'license-common': 'License (Most Common)',
-            'license-rare': 'License (Rarest)',
-            'author-common': 'Author (Most Common)',
-            'author-rare': 'Author (Rarest)'
-        };
-        
-        sortInfo.textContent = `Sorted by: ${sortNames[this.currentSort]}`;
+    handleMarkerColorChange(mode) {
+        this.markerColorMode = mode;
+        this.renderMapMarkers();
     }
 
-    setupInfiniteScroll() {
-        const loadMoreBtn = document.getElementById('loadMoreBtn');
-        if (!loadMoreBtn) return;
+    updateMapLegend(artifacts) {
+        const container = document.getElementById('mapLegendItems');
+        if (!container) return;
 
-        const button = loadMoreBtn.querySelector('.load-more-button');
-        if (button) {
-            button.addEventListener('click', this.handleLoadMore);
+        // Heatmap and country views are not drawn with markers, so marker colors do not apply
+        const colorSelect = document.getElementById('markerColorSelect');
+        if (colorSelect) {
+            colorSelect.disabled = this.mapMode === 'heatmap' || this.mapMode === 'choropleth';
+            colorSelect.title = colorSelect.disabled ? 'Switch to Markers or Clusters to color by category' : '';
         }
 
-        const throttledScrollHandler = this.throttle(() => {
-            if (window.innerHeight + window.scrollY >= document.body.offsetHeight - 1000) {
-                if (this.displayedArtifacts < this.sortedArtifacts.length && 
-                    loadMoreBtn.style.display !== 'none' && !this.isLoading) {
-                    this.loadMoreArtifacts();
+        if (this.mapMode === 'heatmap') {
+            container.innerHTML = `
+                <li class="map-legend-item">
+                    <span>Artifact density, not split by category</span>
+                    <span class="map-legend-count">${artifacts.length}</span>
+                </li>
+            `;
+            return;
+        }
+
+        if (this.mapMode === 'choropleth') {
+            // Countries per artifact-count bin instead of marker categories
+            const countryCounts = new Map();
+            artifacts.forEach(artifact => {
+                if (artifact.country) {
+                    countryCounts.set(artifact.country, (countryCounts.get(artifact.country) || 0) + 1);
                 }
-            }
-        }, 250);
+            });
+            const regions = this.worldBoundaries || [];
+            container.innerHTML = this.getChoroplethBins().map(bin => {
+                const count = regions.filter(region => {
+                    const artifactCount = countryCounts.get(region.name) || 0;
+                    return artifactCount >= bin.min && artifactCount <= bin.max;
+                }).length;
+                return `
+                    <li class="map-legend-item${count ? '' : ' map-legend-empty'}">
+                        <span class="map-legend-swatch map-legend-square" style="background-color: ${bin.color};" aria-hidden="true"></span>
+                        <span>${bin.label}</span>
+                        <span class="map-legend-count">${count} countr${count !== 1 ? 'ies' : 'y'}</span>
+                    </li>
+                `;
+            }).join('');
+            return;
+        }
 
-        window.addEventListener('scroll', throttledScrollHandler);
+        const counts = new Map();
+        artifacts.forEach(artifact => {
+            const key = this.getMarkerCategoryKey(artifact, this.markerColorMode);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+
+        // Empty categories stay listed: they are the gaps worth noticing
+        container.innerHTML = this.getMarkerCategories(this.markerColorMode).map(category => `
+            <li class="map-legend-item${counts.get(category.key) ? '' : ' map-legend-empty'}">
+                <span class="map-legend-swatch" style="background-color: ${category.color};" aria-hidden="true"></span>
+                <span>${this.escapeHtml(category.label)}</span>
+                <span class="map-legend-count">${counts.get(category.key) || 0}</span>
+            </li>
+        `).join('');
     }
 
-    handleLoadMore() {
-        if (!this.isLoading) {
-            this.loadMoreArtifacts();
+    async loadGeographicCoverage() {
+        try {
+            await this.loadWorldBoundaries();
+            this.assignArtifactRegions(this.artifacts);
+        } catch (error) {
+            console.warn('World boundaries unavailable, geographic coverage disabled:', error);
+        }
+
+        this.calculateRegionStats();
+        this.displayGeographicCoverage();
+        // Country and continent mentions can only be checked once regions are known
+        this.checkDescriptionConsistency();
+        this.displayConsistencyIssues();
+        this.updateFacetCounts();
+        this.updateMapModeControl();
+        this.updateRoundConstraintAvailability();
+        if (this.currentSort.startsWith('country-')) {
+            this.applySorting(this.currentSort);
         }
     }
 
-    loadMoreArtifacts() {
-        if (this.isLoading || this.displayedArtifacts >= this.sortedArtifacts.length) {
-            return;
+    async loadWorldBoundaries() {
+        const response = await fetch(this.worldBoundariesUrl);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
         }
 
-        this.isLoading = true;
-        const container = document.getElementById('allArtifactsList');
-        const loadMoreBtn = document.getElementById('loadMoreBtn');
-        
-        if (!container) {
-            this.isLoading = false;
-            return;
+        const data = await response.json();
+        if (!data || !Array.isArray(data.features)) {
+            throw new Error(`${this.worldBoundariesUrl} is not a GeoJSON FeatureCollection`);
         }
 
-        if (this.displayedArtifacts === 0 && container.querySelector('.loading')) {
-            container.innerHTML = '';
-        }
+        // Natural Earth names its properties in upper case; accept lower case too
+        this.worldBoundaries = data.features
+            .filter(feature => feature.geometry &&
+                (feature.geometry.type === 'Polygon' || feature.geometry.type === 'MultiPolygon'))
+            .map(feature => {
+                const props = feature.properties || {};
+                const polygons = feature.geometry.type === 'Polygon'
+                    ? [feature.geometry.coordinates]
+                    : feature.geometry.coordinates;
+
+                const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+                polygons.forEach(([outerRing]) => {
+                    outerRing.forEach(([lng, lat]) => {
+                        bbox[0] = Math.min(bbox[0], lng);
+                        bbox[1] = Math.min(bbox[1], lat);
+                        bbox[2] = Math.max(bbox[2], lng);
+                        bbox[3] = Math.max(bbox[3], lat);
+                    });
+                });
+
+                return {
+                    name: props.NAME || props.ADMIN || props.name || 'Unknown',
+                    continent: props.CONTINENT || props.continent || 'Unknown',
+                    geometry: feature.geometry,
+                    polygons,
+                    bbox
+                };
+            });
+    }
+
+    assignArtifactRegions(artifacts) {
+        if (!this.worldBoundaries) return;
+
+        artifacts.forEach(artifact => {
+            const region = this.isValidCoordinates(artifact.lat, artifact.lng)
+                ? this.findRegionForPoint(artifact.lat, artifact.lng)
+                : null;
+            artifact.country = region ? region.name : null;
+            artifact.continent = region ? region.continent : null;
+        });
+    }
+
+    findRegionForPoint(lat, lng) {
+        const inBox = ([minLng, minLat, maxLng, maxLat], margin) =>
+            lng >= minLng - margin && lng <= maxLng + margin && lat >= minLat - margin && lat <= maxLat + margin;
+
+        const containing = this.worldBoundaries.find(region =>
+            inBox(region.bbox, 0) && this.isPointInPolygons(lng, lat, region.polygons)
+        );
+        if (containing) return containing;
+
+        // Low-resolution coastlines miss many coastal and island sites, so
+        // fall back to the nearest boundary within the snap distance
+        let nearest = null;
+        let nearestDistance = this.regionSnapDistance;
+        this.worldBoundaries.forEach(region => {
+            if (!inBox(region.bbox, this.regionSnapDistance)) return;
+            const distance = this.getDistanceToPolygons(lng, lat, region.polygons);
+            if (distance < nearestDistance) {
+                nearest = region;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    isPointInPolygons(x, y, polygons) {
+        const inRing = ring => {
+            let inside = false;
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const [xi, yi] = ring[i];
+                const [xj, yj] = ring[j];
+                if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                    inside = !inside;
+                }
+            }
+            return inside;
+        };
+        // Inside the outer ring and outside every hole of any polygon
+        return polygons.some(([outerRing, ...holes]) => inRing(outerRing) && !holes.some(inRing));
+    }
+
+    getDistanceToPolygons(x, y, polygons) {
+        // Planar distance in degrees, which is good enough for snapping
+        let minimum = Infinity;
+        polygons.forEach(rings => rings.forEach(ring => {
+            for (let i = 1; i < ring.length; i++) {
+                const [x1, y1] = ring[i - 1];
+                const [x2, y2] = ring[i];
+                const dx = x2 - x1;
+                const dy = y2 - y1;
+                const lengthSquared = dx * dx + dy * dy;
+                const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared));
+                minimum = Math.min(minimum, Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy)));
+            }
+        }));
+        return minimum;
+    }
+
+    getArtifactCountry(artifact) {
+        return artifact.country || 'Unassigned';
+    }
 
-        const endIndex = Math.min(
-            this.displayedArtifacts + this.artifactsPerPage, 
-            this.sortedArtifacts.length
-        );
-        const artifactsToShow = this.sortedArtifacts.slice(this.displayedArtifacts, endIndex);
+    getArtifactContinent(artifact) {
+        return artifact.continent || 'Unassigned';
+    }
 
-        artifactsToShow.forEach(artifact => {
-            this.priorityArtifacts.add(artifact.id);
-        });
+    calculateRegionStats() {
+        const countryMap = new Map();
+        const continentMap = new Map();
 
-        const fragment = document.createDocumentFragment();
-        artifactsToShow.forEach(artifact => {
-            const artifactCard = this.createFullArtifactCard(artifact);
-            fragment.appendChild(artifactCard);
+        this.artifacts.forEach(artifact => {
+            const country = this.getArtifactCountry(artifact);
+            const continent = this.getArtifactContinent(artifact);
+            countryMap.set(country, (countryMap.get(country) || 0) + 1);
+
+            if (!continentMap.has(continent)) {
+                continentMap.set(continent, { count: 0, countries: new Set() });
+            }
+            const stats = continentMap.get(continent);
+            stats.count++;
+            if (artifact.country) {
+                stats.countries.add(artifact.country);
+            }
         });
-        container.appendChild(fragment);
 
-        this.displayedArtifacts = endIndex;
+        this.countryStats = Array.from(countryMap.entries())
+            .map(([country, count]) => ({
+                country,
+                continent: this.artifacts.find(a => this.getArtifactCountry(a) === country)?.continent || 'Unassigned',
+                count
+            }))
+            .sort((a, b) => b.count - a.count);
 
-        if (loadMoreBtn) {
-            if (this.displayedArtifacts >= this.sortedArtifacts.length) {
-                loadMoreBtn.style.display = 'none';
-            } else {
-                loadMoreBtn.style.display = 'block';
-            }
+        this.continentStats = Array.from(continentMap.entries())
+            .map(([continent, { count, countries }]) => ({ continent, count, countryCount: countries.size }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    displayGeographicCoverage() {
+        const summary = document.getElementById('coverageSummary');
+        const continentTable = document.getElementById('continentCoverageTable');
+        const countryTable = document.getElementById('countryCoverageTable');
+        if (!summary || !continentTable || !countryTable) return;
+
+        if (!this.worldBoundaries) {
+            summary.innerHTML = `
+                <div class="loading">World boundaries file (${this.escapeHtml(this.worldBoundariesUrl)}) could not be loaded, so artifacts cannot be assigned to countries.</div>
+            `;
+            continentTable.innerHTML = '';
+            countryTable.innerHTML = '';
+            return;
         }
 
-        this.isLoading = false;
-    }
+        const total = this.artifacts.length;
+        const assigned = this.artifacts.filter(artifact => artifact.country).length;
+        const coveredCountries = this.countryStats.filter(stat => stat.country !== 'Unassigned').length;
+        const share = count => `${(count / total * 100).toFixed(1)}%`;
 
-    createFullArtifactCard(artifact) {
-        const card = document.createElement('article');
-        card.className = 'full-artifact-card';
-        card.setAttribute('role', 'article');
+        summary.innerHTML = `
+            <div class="validation-count"><strong>${coveredCountries}</strong> of ${this.worldBoundaries.length} countries covered</div>
+            <div class="validation-count"><strong>${this.continentStats.filter(stat => stat.continent !== 'Unassigned').length}</strong> continents</div>
+            <div class="validation-count"><strong>${total - assigned}</strong> artifact${total - assigned !== 1 ? 's' : ''} unassigned</div>
+        `;
 
-        const year = this.formatYear(artifact.year);
-        const license = this.normalizeLicense(artifact.license, artifact.author);
-        const author = this.normalizeAuthor(artifact.author);
+        continentTable.innerHTML = `
+            <thead><tr><th scope="col">Continent</th><th scope="col">Artifacts</th><th scope="col">Share</th><th scope="col">Countries</th></tr></thead>
+            <tbody>
+                ${this.continentStats.map(stat => `
+                    <tr><td>${this.escapeHtml(stat.continent)}</td><td>${stat.count}</td><td>${share(stat.count)}</td><td>${stat.countryCount}</td></tr>
+                `).join('')}
+            </tbody>
+        `;
 
-        const playabilityBadge = this.createPlayabilityBadge(artifact);
-        const licenseBadge = this.createLicenseBadge(license);
-        const imageQualityBadge = this.createImageQualityBadge(artifact);
-        const authorElement = this.createAuthorElement(artifact, author);
+        countryTable.innerHTML = `
+            <thead><tr><th scope="col">Country</th><th scope="col">Continent</th><th scope="col">Artifacts</th><th scope="col">Share</th></tr></thead>
+            <tbody>
+                ${this.countryStats.map(stat => `
+                    <tr><td>${this.escapeHtml(stat.country)}</td><td>${this.escapeHtml(stat.continent)}</td><td>${stat.count}</td><td>${share(stat.count)}</td></tr>
+                `).join('')}
+            </tbody>
+        `;
+    }
 
-        card.innerHTML = `
-            <div class="artifact-header">
-                <img src="${this.escapeHtml(artifact.image)}" 
-                     alt="${this.escapeHtml(artifact.title)}" 
-                     class="artifact-main-image clickable-image" 
-                     onerror="this.src='${this.getPlaceholderImage()}'"
-                     loading="lazy" 
-                     style="cursor: pointer;" />
-                <div class="artifact-header-info">
-                    <h3 class="full-artifact-title">${this.escapeHtml(artifact.title)}</h3>
-                    <div class="artifact-year-large">${year}</div>
-                    <div class="artifact-badges">
-                        ${playabilityBadge}
-                        ${licenseBadge}
-                        ${imageQualityBadge}
-                    </div>
-                </div>
-            </div>
+    sortByCountryFrequency(rareFirst) {
+        const countryFrequency = {};
+        this.countryStats.forEach((stat, index) => {
+            countryFrequency[stat.country] = rareFirst ? index : this.countryStats.length - index;
+        });
+
+        return [...this.artifacts].sort((a, b) => {
+            const freqA = countryFrequency[this.getArtifactCountry(a)] || 0;
+            const freqB = countryFrequency[this.getArtifactCountry(b)] || 0;
             
-            <div class="artifact-description">${this.escapeHtml(artifact.description || 'No description available.')}</div>
+            if (freqA !== freqB) {
+                return rareFirst ? freqA - freqB : freqB - freqA;
+            }
             
-            <div class="artifact-details">
-                <div class="artifact-meta-info">
-                    <div class="meta-row">
-                        <span class="meta-icon" aria-hidden="true">👤</span>
-                        <span>Author: ${authorElement}</span>
-                    </div>
-                    <div class="meta-row">
-                        <span class="meta-icon" aria-hidden="true">📝</span>
-                        <span>Description: ${artifact.descriptionLength} characters</span>
-                    </div>
-                    <div class="meta-row">
-                        <span class="meta-icon" aria-hidden="true">🏷️</span>
-                        <span>Title: ${artifact.titleLength} characters</span>
-                    </div>
-                    <div class="meta-row">
-                        <span class="meta-icon" aria-hidden="true">🖼️</span>
-                        <span>${artifact.imageQualityScore > 0 ? `Overall: ${artifact.imageQualityScore}/100, AR: ${artifact.aspectRatioScore}/100, Pixels: ${artifact.pixelSizeScore}/100` : 'Analyzing...'}</span>
-                    </div>
-                </div>
-                <div class="artifact-mini-map" id="miniMap-${this.generateSafeId(artifact)}">
-                    ${artifact.lat && artifact.lng ? '' : '<div class="mini-map-unavailable">🌍 Location not available</div>'}
-                </div>
-            </div>
-        `;
+            return (a.title || '').localeCompare(b.title || '');
+        });
+    }
 
-        const mainImg = card.querySelector('.artifact-main-image');
-        if (mainImg) {
-            mainImg.addEventListener('click', this.handleImageClick);
+    renderChoropleth(artifacts) {
+        if (!this.choroplethLayer) {
+            this.choroplethLayer = L.geoJSON({
+                type: 'FeatureCollection',
+                features: this.worldBoundaries.map(region => ({
+                    type: 'Feature',
+                    properties: { name: region.name, continent: region.continent },
+                    geometry: region.geometry
+                }))
+            });
+            this.choroplethLayer.eachLayer(layer => {
+                layer.bindTooltip(() => {
+                    const { name } = layer.feature.properties;
+                    const count = this.choroplethCounts.get(name) || 0;
+                    return `${this.escapeHtml(name)}: ${count} artifact${count !== 1 ? 's' : ''}`;
+                }, { sticky: true });
+            });
         }
 
-        if (artifact.lat && artifact.lng && this.isValidCoordinates(artifact.lat, artifact.lng)) {
-            setTimeout(() => {
-                this.initMiniMap(artifact, `miniMap-${this.generateSafeId(artifact)}`);
-            }, 100);
-        }
+        this.choroplethCounts = new Map();
+        artifacts.forEach(artifact => {
+            if (artifact.country) {
+                this.choroplethCounts.set(artifact.country, (this.choroplethCounts.get(artifact.country) || 0) + 1);
+            }
+        });
 
-        return card;
-    }
+        const bins = this.getChoroplethBins();
+        this.choroplethLayer.setStyle(feature => {
+            const count = this.choroplethCounts.get(feature.properties.name) || 0;
+            const bin = bins.find(b => count >= b.min && count <= b.max) || bins[0];
+            return {
+                color: '#112211',
+                weight: 1,
+                fillColor: bin.color,
+                fillOpacity: count > 0 ? 0.7 : 0.25
+            };
+        });
 
-    createPlayabilityBadge(artifact) {
-        if (artifact.isPlayable === true) {
-            return '<span class="artifact-badge badge-playable">🎮 Playable</span>';
-        } else if (artifact.isPlayable === false) {
-            return '<span class="artifact-badge badge-non-playable">🚫 Non-Playable</span>';
-        } else {
-            return '<span class="artifact-badge">❓ Unknown</span>';
+        if (!this.map.hasLayer(this.choroplethLayer)) {
+            this.choroplethLayer.addTo(this.map);
         }
     }
 
-    createLicenseBadge(license) {
-        return license !== 'No License' ? 
-            `<span class="artifact-badge">⚖️ ${this.escapeHtml(license)}</span>` :
-            '<span class="artifact-badge badge-no-license">⚖️ No License</span>';
+    getChoroplethBins() {
+        return [
+            { min: 0, max: 0, label: 'No artifacts', color: '#9E9E9E' },
+            { min: 1, max: 2, label: '1-2', color: '#2e7d32' },
+            { min: 3, max: 4, label: '3-4', color: '#66bb6a' },
+            { min: 5, max: 9, label: '5-9', color: '#c0ca33' },
+            { min: 10, max: 19, label: '10-19', color: '#fdd835' },
+            { min: 20, max: 49, label: '20-49', color: '#fb8c00' },
+            { min: 50, max: Infinity, label: '50+', color: '#e53935' }
+        ];
     }
 
-    createAuthorElement(artifact, author) {
-        return artifact.authorLink && this.isValidUrl(artifact.authorLink) ? 
-            `<a href="${this.escapeHtml(artifact.authorLink)}" target="_blank" rel="noopener noreferrer" class="author-link" title="Visit author's page">${this.escapeHtml(author)}</a>` :
-            this.escapeHtml(author);
+    createMapModeControl() {
+        const modes = { markers: 'Markers', clusters: 'Clusters', heatmap: 'Heatmap', choropleth: 'Countries' };
+        const MapModeControl = L.Control.extend({
+            options: { position: 'topright' },
+            onAdd: () => {
+                const container = L.DomUtil.create('div', 'leaflet-bar map-mode-control');
+                container.setAttribute('role', 'group');
+                container.setAttribute('aria-label', 'Map display mode');
+                container.innerHTML = Object.entries(modes).map(([mode, label]) => `
+                    <button type="button" class="map-mode-btn${mode === this.mapMode ? ' active' : ''}" data-mode="${mode}" aria-pressed="${mode === this.mapMode}"${mode === 'choropleth' && !this.worldBoundaries ? ' disabled' : ''}>${label}</button>
+                `).join('');
+
+                // Keep clicks on the control from panning or zooming the map
+                L.DomEvent.disableClickPropagation(container);
+                container.querySelectorAll('.map-mode-btn').forEach(button => {
+                    button.addEventListener('click', () => this.handleMapModeChange(button.dataset.mode));
+                });
+                return container;
+            }
+        });
+        return new MapModeControl();
     }
 
-    generateSafeId(artifact) {
-        return (artifact.id || artifact.title || 'unknown')
-            .replace(/[^a-zA-Z0-9]/g, '_')
-            .substring(0, 50);
+    updateMapModeControl() {
+        // The country view needs the boundaries file, which loads after the map
+        const choroplethBtn = document.querySelector('.map-mode-btn[data-mode="choropleth"]');
+        if (choroplethBtn) {
+            choroplethBtn.disabled = !this.worldBoundaries;
+            choroplethBtn.title = this.worldBoundaries ? '' : 'World boundaries file not available';
+        }
     }
 
-    isValidCoordinates(lat, lng) {
-        return typeof lat === 'number' && typeof lng === 'number' &&
-               !isNaN(lat) && !isNaN(lng) &&
-               lat >= -90 && lat <= 90 &&
-               lng >= -180 && lng <= 180;
+    handleMapModeChange(mode) {
+        this.mapMode = mode;
+        document.querySelectorAll('.map-mode-btn').forEach(button => {
+            const active = button.dataset.mode === mode;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active.toString());
+        });
+        this.renderMapMarkers();
     }
 
-    isValidUrl(url) {
-        try {
-            new URL(url);
-            return true;
-        } catch {
-            return false;
-        }
+    createHeatmapLayer() {
+        const analyzer = this;
+        const HeatmapLayer = L.Layer.extend({
+            initialize() {
+                this.latLngs = [];
+            },
+
+            setLatLngs(latLngs) {
+                this.latLngs = latLngs;
+                if (this._map) {
+                    this.redraw();
+                }
+            },
+
+            onAdd(map) {
+                // Hidden during zoom animations and redrawn when they end
+                this.canvas = L.DomUtil.create('canvas', 'map-heatmap-canvas leaflet-zoom-hide');
+                map.getPanes().overlayPane.appendChild(this.canvas);
+                map.on('moveend resize', this.redraw, this);
+                this.redraw();
+            },
+
+            onRemove(map) {
+                L.DomUtil.remove(this.canvas);
+                map.off('moveend resize', this.redraw, this);
+                this.canvas = null;
+            },
+
+            redraw() {
+                const map = this._map;
+                const size = map.getSize();
+                L.DomUtil.setPosition(this.canvas, map.containerPointToLayerPoint([0, 0]));
+                this.canvas.width = size.x;
+                this.canvas.height = size.y;
+                const points = this.latLngs.map(latLng => map.latLngToContainerPoint(latLng));
+                analyzer.drawHeatmap(this.canvas, points);
+            }
+        });
+        return new HeatmapLayer();
     }
 
-    initMiniMap(artifact, containerId) {
-        try {
-            const container = document.getElementById(containerId);
-            if (!container || container.querySelector('.leaflet-container')) return;
+    drawHeatmap(canvas, points) {
+        const { radius, blur, maxOpacity } = this.heatmapSettings;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (points.length === 0) return;
+
+        // Accumulate density in the alpha channel with soft circular stamps
+        const reach = radius + blur;
+        const stamp = document.createElement('canvas');
+        stamp.width = stamp.height = reach * 2;
+        const stampCtx = stamp.getContext('2d');
+        const gradient = stampCtx.createRadialGradient(reach, reach, radius - blur > 0 ? radius - blur : 0, reach, reach, reach);
+        gradient.addColorStop(0, 'rgba(0, 0, 0, 0.25)');
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        stampCtx.fillStyle = gradient;
+        stampCtx.fillRect(0, 0, reach * 2, reach * 2);
+
+        points.forEach(point => {
+            if (point.x < -reach || point.y < -reach || point.x > canvas.width + reach || point.y > canvas.height + reach) return;
+            ctx.drawImage(stamp, point.x - reach, point.y - reach);
+        });
 
-            const miniMap = L.map(containerId, {
-                zoomControl: false,
-                scrollWheelZoom: false,
-                doubleClickZoom: false,
-                boxZoom: false,
-                keyboard: false,
-                dragging: false,
-                tap: false,
-                touchZoom: false
-            }).setView([artifact.lat, artifact.lng], 8);
+        // Map the accumulated alpha onto a blue-green-yellow-red palette
+        const palette = document.createElement('canvas');
+        palette.width = 256;
+        palette.height = 1;
+        const paletteCtx = palette.getContext('2d');
+        const paletteGradient = paletteCtx.createLinearGradient(0, 0, 256, 0);
+        paletteGradient.addColorStop(0.25, '#2196F3');
+        paletteGradient.addColorStop(0.55, '#99ee99');
+        paletteGradient.addColorStop(0.8, '#ffff00');
+        paletteGradient.addColorStop(1, '#ff4444');
+        paletteCtx.fillStyle = paletteGradient;
+        paletteCtx.fillRect(0, 0, 256, 1);
+        const colors = paletteCtx.getImageData(0, 0, 256, 1).data;
+
+        const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const data = image.data;
+        for (let i = 3; i < data.length; i += 4) {
+            const density = data[i];
+            if (density === 0) continue;
+            const offset = density * 4;
+            data[i - 3] = colors[offset];
+            data[i - 2] = colors[offset + 1];
+            data[i - 1] = colors[offset + 2];
+            data[i] = Math.min(255 * maxOpacity, density * 2);
+        }
+        ctx.putImageData(image, 0, 0);
+    }
 
-            L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Street_Map/MapServer/tile/{z}/{y}/{x}', {
-                attribution: '',
-                maxZoom: 18
-            }).addTo(miniMap);
+    setupTimelineControls() {
+        const minInput = document.getElementById('timelineMinInput');
+        const maxInput = document.getElementById('timelineMaxInput');
+        const playBtn = document.getElementById('timelinePlayBtn');
+        const resetBtn = document.getElementById('timelineResetBtn');
+        if (!minInput || !maxInput) return;
 
-            const marker = L.marker([artifact.lat, artifact.lng], {
-                icon: L.divIcon({
-                    className: 'custom-marker',
-                    html: '<div style="background-color: #ff4444; width: 12px; height: 12px; border-radius: 50%; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3);"></div>',
-                    iconSize: [16, 16],
-                    iconAnchor: [8, 8]
-                })
-            }).addTo(miniMap);
+        const maxPosition = this.getTimelineMaxPosition();
+        [minInput, maxInput].forEach(input => {
+            input.max = maxPosition;
+        });
 
-            container.style.cursor = 'pointer';
-            container.addEventListener('click', () => {
-                if (this.map) {
-                    this.map.setView([artifact.lat, artifact.lng], 10);
-                    document.getElementById('map')?.scrollIntoView({ behavior: 'smooth' });
+        // Labels follow the handles at once; the heavier redraw is debounced
+        const debouncedApply = this.debounce(() => this.applyTimelineRange(), 150);
+        const handleInput = (e) => {
+            this.stopTimelinePlayback();
+            // Keep the handles from crossing
+            if (parseInt(minInput.value, 10) > parseInt(maxInput.value, 10)) {
+                if (e.target === minInput) {
+                    minInput.value = maxInput.value;
+                } else {
+                    maxInput.value = minInput.value;
                 }
-            });
+            }
+            this.setTimelineRange(
+                this.getYearFromTimelinePosition(parseInt(minInput.value, 10)),
+                this.getYearFromTimelinePosition(parseInt(maxInput.value, 10))
+            );
+            debouncedApply();
+        };
+        minInput.addEventListener('input', handleInput);
+        maxInput.addEventListener('input', handleInput);
 
-            container.setAttribute('tabindex', '0');
-            container.setAttribute('role', 'button');
-            container.setAttribute('aria-label', `View ${artifact.title} location on main map`);
-            
-            container.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    container.click();
+        if (playBtn) {
+            playBtn.addEventListener('click', () => {
+                if (this.timelinePlayTimer) {
+                    this.stopTimelinePlayback();
+                } else {
+                    this.startTimelinePlayback();
                 }
             });
+        }
 
-        } catch (error) {
-            console.error('Error initializing mini-map:', error);
-            const container = document.getElementById(containerId);
-            if (container) {
-                container.innerHTML = '<div class="mini-map-unavailable">🌍 Map unavailable</div>';
-            }
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.stopTimelinePlayback();
+                this.setTimelineRange(null, null);
+                this.applyTimelineRange();
+            });
         }
+
+        this.updateTimelineControls();
     }
 
-    initMap() {
-        try {
-            this.map = L.map('map').setView([30, 0], 2);
+    getTimelineMaxPosition() {
+        return (this.timeframeBoundaries.length - 1) * this.timelineStepsPerEra;
+    }
 
-            L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Street_Map/MapServer/tile/{z}/{y}/{x}', {
-                attribution: '&copy; Esri &mdash; Source: Esri, DeLorme, NAVTEQ, USGS, Intermap, iPC, NRCAN, Esri Japan, METI, Esri China (Hong Kong), Esri (Thailand), TomTom, 2012',
-                maxZoom: 18
-            }).addTo(this.map);
+    getYearFromTimelinePosition(position) {
+        // Every era gets the same slider width, so the scale is non-linear in years.
+        // The two ends mean "no limit" so artifacts beyond the boundaries stay included
+        const boundaries = this.timeframeBoundaries;
+        if (position <= 0 || position >= this.getTimelineMaxPosition()) return null;
+
+        const era = Math.floor(position / this.timelineStepsPerEra);
+        const fraction = (position - era * this.timelineStepsPerEra) / this.timelineStepsPerEra;
+        const start = boundaries[era];
+        const width = boundaries[era + 1] - start;
+        // Round to a step that suits the era's span, e.g. 1000 years in the Palaeolithic
+        const step = Math.max(1, Math.pow(10, Math.floor(Math.log10(width)) - 2));
+        return Math.round((start + fraction * width) / step) * step;
+    }
 
-            const validArtifacts = this.artifacts.filter(artifact => 
-                this.isValidCoordinates(artifact.lat, artifact.lng)
-            );
+    getTimelinePositionFromYear(year, fallback) {
+        const boundaries = this.timeframeBoundaries;
+        if (year === null) return fallback;
+        if (year <= boundaries[0]) return 0;
+        if (year >= boundaries[boundaries.length - 1]) return this.getTimelineMaxPosition();
 
-            validArtifacts.forEach(artifact => {
-                const marker = L.marker([artifact.lat, artifact.lng], {
-                    icon: L.divIcon({
-                        className: 'custom-marker',
-                        html: '<div style="background-color: #ff4444; width: 12px; height: 12px; border-radius: 50%; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3);"></div>',
-                        iconSize: [16, 16],
-                        iconAnchor: [8, 8]
-                    })
-                }).addTo(this.map);
-
-                const year = this.formatYear(artifact.year);
-                const popupContent = `
-                    <div class="popup-title">${this.escapeHtml(artifact.title)}</div>
-                    <div class="popup-year">${year}</div>
-                    <img src="${this.escapeHtml(artifact.image)}" 
-                         alt="${this.escapeHtml(artifact.title)}" 
-                         class="popup-image clickable-image" 
-                         onerror="this.style.display='none'"
-                         loading="lazy" 
-                         style="cursor: pointer;" />
-                    <div style="margin-top: 10px; font-size: 0.85rem;">${this.escapeHtml(artifact.description || '')}</div>
-                `;
-                
-                marker.bindPopup(popupContent, {
-                    maxWidth: 200,
-                    className: 'custom-popup'
-                });
+        const era = this.getTimeframeIndex(year);
+        const fraction = (year - boundaries[era]) / (boundaries[era + 1] - boundaries[era]);
+        return Math.round((era + fraction) * this.timelineStepsPerEra);
+    }
 
-                marker.on('popupopen', () => {
-                    const popupImg = document.querySelector('.leaflet-popup .popup-image');
-                    if (popupImg) {
-                        popupImg.addEventListener('click', this.handleImageClick);
-                    }
-                });
-            });
+    setTimelineRange(yearMin, yearMax) {
+        // The timeline shares its range with the collection's year filter
+        this.filters.yearMin = yearMin;
+        this.filters.yearMax = yearMax;
 
-        } catch (error) {
-            console.error('Error initializing map:', error);
-            const mapContainer = document.getElementById('map');
-            if (mapContainer) {
-                mapContainer.innerHTML = '<div style="display: flex; align-items: center; justify-content: center; height: 100%; color: var(--light-green);">Map unavailable</div>';
-            }
+        const yearMinInput = document.getElementById('yearMinFilterInput');
+        const yearMaxInput = document.getElementById('yearMaxFilterInput');
+        if (yearMinInput) yearMinInput.value = yearMin === null ? '' : yearMin;
+        if (yearMaxInput) yearMaxInput.value = yearMax === null ? '' : yearMax;
+
+        this.updateTimelineControls();
+    }
+
+    applyTimelineRange() {
+        this.updateFacetCounts();
+        this.applySorting(this.currentSort);
+        this.renderMapMarkers();
+        this.drawCharts();
+    }
+
+    isInTimelineRange(artifact) {
+        const { yearMin, yearMax } = this.filters;
+        if (yearMin === null && yearMax === null) return true;
+        if (artifact.year === null || artifact.year === undefined || isNaN(artifact.year)) return false;
+        return (yearMin === null || artifact.year >= yearMin) && (yearMax === null || artifact.year <= yearMax);
+    }
+
+    getTimelineArtifacts() {
+        return this.artifacts.filter(artifact => this.isInTimelineRange(artifact));
+    }
+
+    updateTimelineControls() {
+        const minInput = document.getElementById('timelineMinInput');
+        const maxInput = document.getElementById('timelineMaxInput');
+        const rangeLabel = document.getElementById('timelineRangeLabel');
+        const playBtn = document.getElementById('timelinePlayBtn');
+        const { yearMin, yearMax } = this.filters;
+
+        const minText = yearMin === null ? 'Earliest' : this.formatYear(yearMin);
+        const maxText = yearMax === null ? 'Present' : this.formatYear(yearMax);
+
+        if (minInput && maxInput) {
+            minInput.value = this.getTimelinePositionFromYear(yearMin, 0);
+            maxInput.value = this.getTimelinePositionFromYear(yearMax, this.getTimelineMaxPosition());
+            minInput.setAttribute('aria-valuetext', minText);
+            maxInput.setAttribute('aria-valuetext', maxText);
+        }
+
+        if (rangeLabel) {
+            const count = this.getTimelineArtifacts().length;
+            rangeLabel.textContent = `${minText} – ${maxText} (${count} artifact${count !== 1 ? 's' : ''})`;
+        }
+
+        if (playBtn) {
+            playBtn.textContent = this.timelinePlayTimer ? '⏸ Pause' : '▶ Play Eras';
+            playBtn.setAttribute('aria-pressed', Boolean(this.timelinePlayTimer).toString());
         }
     }
 
+    startTimelinePlayback() {
+        const boundaries = this.timeframeBoundaries;
+        const eraCount = boundaries.length - 1;
+        // Continue from the era the range currently starts in
+        let era = this.filters.yearMin === null ? 0 : Math.max(0, this.getTimeframeIndex(this.filters.yearMin));
+
+        const showEra = () => {
+            if (era >= eraCount) {
+                this.stopTimelinePlayback();
+                return;
+            }
+            const yearMin = era === 0 ? null : boundaries[era];
+            const yearMax = era === eraCount - 1 ? null : boundaries[era + 1] - 1;
+            this.setTimelineRange(yearMin, yearMax);
+            this.applyTimelineRange();
+            era++;
+        };
+
+        this.timelinePlayTimer = setInterval(showEra, this.timelinePlayInterval);
+        showEra();
+        this.updateTimelineControls();
+    }
+
+    stopTimelinePlayback() {
+        if (!this.timelinePlayTimer) return;
+        clearInterval(this.timelinePlayTimer);
+        this.timelinePlayTimer = null;
+        this.updateTimelineControls();
+    }
+
     drawCharts() {
         try {
             this.drawLengthChart();
             this.drawYearChart();
+            this.drawDifficultyChart();
         } catch (error) {
             console.error('Error drawing charts:', error);
         }
@@ -1484,7 +7118,8 @@ createImageQualityBadge(artifact) {
                 this.chartInstances.lengthChart.destroy();
             }
 
-            const lengths = this.artifacts.map(a => a.descriptionLength);
+            const timelineArtifacts = this.getTimelineArtifacts();
+            const lengths = timelineArtifacts.length > 0 ? timelineArtifacts.map(a => a.descriptionLength) : [0];
             const maxLength = Math.max(...lengths);
             const minLength = Math.min(...lengths);
             const bucketCount = 15;
@@ -1550,284 +7185,1238 @@ createImageQualityBadge(artifact) {
                 }
             });
 
-        } catch (error) {
-            console.error('Error creating length chart:', error);
-        }
+        } catch (error) {
+            console.error('Error creating length chart:', error);
+        }
+    }
+
+    drawYearChart() {
+        const ctx = document.getElementById('yearChart')?.getContext('2d');
+        if (!ctx) return;
+
+        try {
+            if (this.chartInstances.yearChart) {
+                this.chartInstances.yearChart.destroy();
+            }
+
+            const timeframeCounts = new Array(this.timeframeBoundaries.length - 1).fill(0);
+            const timeframeLabels = this.getTimeframeLabels();
+
+            this.getTimelineArtifacts().forEach(artifact => {
+                const index = this.getTimeframeIndex(artifact.year);
+                if (index !== -1) {
+                    timeframeCounts[index]++;
+                }
+            });
+
+            this.chartInstances.yearChart = new Chart(ctx, {
+                type: 'line',
+                data: {
+                    labels: timeframeLabels,
+                    datasets: [{
+                        label: 'Artifacts per Timeframe',
+                        data: timeframeCounts,
+                        backgroundColor: 'rgba(255, 215, 0, 0.2)',
+                        borderColor: '#FFD700',
+                        borderWidth: 3,
+                        fill: true,
+                        tension: 0.4,
+                        pointBackgroundColor: '#FFFF00',
+                        pointBorderColor: '#FFD700',
+                        pointRadius: 6
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: {
+                            labels: {
+                                color: '#99EE99'
+                            }
+                        }
+                    },
+                    scales: {
+                        y: {
+                            beginAtZero: true,
+                            ticks: {
+                                color: '#99EE99'
+                            },
+                            grid: {
+                                color: 'rgba(153, 238, 153, 0.2)'
+                            }
+                        },
+                        x: {
+                            ticks: {
+                                color: '#99EE99',
+                                maxRotation: 45
+                            },
+                            grid: {
+                                color: 'rgba(153, 238, 153, 0.2)'
+                            }
+                        }
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('Error creating year chart:', error);
+        }
+    }
+
+    drawDifficultyChart() {
+        const ctx = document.getElementById('difficultyChart')?.getContext('2d');
+        if (!ctx) return;
+
+        try {
+            if (this.chartInstances.difficultyChart) {
+                this.chartInstances.difficultyChart.destroy();
+            }
+
+            const buckets = new Array(10).fill(0);
+            const bucketLabels = buckets.map((_, i) => `${i * 10}-${i === 9 ? 100 : i * 10 + 9}`);
+            this.getTimelineArtifacts().forEach(artifact => {
+                if (artifact.difficultyScore !== null && artifact.difficultyScore !== undefined) {
+                    buckets[Math.min(9, Math.floor(artifact.difficultyScore / 10))]++;
+                }
+            });
+
+            // Colour each bar by the difficulty level its range starts in
+            const levelColors = {
+                'difficulty-easy': 'rgba(76, 175, 80, 0.7)',
+                'difficulty-medium': 'rgba(255, 235, 59, 0.7)',
+                'difficulty-hard': 'rgba(255, 152, 0, 0.7)',
+                'difficulty-very-hard': 'rgba(244, 67, 54, 0.7)'
+            };
+            const barColors = buckets.map((_, i) => levelColors[this.getDifficultyLevel(i * 10).className]);
+
+            this.chartInstances.difficultyChart = new Chart(ctx, {
+                type: 'bar',
+                data: {
+                    labels: bucketLabels,
+                    datasets: [{
+                        label: 'Artifacts per Difficulty Score',
+                        data: buckets,
+                        backgroundColor: barColors,
+                        borderColor: '#99EE99',
+                        borderWidth: 2
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: {
+                            labels: {
+                                color: '#99EE99'
+                            }
+                        }
+                    },
+                    scales: {
+                        y: {
+                            beginAtZero: true,
+                            ticks: {
+                                color: '#99EE99'
+                            },
+                            grid: {
+                                color: 'rgba(153, 238, 153, 0.2)'
+                            }
+                        },
+                        x: {
+                            ticks: {
+                                color: '#99EE99'
+                            },
+                            grid: {
+                                color: 'rgba(153, 238, 153, 0.2)'
+                            }
+                        }
+                    }
+                }
+            });
+
+        } catch (error) {
+            console.error('Error creating difficulty chart:', error);
+        }
+    }
+
+    getDefaultScoringCurve() {
+        // Year falloff per timeframe: deep prehistory tolerates far larger misses
+        return {
+            maxPoints: 5000,
+            distanceFalloffKm: 2000,
+            yearFalloff: [250000, 50000, 10000, 1500, 300, 150, 100, 75, 60, 50, 35, 20]
+        };
+    }
+
+    loadScoringCurve() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.scoringCurveStorageKey));
+            if (!saved) return;
+
+            const defaults = this.getDefaultScoringCurve();
+            const isPositive = value => typeof value === 'number' && value > 0;
+            if (isPositive(saved.maxPoints) && isPositive(saved.distanceFalloffKm) &&
+                Array.isArray(saved.yearFalloff) && saved.yearFalloff.length === defaults.yearFalloff.length &&
+                saved.yearFalloff.every(isPositive)) {
+                this.scoringCurve = saved;
+            }
+        } catch (error) {
+            console.warn('Failed to load scoring curve:', error);
+        }
+    }
+
+    saveScoringCurve() {
+        try {
+            localStorage.setItem(this.scoringCurveStorageKey, JSON.stringify(this.scoringCurve));
+        } catch (error) {
+            console.warn('Failed to save scoring curve:', error);
+        }
+    }
+
+    calculateGuessScore(artifact, guess) {
+        const curve = this.scoringCurve;
+        const distanceKm = this.calculateDistanceKm(guess.lat, guess.lng, artifact.lat, artifact.lng);
+        const yearDelta = Math.abs(guess.year - artifact.year);
+        const era = this.getTimeframeIndex(artifact.year);
+        const yearFalloff = curve.yearFalloff[era === -1 ? curve.yearFalloff.length - 1 : era];
+
+        const distancePoints = Math.round(curve.maxPoints * Math.exp(-distanceKm / curve.distanceFalloffKm));
+        const yearPoints = Math.round(curve.maxPoints * Math.exp(-yearDelta / yearFalloff));
+
+        return { distanceKm, yearDelta, distancePoints, yearPoints, totalPoints: distancePoints + yearPoints };
+    }
+
+    getSimulatorArtifacts() {
+        return this.artifacts.filter(artifact =>
+            artifact.isPlayable && this.isValidCoordinates(artifact.lat, artifact.lng) && Number.isFinite(artifact.year)
+        );
+    }
+
+    setupSimulatorControls() {
+        const maxPointsInput = document.getElementById('simMaxPointsInput');
+        const distanceInput = document.getElementById('simDistanceFalloffInput');
+        const yearInputs = document.getElementById('simYearFalloffInputs');
+        const resetBtn = document.getElementById('simResetCurveBtn');
+        const artifactSelect = document.getElementById('simArtifactSelect');
+
+        if (yearInputs) {
+            yearInputs.innerHTML = this.getTimeframeLabels().map((label, index) => `
+                <label class="filter-label">${this.escapeHtml(label)}
+                    <input type="number" class="filter-input sim-year-falloff-input" data-era="${index}" min="1" step="1">
+                </label>
+            `).join('');
+        }
+
+        // Curve inputs only accept positive numbers; anything else snaps back
+        const bindCurveInput = (input, read, write) => {
+            if (!input) return;
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (value > 0) {
+                    write(value);
+                    this.saveScoringCurve();
+                    this.updateSimulator();
+                } else {
+                    input.value = read();
+                }
+            });
+        };
+
+        bindCurveInput(maxPointsInput, () => this.scoringCurve.maxPoints, value => { this.scoringCurve.maxPoints = value; });
+        bindCurveInput(distanceInput, () => this.scoringCurve.distanceFalloffKm, value => { this.scoringCurve.distanceFalloffKm = value; });
+        document.querySelectorAll('.sim-year-falloff-input').forEach(input => {
+            const era = parseInt(input.dataset.era, 10);
+            bindCurveInput(input, () => this.scoringCurve.yearFalloff[era], value => { this.scoringCurve.yearFalloff[era] = value; });
+        });
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.scoringCurve = this.getDefaultScoringCurve();
+                this.saveScoringCurve();
+                this.updateSimulatorControls();
+                this.updateSimulator();
+            });
+        }
+
+        if (artifactSelect) {
+            artifactSelect.addEventListener('change', (e) => {
+                this.simulatorArtifactId = e.target.value;
+                this.updateSimulator();
+            });
+        }
+
+        [['simGuessLatInput', 'lat'], ['simGuessLngInput', 'lng'], ['simGuessYearInput', 'year']].forEach(([id, key]) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                const guess = { ...this.simulatorGuess, [key]: value };
+                if (!isNaN(value) && this.isValidCoordinates(guess.lat, guess.lng)) {
+                    this.simulatorGuess = guess;
+                    this.updateSimulator();
+                } else {
+                    input.value = this.simulatorGuess[key];
+                }
+            });
+        });
+
+        this.initSimulatorMap();
+        this.populateSimulatorArtifacts();
+        this.updateSimulatorControls();
+        this.updateSimulator();
+    }
+
+    initSimulatorMap() {
+        try {
+            this.simulatorMap = L.map('simulatorMap', { scrollWheelZoom: false }).setView([30, 0], 2);
+
+            L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Street_Map/MapServer/tile/{z}/{y}/{x}', {
+                attribution: '',
+                maxZoom: 18
+            }).addTo(this.simulatorMap);
+
+            this.simulatorLayer = L.layerGroup().addTo(this.simulatorMap);
+            this.simulatorMap.on('click', (e) => {
+                this.simulatorGuess = {
+                    ...this.simulatorGuess,
+                    lat: Math.round(e.latlng.lat * 100) / 100,
+                    lng: Math.round(e.latlng.wrap().lng * 100) / 100
+                };
+                this.updateSimulatorControls();
+                this.updateSimulator();
+            });
+        } catch (error) {
+            console.error('Error initializing simulator map:', error);
+        }
+    }
+
+    populateSimulatorArtifacts() {
+        const select = document.getElementById('simArtifactSelect');
+        if (!select) return;
+
+        const artifacts = this.getSimulatorArtifacts().sort((a, b) => a.title.localeCompare(b.title));
+        if (!artifacts.some(artifact => artifact.id === this.simulatorArtifactId)) {
+            this.simulatorArtifactId = artifacts.length > 0 ? artifacts[0].id : null;
+        }
+
+        select.innerHTML = artifacts.map(artifact =>
+            `<option value="${this.escapeHtml(artifact.id)}">${this.escapeHtml(artifact.title)} (${this.formatYear(artifact.year)})</option>`
+        ).join('');
+        if (this.simulatorArtifactId) {
+            select.value = this.simulatorArtifactId;
+        }
+    }
+
+    updateSimulatorControls() {
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        };
+
+        setValue('simMaxPointsInput', this.scoringCurve.maxPoints);
+        setValue('simDistanceFalloffInput', this.scoringCurve.distanceFalloffKm);
+        setValue('simGuessLatInput', this.simulatorGuess.lat);
+        setValue('simGuessLngInput', this.simulatorGuess.lng);
+        setValue('simGuessYearInput', this.simulatorGuess.year);
+        document.querySelectorAll('.sim-year-falloff-input').forEach(input => {
+            input.value = this.scoringCurve.yearFalloff[parseInt(input.dataset.era, 10)];
+        });
+    }
+
+    updateSimulator() {
+        this.displaySimulatedGuess();
+        this.displaySimulationStats();
+    }
+
+    displaySimulatedGuess() {
+        const container = document.getElementById('simGuessResult');
+        const artifact = this.artifacts.find(a => a.id === this.simulatorArtifactId);
+        const guess = this.simulatorGuess;
+
+        if (this.simulatorLayer) {
+            this.simulatorLayer.clearLayers();
+            L.marker([guess.lat, guess.lng], { icon: this.createMarkerIcon('#ffff00'), title: 'Guess' }).addTo(this.simulatorLayer);
+            if (artifact) {
+                L.marker([artifact.lat, artifact.lng], { icon: this.createMarkerIcon('#4CAF50'), title: artifact.title }).addTo(this.simulatorLayer);
+                L.polyline([[guess.lat, guess.lng], [artifact.lat, artifact.lng]], {
+                    color: '#ffff00',
+                    weight: 2,
+                    dashArray: '6 6'
+                }).addTo(this.simulatorLayer);
+            }
+        }
+
+        if (!container) return;
+        if (!artifact) {
+            container.innerHTML = '<div class="loading">No playable artifacts with a location and year</div>';
+            return;
+        }
+
+        const result = this.calculateGuessScore(artifact, guess);
+        const maxTotal = this.scoringCurve.maxPoints * 2;
+        container.innerHTML = `
+            <div class="validation-count"><strong>${Math.round(result.distanceKm).toLocaleString()} km</strong> off</div>
+            <div class="validation-count"><strong>${result.yearDelta.toLocaleString()}</strong> year${result.yearDelta !== 1 ? 's' : ''} off (actual ${this.escapeHtml(this.formatYear(artifact.year))})</div>
+            <div class="validation-count"><strong>${result.distancePoints.toLocaleString()}</strong> distance points</div>
+            <div class="validation-count"><strong>${result.yearPoints.toLocaleString()}</strong> year points</div>
+            <div class="validation-count simulator-total"><strong>${result.totalPoints.toLocaleString()}</strong> of ${maxTotal.toLocaleString()} points</div>
+        `;
+    }
+
+    displaySimulationStats() {
+        const container = document.getElementById('simAggregateResult');
+        if (!container) return;
+
+        const results = this.getSimulatorArtifacts().map(artifact => ({
+            artifact,
+            ...this.calculateGuessScore(artifact, this.simulatorGuess)
+        }));
+        if (results.length === 0) {
+            container.innerHTML = '<div class="loading">No playable artifacts with a location and year</div>';
+            return;
+        }
+
+        const median = values => {
+            const sorted = [...values].sort((a, b) => a - b);
+            const middle = Math.floor(sorted.length / 2);
+            return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+        };
+        const totals = results.map(result => result.totalPoints);
+        const mean = Math.round(totals.reduce((sum, value) => sum + value, 0) / totals.length);
+        const maxTotal = this.scoringCurve.maxPoints * 2;
+        const halfOrMore = totals.filter(total => total >= maxTotal / 2).length;
+        const best = results.reduce((a, b) => (b.totalPoints > a.totalPoints ? b : a));
+        const { lat, lng, year } = this.simulatorGuess;
+
+        container.innerHTML = `
+            <div class="validation-count simulator-total"><strong>${median(totals).toLocaleString()}</strong> median points</div>
+            <div class="validation-count"><strong>${mean.toLocaleString()}</strong> mean points</div>
+            <div class="validation-count"><strong>${median(results.map(r => r.distancePoints)).toLocaleString()}</strong> median distance points</div>
+            <div class="validation-count"><strong>${median(results.map(r => r.yearPoints)).toLocaleString()}</strong> median year points</div>
+            <div class="validation-count"><strong>${halfOrMore}</strong> of ${results.length} rounds at half the maximum or better</div>
+            <div class="validation-count">Best round: <strong>${best.totalPoints.toLocaleString()}</strong> on ${this.escapeHtml(best.artifact.title)}</div>
+            <div class="validation-count">Guess: <strong>${lat}, ${lng}</strong> in ${this.escapeHtml(this.formatYear(year))}</div>
+        `;
+    }
+
+    createSeededRandom(seed) {
+        // FNV-1a hash of the seed text feeding a mulberry32 generator
+        let state = 2166136261;
+        for (let i = 0; i < seed.length; i++) {
+            state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+        }
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    generateRoundSet(settings) {
+        const { rounds, seed, minQuality, spreadContinents, spreadEras, uniqueAuthors } = settings;
+        const random = this.createSeededRandom(seed);
+
+        // Artifacts without a score only qualify while no minimum is set
+        const candidates = this.getSimulatorArtifacts().filter(artifact =>
+            minQuality <= 0 || artifact.imageQualityScore >= minQuality
+        );
+
+        // Seeded Fisher-Yates shuffle, so ties below resolve reproducibly
+        for (let i = candidates.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+        }
+
+        const continentCounts = new Map();
+        const eraCounts = new Map();
+        const usedAuthors = new Set();
+        const selected = [];
+
+        while (selected.length < rounds && candidates.length > 0) {
+            // Fewest picks from the artifact's continent first, then from its era
+            let bestIndex = -1;
+            let bestCost = Infinity;
+            candidates.forEach((artifact, index) => {
+                if (uniqueAuthors && usedAuthors.has(this.normalizeAuthor(artifact.author))) return;
+                const continentUses = spreadContinents ? (continentCounts.get(this.getArtifactContinent(artifact)) || 0) : 0;
+                const eraUses = spreadEras ? (eraCounts.get(this.getTimeframeIndex(artifact.year)) || 0) : 0;
+                const cost = continentUses * 1000 + eraUses;
+                if (cost < bestCost) {
+                    bestCost = cost;
+                    bestIndex = index;
+                }
+            });
+            if (bestIndex === -1) break;
+
+            const [artifact] = candidates.splice(bestIndex, 1);
+            const continent = this.getArtifactContinent(artifact);
+            const era = this.getTimeframeIndex(artifact.year);
+            continentCounts.set(continent, (continentCounts.get(continent) || 0) + 1);
+            eraCounts.set(era, (eraCounts.get(era) || 0) + 1);
+            usedAuthors.add(this.normalizeAuthor(artifact.author));
+            selected.push(artifact);
+        }
+
+        return { settings: { ...settings }, artifacts: selected, candidateCount: candidates.length + selected.length };
+    }
+
+    setupRoundGeneratorControls() {
+        const seedInput = document.getElementById('roundSeedInput');
+        const newSeedBtn = document.getElementById('newRoundSeedBtn');
+        const generateBtn = document.getElementById('generateRoundsBtn');
+        const exportBtn = document.getElementById('exportRoundsBtn');
+
+        if (seedInput && !seedInput.value) {
+            seedInput.value = this.createRoundSeed();
+        }
+        if (newSeedBtn && seedInput) {
+            newSeedBtn.addEventListener('click', () => {
+                seedInput.value = this.createRoundSeed();
+                this.handleGenerateRounds();
+            });
+        }
+        if (generateBtn) {
+            generateBtn.addEventListener('click', () => this.handleGenerateRounds());
+        }
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportRoundSet());
+        }
+        this.updateRoundConstraintAvailability();
+
+        try {
+            this.roundSetMap = L.map('roundSetMap', { scrollWheelZoom: false }).setView([30, 0], 2);
+
+            L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Street_Map/MapServer/tile/{z}/{y}/{x}', {
+                attribution: '',
+                maxZoom: 18
+            }).addTo(this.roundSetMap);
+
+            this.roundSetLayer = L.layerGroup().addTo(this.roundSetMap);
+        } catch (error) {
+            console.error('Error initializing round set map:', error);
+        }
+    }
+
+    updateRoundConstraintAvailability() {
+        // Continents come from the boundaries file, which loads after the controls are set up
+        const continentToggle = document.querySelector('.round-constraint-toggle[data-constraint="spreadContinents"]');
+        if (continentToggle) {
+            continentToggle.disabled = !this.worldBoundaries;
+            continentToggle.parentElement.title = this.worldBoundaries ? '' : 'World boundaries file not available';
+        }
+    }
+
+    createRoundSeed() {
+        return Math.random().toString(36).slice(2, 10);
+    }
+
+    getRoundGeneratorSettings() {
+        const rounds = parseInt(document.getElementById('roundCountInput')?.value, 10);
+        const minQuality = parseFloat(document.getElementById('roundMinQualityInput')?.value);
+        const settings = {
+            rounds: Math.min(50, Math.max(1, isNaN(rounds) ? 5 : rounds)),
+            seed: document.getElementById('roundSeedInput')?.value.trim() || 'originguessr',
+            minQuality: Math.min(100, Math.max(0, isNaN(minQuality) ? 0 : minQuality))
+        };
+        document.querySelectorAll('.round-constraint-toggle').forEach(toggle => {
+            settings[toggle.dataset.constraint] = toggle.checked && !toggle.disabled;
+        });
+        return settings;
+    }
+
+    handleGenerateRounds() {
+        this.roundSet = this.generateRoundSet(this.getRoundGeneratorSettings());
+        this.displayRoundSet();
     }
 
-    drawYearChart() {
-        const ctx = document.getElementById('yearChart')?.getContext('2d');
-        if (!ctx) return;
+    displayRoundSet() {
+        const summary = document.getElementById('roundSetSummary');
+        const list = document.getElementById('roundSetList');
+        const exportBtn = document.getElementById('exportRoundsBtn');
+        if (!summary || !list) return;
+
+        if (!this.roundSet) {
+            summary.innerHTML = '';
+            list.innerHTML = '';
+            if (exportBtn) exportBtn.disabled = true;
+            if (this.roundSetLayer) this.roundSetLayer.clearLayers();
+            return;
+        }
 
-        try {
-            if (this.chartInstances.yearChart) {
-                this.chartInstances.yearChart.destroy();
-            }
+        const { settings, artifacts, candidateCount } = this.roundSet;
+        const eraLabels = this.getTimeframeLabels();
+        const continents = new Set(artifacts.map(artifact => this.getArtifactContinent(artifact)));
+        const eras = new Set(artifacts.map(artifact => this.getTimeframeIndex(artifact.year)));
+        const shortfall = settings.rounds - artifacts.length;
+
+        summary.innerHTML = `
+            <div class="validation-count"><strong>${artifacts.length}</strong> of ${settings.rounds} rounds filled</div>
+            <div class="validation-count"><strong>${candidateCount}</strong> eligible artifacts</div>
+            ${this.worldBoundaries
+                ? `<div class="validation-count"><strong>${continents.size}</strong> continent${continents.size !== 1 ? 's' : ''}</div>`
+                : '<div class="validation-count severity-warning">Continents unknown: world boundaries not loaded</div>'}
+            <div class="validation-count"><strong>${eras.size}</strong> era${eras.size !== 1 ? 's' : ''}</div>
+            ${shortfall > 0 ? `<div class="validation-count severity-warning">Not enough eligible artifacts for ${shortfall} round${shortfall !== 1 ? 's' : ''}</div>` : ''}
+        `;
+        if (exportBtn) {
+            exportBtn.disabled = artifacts.length === 0;
+        }
 
-            const timeframeCounts = new Array(this.timeframeBoundaries.length - 1).fill(0);
-            const timeframeLabels = [];
-            
-            for (let i = 0; i < this.timeframeBoundaries.length - 1; i++) {
-                const start = this.timeframeBoundaries[i];
-                const end = this.timeframeBoundaries[i + 1];
-                
-                let label;
-                if (start < 0 && end <= 0) {
-                    label = `${Math.abs(end)} - ${Math.abs(start)} BCE`;
-                } else if (start < 0 && end > 0) {
-                    label = `${Math.abs(start)} BCE - ${end} CE`;
-                } else {
-                    label = `${start} - ${end} CE`;
-                }
-                
-                timeframeLabels.push(label);
-            }
+        list.innerHTML = artifacts.map((artifact, round) => `
+            <li class="validation-issue round-set-item">
+                <span class="validation-severity round-number">Round ${round + 1}</span>
+                ${artifact.image ? `<img src="${this.escapeHtml(artifact.image)}" alt="" class="duplicate-thumbnail" loading="lazy">` : ''}
+                <div class="validation-issue-info">
+                    <button type="button" class="validation-jump-link" data-index="${this.artifacts.indexOf(artifact)}" title="Show this artifact in the collection">
+                        ${this.escapeHtml(artifact.title || 'Untitled artifact')}
+                    </button>
+                    <div class="validation-message">
+                        ${this.escapeHtml(this.formatYear(artifact.year))} · ${this.escapeHtml(eraLabels[this.getTimeframeIndex(artifact.year)] || 'Unknown era')} ·
+                        ${this.escapeHtml(this.getArtifactContinent(artifact))} · ${this.escapeHtml(this.normalizeAuthor(artifact.author))}
+                        ${artifact.imageQualityScore > 0 ? ` · Quality ${artifact.imageQualityScore}/100` : ''}
+                    </div>
+                </div>
+            </li>
+        `).join('');
+        list.querySelectorAll('.validation-jump-link').forEach(link => {
+            link.addEventListener('click', () => this.jumpToArtifact(this.artifacts[link.dataset.index]));
+        });
 
-            this.artifacts.forEach(artifact => {
-                if (artifact.year !== null && artifact.year !== undefined && !isNaN(artifact.year)) {
-                    for (let i = 0; i < this.timeframeBoundaries.length - 1; i++) {
-                        const start = this.timeframeBoundaries[i];
-                        const end = this.timeframeBoundaries[i + 1];
-                        
-                        if (artifact.year >= start && artifact.year < end) {
-                            timeframeCounts[i]++;
-                            break;
-                        }
-                    }
-                }
+        if (this.roundSetLayer) {
+            this.roundSetLayer.clearLayers();
+            artifacts.forEach((artifact, round) => {
+                L.marker([artifact.lat, artifact.lng], {
+                    icon: L.divIcon({
+                        className: 'custom-marker',
+                        html: `<div class="round-marker">${round + 1}</div>`,
+                        iconSize: [24, 24],
+                        iconAnchor: [12, 12]
+                    }),
+                    title: `Round ${round + 1}: ${artifact.title}`
+                }).addTo(this.roundSetLayer);
             });
+            if (artifacts.length > 0) {
+                this.roundSetMap.fitBounds(L.latLngBounds(artifacts.map(artifact => [artifact.lat, artifact.lng])), { padding: [30, 30], maxZoom: 6 });
+            }
+        }
+    }
 
-            this.chartInstances.yearChart = new Chart(ctx, {
-                type: 'line',
-                data: {
-                    labels: timeframeLabels,
-                    datasets: [{
-                        label: 'Artifacts per Timeframe',
-                        data: timeframeCounts,
-                        backgroundColor: 'rgba(255, 215, 0, 0.2)',
-                        borderColor: '#FFD700',
-                        borderWidth: 3,
-                        fill: true,
-                        tension: 0.4,
-                        pointBackgroundColor: '#FFFF00',
-                        pointBorderColor: '#FFD700',
-                        pointRadius: 6
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                        legend: {
-                            labels: {
-                                color: '#99EE99'
-                            }
-                        }
-                    },
-                    scales: {
-                        y: {
-                            beginAtZero: true,
-                            ticks: {
-                                color: '#99EE99'
-                            },
-                            grid: {
-                                color: 'rgba(153, 238, 153, 0.2)'
-                            }
-                        },
-                        x: {
-                            ticks: {
-                                color: '#99EE99',
-                                maxRotation: 45
-                            },
-                            grid: {
-                                color: 'rgba(153, 238, 153, 0.2)'
-                            }
-                        }
-                    }
-                }
-            });
+    exportRoundSet() {
+        if (!this.roundSet || this.roundSet.artifacts.length === 0) return;
+
+        const { settings, artifacts } = this.roundSet;
+        const eraLabels = this.getTimeframeLabels();
+        const data = {
+            generatedAt: new Date().toISOString(),
+            settings,
+            rounds: artifacts.map((artifact, round) => ({
+                round: round + 1,
+                id: artifact.id,
+                title: artifact.title,
+                year: artifact.year,
+                era: eraLabels[this.getTimeframeIndex(artifact.year)] || null,
+                lat: artifact.lat,
+                lng: artifact.lng,
+                continent: this.getArtifactContinent(artifact),
+                country: this.getArtifactCountry(artifact),
+                image: artifact.image || null,
+                author: this.normalizeAuthor(artifact.author),
+                license: this.normalizeLicense(artifact.license, artifact.author),
+                imageQualityScore: artifact.imageQualityScore > 0 ? artifact.imageQualityScore : null
+            }))
+        };
 
+        try {
+            this.downloadFile(`round-set-${settings.seed.replace(/[^\w-]+/g, '_')}.json`, JSON.stringify(data, null, 2) + '\n', 'application/json');
         } catch (error) {
-            console.error('Error creating year chart:', error);
+            console.error('Error exporting round set:', error);
         }
     }
 
     setupLinkTesting() {
         const testButton = document.getElementById('testLinksBtn');
+        const retestButton = document.getElementById('retestFailuresBtn');
+        const cancelButton = document.getElementById('cancelLinkTestBtn');
         if (testButton) {
             testButton.addEventListener('click', this.handleLinkTest);
         }
+        if (retestButton) {
+            retestButton.addEventListener('click', () => this.handleRetestFailures());
+        }
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => {
+                if (this.linkCheckController) {
+                    this.linkCheckController.abort();
+                }
+            });
+        }
     }
 
     async handleLinkTest() {
+        this.linkTestResults.clear();
+        this.linkTestResultsRun = null;
+        const jobs = [];
+        this.artifacts.forEach(artifact => {
+            this.linkTestResults.set(artifact.id, { image: null, authorLink: null });
+            if (artifact.image) {
+                jobs.push({ artifact, field: 'image' });
+            }
+            if (artifact.authorLink && this.isValidUrl(artifact.authorLink)) {
+                jobs.push({ artifact, field: 'authorLink' });
+            }
+        });
+
+        await this.runLinkTest(jobs, 'full');
+    }
+
+    async handleRetestFailures() {
+        const jobs = [];
+        this.artifacts.forEach(artifact => {
+            const linkResult = this.linkTestResults.get(artifact.id);
+            if (!linkResult) return;
+            ['image', 'authorLink'].forEach(field => {
+                if (linkResult[field] && this.isLinkFailure(linkResult[field]) && artifact[field]) {
+                    jobs.push({ artifact, field });
+                }
+            });
+        });
+
+        if (jobs.length > 0) {
+            await this.runLinkTest(jobs, 'failures');
+        }
+    }
+
+    async runLinkTest(jobs, scope) {
         const testButton = document.getElementById('testLinksBtn');
+        const retestButton = document.getElementById('retestFailuresBtn');
+        const cancelButton = document.getElementById('cancelLinkTestBtn');
         const testProgress = document.getElementById('testProgress');
         const testResults = document.getElementById('testResults');
-        
-        if (!testButton || !testProgress || !testResults) return;
+
+        if (!testButton || !testProgress || !testResults || this.linkCheckController) return;
+
+        this.linkCheckController = new AbortController();
+        const { signal } = this.linkCheckController;
+        const startedAt = new Date().toISOString();
 
         testButton.disabled = true;
         testButton.textContent = 'Testing Links...';
+        if (retestButton) retestButton.disabled = true;
+        if (cancelButton) cancelButton.style.display = '';
         testProgress.style.display = 'block';
         testResults.innerHTML = '';
 
-        const brokenLinks = [];
-        const totalTests = this.artifacts.length * 2;
         let completed = 0;
+        let nextJob = 0;
+        const updateProgress = () => {
+            const percent = jobs.length > 0 ? Math.round(completed / jobs.length * 100) : 100;
+            testProgress.textContent = `Testing links... ${completed}/${jobs.length} (${percent}%)`;
+        };
 
-        try {
-            for (const artifact of this.artifacts) {
-                if (artifact.image) {
-                    try {
-                        const imageResponse = await this.testUrl(artifact.image);
-                        if (!imageResponse.ok) {
-                            brokenLinks.push({
-                                artifact: artifact.title,
-                                url: artifact.image,
-                                type: 'Image',
-                                error: `HTTP ${imageResponse.status || 'Unknown'}`
-                            });
-                        }
-                    } catch (error) {
-                        brokenLinks.push({
-                            artifact: artifact.title,
-                            url: artifact.image,
-                            type: 'Image',
-                            error: error.message || 'Connection failed'
-                        });
-                    }
-                }
-
-                completed++;
-                testProgress.textContent = `Testing links... ${completed}/${totalTests} (${Math.round(completed/totalTests*100)}%)`;
+        // A fixed number of workers pull from the shared queue until it runs dry
+        const worker = async () => {
+            while (nextJob < jobs.length && !signal.aborted) {
+                const { artifact, field } = jobs[nextJob++];
+                const result = await this.checkLink(artifact[field], field === 'image' ? 'image' : 'page', signal);
+                if (signal.aborted) return;
 
-                if (artifact.authorLink && this.isValidUrl(artifact.authorLink)) {
-                    try {
-                        const authorResponse = await this.testUrl(artifact.authorLink);
-                        if (!authorResponse.ok) {
-                            brokenLinks.push({
-                                artifact: artifact.title,
-                                url: artifact.authorLink,
-                                type: 'Author Link',
-                                error: `HTTP ${authorResponse.status || 'Unknown'}`
-                            });
-                        }
-                    } catch (error) {
-                        brokenLinks.push({
-                            artifact: artifact.title,
-                            url: artifact.authorLink,
-                            type: 'Author Link',
-                            error: error.message || 'Connection failed'
-                        });
-                    }
+                const linkResult = this.linkTestResults.get(artifact.id);
+                if (linkResult) {
+                    linkResult[field] = result;
                 }
-
                 completed++;
-                testProgress.textContent = `Testing links... ${completed}/${totalTests} (${Math.round(completed/totalTests*100)}%)`;
-
-                await this.delay(50);
+                updateProgress();
             }
+        };
 
-            this.displayTestResults(brokenLinks, totalTests, testProgress, testResults);
+        try {
+            updateProgress();
+            const workerCount = Math.min(this.linkCheckConcurrency, jobs.length);
+            await Promise.all(Array.from({ length: workerCount }, worker));
+
+            // Cancelled runs are incomplete and would skew the comparison
+            if (!signal.aborted) {
+                this.recordLinkTestRun(startedAt, scope);
+                this.displayLinkTestHistory();
+            }
+            this.displayTestResults(testProgress, testResults, signal.aborted ? { completed, total: jobs.length } : null);
 
         } catch (error) {
             console.error('Error during link testing:', error);
             testResults.innerHTML = `
                 <div class="error-message">
                     <h3>Error During Testing</h3>
-                    <p>Testing was interrupted: ${error.message}</p>
+                    <p>Testing was interrupted: ${this.escapeHtml(error.message)}</p>
                 </div>
             `;
         } finally {
+            this.linkCheckController = null;
             testProgress.style.display = 'none';
             testButton.disabled = false;
             testButton.textContent = 'Test Every Artifact Link';
+            if (cancelButton) cancelButton.style.display = 'none';
+            if (retestButton) {
+                retestButton.disabled = this.getLinkTestEntries().every(entry => !this.isLinkFailure(entry.result));
+            }
         }
     }
 
-    displayTestResults(brokenLinks, totalTests, testProgress, testResults) {
+    getLinkTestEntries() {
+        // Flatten the per-artifact results into one entry per tested link
+        const entries = [];
+        this.artifacts.forEach(artifact => {
+            const linkResult = this.linkTestResults.get(artifact.id);
+            if (!linkResult) return;
+            [['image', 'Image'], ['authorLink', 'Author Link']].forEach(([field, type]) => {
+                if (linkResult[field]) {
+                    entries.push({ artifact, field, type, result: linkResult[field] });
+                }
+            });
+        });
+        return entries;
+    }
+
+    isLinkFailure(result) {
+        return ['not-found', 'timeout', 'error'].includes(result.status);
+    }
+
+    formatLinkResult(result, url) {
+        if (!result) return url ? 'Not tested' : 'No link';
+        const label = this.linkStatusLabels[result.status] || result.status;
+        return result.httpStatus ? `${label} (HTTP ${result.httpStatus})` : label;
+    }
+
+    displayTestResults(testProgress, testResults, cancelled = null) {
         testProgress.style.display = 'none';
 
-        if (brokenLinks.length === 0) {
-            testResults.innerHTML = `
-                <div class="success-message">
-                    <strong>All Links Working!</strong><br>
-                    All ${totalTests} links tested successfully.
+        const entries = this.getLinkTestEntries();
+        const counts = {};
+        entries.forEach(({ result }) => {
+            counts[result.status] = (counts[result.status] || 0) + 1;
+        });
+        const failures = entries.filter(entry => this.isLinkFailure(entry.result));
+        const redirects = entries.filter(entry => entry.result.status === 'redirect');
+        const opaque = entries.filter(entry => entry.result.status === 'opaque');
+        const streaks = cancelled ? new Map() : this.getLinkFailureStreaks();
+
+        const createLinkElement = ({ artifact, type, result }) => {
+            const streak = streaks.get(result.url);
+            return `
+                <div class="broken-link link-status-${result.status}">
+                    <div class="broken-link-title">${this.escapeHtml(artifact.title)} - ${this.escapeHtml(type)}</div>
+                    <div class="broken-link-url">${this.escapeHtml(result.url)}</div>
+                    <div class="broken-link-error">${this.escapeHtml(this.formatLinkResult(result))}${result.message ? `: ${this.escapeHtml(result.message)}` : ''}</div>
+                    ${streak && streak.count > 1 ? `<div class="broken-link-streak">Failing for ${streak.count} runs in a row</div>` : ''}
                 </div>
             `;
-        } else {
-            testResults.innerHTML = `
-                <div style="background: rgba(255, 100, 100, 0.2); border: 2px solid #ff4444; border-radius: 10px; padding: 20px; margin-bottom: 20px; text-align: center;">
-                    <strong>Found ${brokenLinks.length} broken link${brokenLinks.length !== 1 ? 's' : ''}</strong>
+        };
+
+        testResults.innerHTML = `
+            ${cancelled ? `<div class="test-progress">Testing cancelled after ${cancelled.completed} of ${cancelled.total} links; showing the results collected so far.</div>` : ''}
+            <div class="validation-summary link-status-summary">
+                ${Object.entries(this.linkStatusLabels).map(([status, label]) => `
+                    <div class="validation-count link-status-${status}"><strong>${counts[status] || 0}</strong> ${label}</div>
+                `).join('')}
+            </div>
+            ${failures.length === 0
+                ? `<div class="success-message"><strong>No broken links found!</strong><br>${entries.length} link${entries.length !== 1 ? 's' : ''} checked.</div>`
+                : `<div class="broken-links-heading"><strong>Found ${failures.length} broken link${failures.length !== 1 ? 's' : ''}</strong></div>
+                   ${failures.map(createLinkElement).join('')}`}
+            ${redirects.length > 0 ? `
+                <details class="link-status-details">
+                    <summary>${redirects.length} redirected link${redirects.length !== 1 ? 's' : ''}</summary>
+                    ${redirects.map(createLinkElement).join('')}
+                </details>
+            ` : ''}
+            ${opaque.length > 0 ? `
+                <details class="link-status-details">
+                    <summary>${opaque.length} link${opaque.length !== 1 ? 's' : ''} that could not be verified from the browser</summary>
+                    ${opaque.map(createLinkElement).join('')}
+                </details>
+            ` : ''}
+        `;
+    }
+
+    getLinkTestHistoryKey() {
+        // Runs of different lists have nothing in common to compare
+        return `${this.linkTestHistoryStorageKey}:${this.dataSource ? this.dataSource.name : this.defaultDataUrl}`;
+    }
+
+    loadLinkTestHistory() {
+        this.linkTestHistory = [];
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.getLinkTestHistoryKey()));
+            if (Array.isArray(saved)) {
+                this.linkTestHistory = saved.filter(run => run && run.finishedAt && Array.isArray(run.failures));
+            }
+        } catch (error) {
+            console.warn('Failed to load link test history:', error);
+        }
+    }
+
+    saveLinkTestHistory() {
+        try {
+            localStorage.setItem(this.getLinkTestHistoryKey(), JSON.stringify(this.linkTestHistory));
+        } catch (error) {
+            console.warn('Failed to save link test history:', error);
+        }
+    }
+
+    recordLinkTestRun(startedAt, scope) {
+        // A re-test only refreshes the failures of the run it came from, so it updates that run
+        // instead of adding another one to the streaks and diffs
+        let retests = 0;
+        if (scope === 'failures') {
+            const base = this.linkTestHistory[0];
+            if (!base || base.startedAt !== this.linkTestResultsRun) return;
+            this.linkTestHistory.shift();
+            startedAt = base.startedAt;
+            retests = (base.retests || 0) + 1;
+        }
+
+        // Only failures are stored per URL; working links are kept as counts
+        const entries = this.getLinkTestEntries();
+        const counts = {};
+        entries.forEach(({ result }) => {
+            counts[result.status] = (counts[result.status] || 0) + 1;
+        });
+        const failures = entries.filter(entry => this.isLinkFailure(entry.result)).map(({ artifact, type, result }) => ({
+            url: result.url,
+            type,
+            artifactId: artifact.id,
+            title: artifact.title,
+            status: result.status,
+            httpStatus: result.httpStatus,
+            message: result.message
+        }));
+
+        // Diff against the previous run while the tested URLs are still at hand
+        const previous = this.linkTestHistory[0];
+        const previousUrls = new Set(previous ? previous.failures.map(failure => failure.url) : []);
+        const currentUrls = new Set(failures.map(failure => failure.url));
+        const testedUrls = new Set(entries.map(entry => entry.result.url));
+
+        this.linkTestHistory.unshift({
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            scope: 'full',
+            retests,
+            total: entries.length,
+            counts,
+            failures,
+            newlyBroken: previous ? failures.filter(failure => !previousUrls.has(failure.url)).map(failure => failure.url) : [],
+            fixed: previous ? previous.failures.filter(failure => !currentUrls.has(failure.url) && testedUrls.has(failure.url)) : []
+        });
+        this.linkTestHistory.length = Math.min(this.linkTestHistory.length, this.linkTestHistoryLimit);
+        this.linkTestResultsRun = startedAt;
+        this.saveLinkTestHistory();
+    }
+
+    getLinkFailureStreaks() {
+        // Consecutive most recent runs in which each URL failed
+        const streaks = new Map();
+        const latest = this.linkTestHistory[0];
+        if (!latest) return streaks;
+
+        latest.failures.forEach(({ url }) => {
+            let count = 0;
+            while (count < this.linkTestHistory.length &&
+                this.linkTestHistory[count].failures.some(failure => failure.url === url)) {
+                count++;
+            }
+            streaks.set(url, { count, since: this.linkTestHistory[count - 1].startedAt });
+        });
+        return streaks;
+    }
+
+    formatRunDate(timestamp) {
+        return new Date(timestamp).toLocaleString();
+    }
+
+    setupLinkTestHistoryControls() {
+        document.querySelectorAll('.link-history-export-btn').forEach(button => {
+            button.addEventListener('click', () => this.exportBrokenLinks(button.dataset.format));
+        });
+
+        const clearBtn = document.getElementById('clearLinkHistoryBtn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                if (!confirm('Delete every saved link test run?')) return;
+                this.linkTestHistory = [];
+                this.saveLinkTestHistory();
+                this.displayLinkTestHistory();
+            });
+        }
+
+        this.displayLinkTestHistory();
+    }
+
+    displayLinkTestHistory() {
+        const summary = document.getElementById('linkHistorySummary');
+        const details = document.getElementById('linkHistoryDetails');
+        if (!summary || !details) return;
+
+        document.querySelectorAll('.link-history-export-btn, #clearLinkHistoryBtn').forEach(button => {
+            button.disabled = this.linkTestHistory.length === 0;
+        });
+
+        const latest = this.linkTestHistory[0];
+        if (!latest) {
+            summary.innerHTML = '<div class="loading">No saved runs yet. Results are kept in this browser after each test.</div>';
+            details.innerHTML = '';
+            return;
+        }
+
+        const streaks = this.getLinkFailureStreaks();
+        const hasPrevious = this.linkTestHistory.length > 1;
+        const newlyBroken = new Set(latest.newlyBroken);
+        const stillBroken = latest.failures.filter(failure => !newlyBroken.has(failure.url));
+
+        summary.innerHTML = `
+            <div class="validation-count">Last run <strong>${this.escapeHtml(this.formatRunDate(latest.finishedAt))}</strong></div>
+            <div class="validation-count link-status-error"><strong>${latest.failures.length}</strong> broken</div>
+            ${hasPrevious ? `
+                <div class="validation-count link-status-not-found"><strong>${latest.newlyBroken.length}</strong> newly broken since last run</div>
+                <div class="validation-count link-status-ok"><strong>${latest.fixed.length}</strong> fixed since last run</div>
+            ` : '<div class="validation-count">First saved run; nothing to compare yet</div>'}
+        `;
+
+        const createFailureItem = failure => {
+            const streak = streaks.get(failure.url);
+            const streakText = streak && streak.count > 1
+                ? ` · failing for ${streak.count} runs since ${this.formatRunDate(streak.since)}`
+                : '';
+            return `
+                <div class="broken-link link-status-${this.escapeHtml(failure.status)}">
+                    <div class="broken-link-title">${this.escapeHtml(failure.title)} - ${this.escapeHtml(failure.type)}</div>
+                    <div class="broken-link-url">${this.escapeHtml(failure.url)}</div>
+                    <div class="broken-link-error">${this.escapeHtml(this.formatLinkResult(failure))}${this.escapeHtml(streakText)}</div>
                 </div>
             `;
+        };
+        const createGroup = (label, items, createItem, open = false) => items.length === 0 ? '' : `
+            <details class="link-status-details"${open ? ' open' : ''}>
+                <summary>${items.length} ${label}</summary>
+                ${items.map(createItem).join('')}
+            </details>
+        `;
 
-            brokenLinks.forEach(link => {
-                const brokenElement = document.createElement('div');
-                brokenElement.className = 'broken-link';
-                brokenElement.innerHTML = `
-                    <div class="broken-link-title">${this.escapeHtml(link.artifact)} - ${this.escapeHtml(link.type)}</div>
-                    <div class="broken-link-url">${this.escapeHtml(link.url)}</div>
-                    <div style="color: #ff6666; font-size: 0.8rem; margin-top: 5px;">Error: ${this.escapeHtml(link.error)}</div>
-                `;
-                testResults.appendChild(brokenElement);
-            });
+        details.innerHTML = `
+            ${hasPrevious ? createGroup('newly broken since last run', latest.failures.filter(failure => newlyBroken.has(failure.url)), createFailureItem, true) : ''}
+            ${hasPrevious ? createGroup('fixed since last run', latest.fixed, failure => `
+                <div class="broken-link link-status-ok">
+                    <div class="broken-link-title">${this.escapeHtml(failure.title)} - ${this.escapeHtml(failure.type)}</div>
+                    <div class="broken-link-url">${this.escapeHtml(failure.url)}</div>
+                    <div class="broken-link-error">Was: ${this.escapeHtml(this.formatLinkResult(failure))}</div>
+                </div>
+            `) : ''}
+            ${createGroup(hasPrevious ? 'still broken' : 'broken', hasPrevious ? stillBroken : latest.failures, createFailureItem)}
+            <details class="link-status-details">
+                <summary>${this.linkTestHistory.length} saved run${this.linkTestHistory.length !== 1 ? 's' : ''}</summary>
+                <table class="coverage-table link-history-table">
+                    <thead>
+                        <tr><th scope="col">Finished</th><th scope="col">Scope</th><th scope="col">Links</th><th scope="col">Broken</th><th scope="col">New</th><th scope="col">Fixed</th></tr>
+                    </thead>
+                    <tbody>
+                        ${this.linkTestHistory.map(run => `
+                            <tr>
+                                <td>${this.escapeHtml(this.formatRunDate(run.finishedAt))}</td>
+                                <td>${run.retests ? `Full + ${run.retests} re-test${run.retests !== 1 ? 's' : ''}` : 'Full'}</td>
+                                <td>${run.total}</td>
+                                <td>${run.failures.length}</td>
+                                <td>${run.newlyBroken.length}</td>
+                                <td>${run.fixed.length}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </details>
+        `;
+    }
+
+    exportBrokenLinks(format) {
+        const latest = this.linkTestHistory[0];
+        if (!latest) return;
+
+        const streaks = this.getLinkFailureStreaks();
+        const rows = latest.failures.map(failure => {
+            const streak = streaks.get(failure.url);
+            return {
+                title: failure.title,
+                type: failure.type,
+                url: failure.url,
+                status: this.linkStatusLabels[failure.status] || failure.status,
+                httpStatus: failure.httpStatus,
+                message: failure.message,
+                failingRuns: streak ? streak.count : 1,
+                failingSince: streak ? streak.since : latest.startedAt
+            };
+        });
+        const date = latest.finishedAt.slice(0, 10);
+
+        try {
+            if (format === 'csv') {
+                this.downloadFile(`broken-links-${date}.csv`, this.toCsv(rows), 'text/csv');
+            } else if (format === 'markdown') {
+                const escapeCell = value => (value === null || value === undefined ? '' : String(value))
+                    .replace(/\|/g, '\\|')
+                    .replace(/\s+/g, ' ');
+                const lines = [
+                    `# Broken Links (${this.formatRunDate(latest.finishedAt)})`,
+                    '',
+                    `${rows.length} broken of ${latest.total} links checked.`,
+                    '',
+                    '| Artifact | Type | URL | Status | Failing Runs | Failing Since |',
+                    '| --- | --- | --- | --- | ---: | --- |',
+                    ...rows.map(row => `| ${escapeCell(row.title)} | ${escapeCell(row.type)} | ${escapeCell(row.url)} | ` +
+                        `${escapeCell(row.status)}${row.httpStatus ? ` (HTTP ${row.httpStatus})` : ''} | ${row.failingRuns} | ${escapeCell(row.failingSince.slice(0, 10))} |`)
+                ];
+                this.downloadFile(`broken-links-${date}.md`, lines.join('\n') + '\n', 'text/markdown');
+            }
+        } catch (error) {
+            console.error(`Error exporting broken links as ${format}:`, error);
         }
     }
 
-    async testUrl(url, timeout = 8000) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), timeout);
+    async checkLink(url, kind, signal) {
+        const base = { url, status: 'error', httpStatus: null, message: '' };
+        const timeoutResult = { ...base, status: 'timeout', message: `No response within ${this.linkCheckTimeout / 1000}s` };
 
         try {
-            if (this.isImageUrl(url)) {
-                clearTimeout(timeoutId);
-                return await this.testImageUrl(url, timeout);
+            // Wiki pages refuse cross-origin reads, but the MediaWiki API answers
+            // whether the page exists, which catches dead user pages
+            const wikiPage = kind === 'page' ? this.getWikiPageInfo(url) : null;
+            if (wikiPage) {
+                return { ...base, ...(await this.checkWikiPage(wikiPage, signal)) };
             }
 
-            const response = await fetch(url, {
-                method: 'HEAD',
-                signal: controller.signal,
-                mode: 'no-cors'
-            });
-            clearTimeout(timeoutId);
-            return { ok: true, status: 200 };
+            let response = await this.fetchWithTimeout(url, { method: 'HEAD', mode: 'cors' }, signal);
+            if (response.status === 405 || response.status === 501) {
+                // Some servers only answer GET
+                response = await this.fetchWithTimeout(url, { method: 'GET', mode: 'cors' }, signal);
+            }
+            return { ...base, ...this.classifyLinkResponse(response) };
         } catch (error) {
-            clearTimeout(timeoutId);
-            if (error.name === 'AbortError') {
-                throw new Error('Request timeout');
+            if (signal.aborted) return { ...base, message: 'Cancelled' };
+            if (error.name === 'TimeoutError') return timeoutResult;
+        }
+
+        // Blocked by CORS or unreachable. Images can still be checked by loading them
+        if (kind === 'image') {
+            return { ...base, ...(await this.testImageUrl(url, this.linkCheckTimeout)) };
+        }
+
+        try {
+            await this.fetchWithTimeout(url, { method: 'GET', mode: 'no-cors' }, signal);
+            // An opaque response proves the server answered, not that the page exists
+            return { ...base, status: 'opaque', message: 'The server answered, but cross-origin rules hide the status' };
+        } catch (error) {
+            if (signal.aborted) return { ...base, message: 'Cancelled' };
+            if (error.name === 'TimeoutError') return timeoutResult;
+            return { ...base, message: error.message || 'Connection failed' };
+        }
+    }
+
+    async fetchWithTimeout(url, options, signal) {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timeoutId = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.linkCheckTimeout);
+        const abort = () => controller.abort();
+        signal.addEventListener('abort', abort);
+
+        try {
+            return await fetch(url, { ...options, signal: controller.signal });
+        } catch (error) {
+            if (timedOut) {
+                const timeoutError = new Error('Request timeout');
+                timeoutError.name = 'TimeoutError';
+                throw timeoutError;
             }
             throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            signal.removeEventListener('abort', abort);
+        }
+    }
+
+    classifyLinkResponse(response) {
+        const httpStatus = response.status;
+        if (httpStatus === 404 || httpStatus === 410) {
+            return { status: 'not-found', httpStatus, message: '' };
+        }
+        if (!response.ok) {
+            return { status: 'error', httpStatus, message: '' };
+        }
+        if (response.redirected) {
+            return { status: 'redirect', httpStatus, message: `Redirects to ${response.url}` };
+        }
+        return { status: 'ok', httpStatus, message: '' };
+    }
+
+    getWikiPageInfo(url) {
+        try {
+            const parsed = new URL(url);
+            if (!/(^|\.)(wikipedia|wikimedia|wikidata|wiktionary|wikiquote|wikisource)\.org$/.test(parsed.hostname)) {
+                return null;
+            }
+
+            let title = null;
+            if (parsed.pathname.startsWith('/wiki/')) {
+                title = decodeURIComponent(parsed.pathname.slice('/wiki/'.length));
+            } else if (parsed.pathname === '/w/index.php') {
+                title = parsed.searchParams.get('title');
+            }
+            return title ? { host: parsed.hostname, title: title.replace(/_/g, ' ') } : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async checkWikiPage({ host, title }, signal) {
+        const apiUrl = `https://${host}/w/api.php?action=query&format=json&formatversion=2&redirects=1&origin=*&titles=${encodeURIComponent(title)}`;
+        const response = await this.fetchWithTimeout(apiUrl, { method: 'GET', mode: 'cors' }, signal);
+        if (!response.ok) {
+            return { status: 'error', httpStatus: response.status, message: 'Wiki API request failed' };
+        }
+
+        const data = await response.json();
+        const page = data.query && data.query.pages && data.query.pages[0];
+        if (!page || page.missing || page.invalid) {
+            return { status: 'not-found', httpStatus: null, message: `Wiki page "${title}" does not exist` };
         }
+        if (data.query.redirects && data.query.redirects.length > 0) {
+            return { status: 'redirect', httpStatus: null, message: `Redirects to "${page.title}"` };
+        }
+        return { status: 'ok', httpStatus: null, message: '' };
     }
 
     testImageUrl(url, timeout = 8000) {
+        // Load errors don't expose a status code, so only "loads or not" is known
         return new Promise((resolve) => {
             const img = new Image();
             const timeoutId = setTimeout(() => {
-                resolve({ ok: false, status: 408 });
+                img.src = '';
+                resolve({ status: 'timeout', message: `Image did not load within ${timeout / 1000}s` });
             }, timeout);
 
             img.onload = () => {
                 clearTimeout(timeoutId);
-                resolve({ ok: true, status: 200 });
+                resolve({ status: 'ok', message: 'Loaded as an image' });
             };
 
             img.onerror = () => {
                 clearTimeout(timeoutId);
-                resolve({ ok: false, status: 404 });
+                resolve({ status: 'error', message: 'Image failed to load' });
             };
 
             img.src = url;
         });
     }
 
-    isImageUrl(url) {
-        const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg', '.bmp'];
-        const urlLower = url.toLowerCase();
-        return imageExtensions.some(ext => urlLower.includes(ext));
-    }
-
     setupKeyboardNavigation() {
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
@@ -1871,6 +8460,28 @@ createImageQualityBadge(artifact) {
         }
     }
 
+    debounce(func, wait) {
+        let timeoutId;
+        return function() {
+            const args = arguments;
+            const context = this;
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => func.apply(context, args), wait);
+        }
+    }
+
+    downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
@@ -1910,6 +8521,8 @@ createImageQualityBadge(artifact) {
     }
 
     destroy() {
+        this.stopTimelinePlayback();
+
         Object.values(this.chartInstances).forEach(chart => {
             if (chart && typeof chart.destroy === 'function') {
                 chart.destroy();
@@ -1919,11 +8532,23 @@ createImageQualityBadge(artifact) {
         if (this.map) {
             this.map.remove();
         }
+        if (this.simulatorMap) {
+            this.simulatorMap.remove();
+        }
+        if (this.roundSetMap) {
+            this.roundSetMap.remove();
+        }
+        if (this.authorProfileMap) {
+            this.authorProfileMap.remove();
+        }
 
         window.removeEventListener('scroll', this.handleScroll);
         
         this.artifacts = [];
         this.map = null;
+        this.simulatorMap = null;
+        this.roundSetMap = null;
+        this.authorProfileMap = null;
         this.chartInstances = {};
         this.imageQualityCache.clear();
     }